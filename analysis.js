@@ -0,0 +1,255 @@
+/**
+ * @file analysis.js
+ * Post-game analysis: replays a game and compares every move with the move the engine prefers,
+ * labelling the moves that give away the most as inaccuracies, mistakes or blunders.
+ *
+ * The searching itself is left to the caller (the server runs it on the search pool, see
+ * search.js's analyzePosition()), so this module only turns games into positions and search
+ * results into a report.
+ */
+
+const Rules = require('./rules.js');
+const GameRecord = require('./gameRecord.js');
+
+// A move is labelled by how much evaluation it gives away compared with the best move, in points.
+const LOSS_LABELS = [
+    { label: 'blunder', minLoss: 6 },
+    { label: 'mistake', minLoss: 3 },
+    { label: 'inaccuracy', minLoss: 1 },
+];
+// Search values at or beyond this are won or lost games (see WIN_SCORE in search.js).
+const DECIDED_VALUE = 5000;
+const MAX_ANALYZED_MOVES = 300;
+
+// =================================================================
+//                  READING GAMES
+// =================================================================
+
+// A board square from a client snapshot, checked and copied.
+function readPiece(piece, where) {
+    if (piece === null) return null;
+    if (!piece || (piece.color !== 'white' && piece.color !== 'black') || !Number.isInteger(piece.number) || piece.number < 1 || piece.number > 8) {
+        throw new Error(`${where} is not a piece.`);
+    }
+    return { color: piece.color, number: piece.number, promoted: !!piece.promoted };
+}
+
+// The rule fields of a client snapshot (an entry of its gameHistory), checked and copied.
+function readSnapshot(snapshot, index, variant) {
+    const where = `gameHistory[${index}]`;
+    const size = variant.boardSize;
+    if (!snapshot || !Array.isArray(snapshot.board) || snapshot.board.length !== size ||
+        !snapshot.board.every(row => Array.isArray(row) && row.length === size)) {
+        throw new Error(`${where} needs ${size === 8 ? 'an' : 'a'} ${size}x${size} board.`);
+    }
+    if (snapshot.currentPlayer !== 'white' && snapshot.currentPlayer !== 'black') {
+        throw new Error(`${where} needs a currentPlayer of 'white' or 'black'.`);
+    }
+    return {
+        ...Rules.createInitialState(variant),
+        board: snapshot.board.map((row, r) => row.map((piece, c) => readPiece(piece, `${where}.board[${r}][${c}]`))),
+        currentPlayer: snapshot.currentPlayer,
+        whiteScore: Number(snapshot.whiteScore) || 0,
+        blackScore: Number(snapshot.blackScore) || 0,
+        gameState: snapshot.gameState === 'choosing_promotion' ? 'choosing_promotion' : 'playing',
+    };
+}
+
+function sameSnapshot(a, b) {
+    return a.currentPlayer === b.currentPlayer && a.whiteScore === b.whiteScore && a.blackScore === b.blackScore &&
+        a.gameState === b.gameState && JSON.stringify(a.board) === JSON.stringify(b.board);
+}
+
+/**
+ * Works out the moves of a game from the client's gameHistory: each snapshot must follow from the
+ * one before by one move or promotion choice (repeated snapshots are skipped).
+ * @param {Array<object>} gameHistory
+ * @param {string|object} [variant] - The game's variant (see Rules.resolveVariant()).
+ * @returns {{tags: object, moves: Array<string>}} The game as a record (see gameRecord.js).
+ * @throws {Error} If a snapshot is malformed or does not follow from the one before.
+ */
+function recordFromGameHistory(gameHistory, variant) {
+    if (!Array.isArray(gameHistory) || gameHistory.length === 0) throw new Error('gameHistory must be a non-empty array of game states.');
+    const resolved = Rules.resolveVariant(variant);
+    const snapshots = gameHistory.map((snapshot, i) => readSnapshot(snapshot, i, resolved));
+    const first = snapshots[0];
+    if (first.gameState === 'choosing_promotion') throw new Error('gameHistory must not start with a promotion choice.');
+
+    const position = GameRecord.formatPosition(first);
+    const size = resolved.boardSize;
+    const tags = { Variant: GameRecord.formatVariant(resolved) };
+    // A random layout's start is not the one createInitialState() would give.
+    if (resolved.layout === 'random' || position !== GameRecord.formatPosition(Rules.createInitialState(resolved))) tags.Position = position;
+    if (tags.Variant === undefined) delete tags.Variant;
+    const moves = [];
+    let state = GameRecord.parsePosition(position, resolved);
+
+    snapshots.slice(1).forEach((snapshot, i) => {
+        if (sameSnapshot(state, snapshot)) return;
+        let step = null;
+        if (state.gameState === 'choosing_promotion') {
+            step = state.promotionChoices
+                .map(choice => Rules.getPromotionChoiceEvents(state, choice.row, choice.col))
+                .find(result => result.valid && sameSnapshot(result.state, snapshot));
+            if (step) moves[moves.length - 1] += GameRecord.formatMove(step.events, size);
+        } else {
+            step = Rules.getAllMoves(state.board, state.currentPlayer)
+                .map(move => Rules.getMoveEvents(state, move))
+                .find(result => result.valid && sameSnapshot(result.state, snapshot));
+            if (step) moves.push(GameRecord.formatMove(step.events, size));
+        }
+        if (!step) throw new Error(`gameHistory[${i + 1}] does not follow from the state before it by one move.`);
+        state = step.state;
+    });
+    return { tags, moves };
+}
+
+/**
+ * Reads the game to analyze from a request body: a record as text ({ record }), a list of moves in
+ * record notation ({ moves, position?, variant? }), or the client's snapshots ({ gameHistory,
+ * variant? }). A record gives its variant in its Variant tag.
+ * @param {object} body
+ * @returns {{tags: object, moves: Array<string>}}
+ * @throws {Error} If the body holds none of these, or they cannot be read.
+ */
+function readGame(body) {
+    if (!body || typeof body !== 'object') throw new Error('Send the game as { record }, { moves } or { gameHistory }.');
+    if (typeof body.record === 'string') return GameRecord.parseRecord(body.record);
+    if (Array.isArray(body.moves)) {
+        if (!body.moves.every(move => typeof move === 'string')) throw new Error('moves must be moves in record notation, e.g. "c2-c3".');
+        body.moves.forEach(move => GameRecord.parseMove(move));
+        const tags = {};
+        if (body.variant !== undefined) tags.Variant = GameRecord.formatVariant(body.variant);
+        if (typeof body.position === 'string') tags.Position = body.position;
+        return { tags, moves: body.moves };
+    }
+    if (body.gameHistory !== undefined) return recordFromGameHistory(body.gameHistory, body.variant);
+    throw new Error('Send the game as { record }, { moves } or { gameHistory }.');
+}
+
+// =================================================================
+//                  ANALYSIS
+// =================================================================
+
+/**
+ * @param {number} loss - Evaluation given away by the move, for the side that played it.
+ * @param {number} playedValue - The value of the played move for that side.
+ * @returns {'blunder'|'mistake'|'inaccuracy'|null}
+ */
+function labelMove(loss, playedValue) {
+    const entry = LOSS_LABELS.find(e => loss >= e.minLoss);
+    if (!entry) return null;
+    // Winning by less is still winning.
+    if (playedValue >= DECIDED_VALUE) return 'inaccuracy';
+    return entry.label;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Replays a game into the positions to analyze, one per move. A final promotion that still
+ * waits for its capture to be chosen is not a complete move and is left out.
+ * @param {{tags: object, moves: Array<string>}} record
+ * @returns {Array<{ply: number, moveNumber: number, state: object, move: string}>}
+ * @throws {Error} If the record does not replay, or is too long to analyze.
+ */
+function getAnalysisPlies(record) {
+    const { states, events } = GameRecord.replayRecord(record);
+    const blackStarts = states[0].currentPlayer === 'black';
+    const size = states[0].board.length;
+    const plies = [];
+    events.forEach((moveEvents, i) => {
+        if (states[i + 1].gameState === 'choosing_promotion') return;
+        plies.push({
+            ply: i + 1,
+            moveNumber: Math.floor((i + (blackStarts ? 1 : 0)) / 2) + 1,
+            state: states[i],
+            move: GameRecord.formatMove(moveEvents, size),
+        });
+    });
+    if (plies.length === 0) throw new Error('The game has no moves to analyze.');
+    if (plies.length > MAX_ANALYZED_MOVES) throw new Error(`Games of up to ${MAX_ANALYZED_MOVES} moves can be analyzed.`);
+    return plies;
+}
+
+/**
+ * Compares one move with the engine's choice.
+ * @param {{ply: number, moveNumber: number, state: object, move: string}} ply
+ * @param {{scoredMoves: Array<{move: object, value: number}>, depth: number}|null} analysis - From
+ *        search.js's analyzePosition() for the position before the move.
+ * @returns {object} The move's entry in the report. Evaluations are from white's point of view
+ *          (positive is good for white); `loss` is what the move gave away for the side that played it.
+ */
+function reviewMove(ply, analysis) {
+    const player = ply.state.currentPlayer;
+    const entry = { ply: ply.ply, moveNumber: ply.moveNumber, player, move: ply.move, bestMove: null, evalBefore: null, evalAfter: null, loss: null, label: null, depth: null };
+    if (!analysis) return entry; // The search ran out of time before depth 1
+
+    const scored = analysis.scoredMoves.map(({ move, value }) => ({
+        notation: GameRecord.formatMove(Rules.getMoveEvents(ply.state, move).events, ply.state.board.length),
+        value,
+    }));
+    const best = scored[0];
+    const played = scored.find(s => s.notation === ply.move);
+    if (!played) throw new Error(`Move ${ply.ply} (${ply.move}) is not among the moves the engine searched.`);
+
+    const forWhite = value => round(player === 'white' ? value : -value);
+    const loss = Math.max(0, best.value - played.value);
+    return {
+        ...entry,
+        bestMove: best.notation,
+        evalBefore: forWhite(best.value),
+        evalAfter: forWhite(played.value),
+        loss: round(loss),
+        label: labelMove(loss, played.value),
+        depth: analysis.depth,
+    };
+}
+
+// Counts each side's labelled moves and average loss.
+function summarize(entries) {
+    const summary = {};
+    for (const color of ['white', 'black']) {
+        const own = entries.filter(e => e.player === color && e.loss !== null);
+        summary[color] = {
+            inaccuracies: own.filter(e => e.label === 'inaccuracy').length,
+            mistakes: own.filter(e => e.label === 'mistake').length,
+            blunders: own.filter(e => e.label === 'blunder').length,
+            averageLoss: own.length ? round(own.reduce((sum, e) => sum + Math.min(e.loss, DECIDED_VALUE), 0) / own.length) : 0,
+        };
+    }
+    return summary;
+}
+
+/**
+ * Analyzes every move of a game.
+ * @param {Array<object>} plies - From getAnalysisPlies().
+ * @param {function(object): Promise<object|null>} analyzePosition - Searches a state and resolves
+ *        to the result of search.js's analyzePosition() for it.
+ * @param {object} [options]
+ * @param {number} [options.concurrency=1] - Positions searched at the same time.
+ * @returns {Promise<{moves: Array<object>, summary: object}>} One entry per move (see
+ *          reviewMove()) and a summary per side.
+ */
+async function analyzeGame(plies, analyzePosition, { concurrency = 1 } = {}) {
+    const entries = new Array(plies.length);
+    let next = 0;
+    let failed = false;
+    const work = async () => {
+        while (next < plies.length && !failed) {
+            const index = next++;
+            try {
+                entries[index] = reviewMove(plies[index], await analyzePosition(plies[index].state));
+            } catch (err) {
+                failed = true;
+                throw err;
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, plies.length) }, work));
+    return { moves: entries, summary: summarize(entries) };
+}
+
+module.exports = { readGame, recordFromGameHistory, getAnalysisPlies, analyzeGame, labelMove };
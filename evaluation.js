@@ -0,0 +1,262 @@
+/**
+ * @file evaluation.js
+ * The search's static evaluation: the points already scored, plus a weighted sum of named
+ * features of the position. The weights come from JSON weight profiles in weights/ (one file per
+ * profile, e.g. weights/default.json), which requests select by name; scripts/tuneWeights.js fits
+ * new ones from games (see tuner.js).
+ *
+ * Every feature is measured as white's value minus black's, so the evaluation for black is the
+ * same sum with the sign flipped.
+ *
+ * The default profile keeps the engine's original judgement: combinationThreats, safePromotions
+ * and mobility have a weight of 0 there, so they only change the AI's play in a profile that
+ * gives them one (e.g. one fitted by the tuner and checked with scripts/runMatch.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PIECE_NUMBER_MASK, PIECE_BLACK, PIECE_PROMOTED } = require('./gameLogic.js');
+
+const WEIGHTS_DIR = path.join(__dirname, 'weights');
+const DEFAULT_WEIGHT_PROFILE = 'default';
+
+// The features, in the order of getFeatures()'s values:
+// - promoted: the numbers of the promoted pieces (they count for their side at the end).
+// - advancement: rows each piece has moved up the board.
+// - combinationThreats: the numbers of the opponent pieces that one move could join in a pair
+//   adding up to ten (the variant's target sum), and so capture. Only pairs are looked for, not
+//   larger combinations.
+// - safePromotions: the numbers of the unpromoted pieces that can step onto the far row next move
+//   and are not threatened by such a pair.
+// - mobility: the number of moves.
+const FEATURES = ['promoted', 'advancement', 'combinationThreats', 'safePromotions', 'mobility'];
+const FEATURE_INDEX = Object.fromEntries(FEATURES.map((name, i) => [name, i]));
+
+// The weights the engine has always used: only promoted pieces and advancement. The other
+// features are off until a profile weights them.
+const DEFAULT_WEIGHTS = Object.freeze({ promoted: 0.5, advancement: 0.1, combinationThreats: 0, safePromotions: 0, mobility: 0 });
+
+const MOVE_COLUMN_DELTAS = [0, -1, 1];
+
+// Scratch storage for the threat features, reused by every call: threatened[square] is set for
+// the pieces on `square` that the other side threatens.
+const threatened = new Uint8Array(64);
+const features = new Float64Array(FEATURES.length);
+
+// =================================================================
+//                  FEATURES
+// =================================================================
+
+// Marks the opponent pieces that a piece of `colorFlag` can pair up with to the target sum in one
+// move, and returns the sum of their numbers. `lastRow` is the board size less one.
+function markCombinationThreats(squares, colorFlag, lastRow, targetSum) {
+    const direction = colorFlag ? 8 : -8;
+    let value = 0;
+    for (let from = 0; from < 64; from++) {
+        const code = squares[from];
+        if (!code || (code & PIECE_BLACK) !== colorFlag) continue;
+        const to = from + direction;
+        if (to < 0 || (to >> 3) > lastRow) continue;
+        const wanted = targetSum - (code & PIECE_NUMBER_MASK);
+        for (const deltaCol of MOVE_COLUMN_DELTAS) {
+            const col = (from & 7) + deltaCol;
+            if (col < 0 || col > lastRow || squares[to + deltaCol]) continue;
+            const row = (to >> 3);
+            for (let r = Math.max(0, row - 1); r <= Math.min(lastRow, row + 1); r++) {
+                for (let c = Math.max(0, col - 1); c <= Math.min(lastRow, col + 1); c++) {
+                    const square = r * 8 + c;
+                    const target = squares[square];
+                    if (!target || (target & PIECE_BLACK) === colorFlag || threatened[square]) continue;
+                    if ((target & PIECE_NUMBER_MASK) !== wanted) continue;
+                    threatened[square] = 1;
+                    value += wanted;
+                }
+            }
+        }
+    }
+    return value;
+}
+
+// The numbers of `colorFlag`'s unpromoted pieces that can be promoted next move and are not
+// marked in `threatened`, and that side's moves.
+function countPromotionsAndMoves(squares, colorFlag, lastRow) {
+    const direction = colorFlag ? 8 : -8;
+    const promotionRow = colorFlag ? lastRow : 0;
+    let promotions = 0;
+    let moves = 0;
+    for (let from = 0; from < 64; from++) {
+        const code = squares[from];
+        if (!code || (code & PIECE_BLACK) !== colorFlag) continue;
+        const to = from + direction;
+        if (to < 0 || (to >> 3) > lastRow) continue;
+        const col = from & 7;
+        let targets = 0;
+        for (const deltaCol of MOVE_COLUMN_DELTAS) {
+            if (col + deltaCol >= 0 && col + deltaCol <= lastRow && !squares[to + deltaCol]) targets++;
+        }
+        moves += targets;
+        if (targets && (to >> 3) === promotionRow && !(code & PIECE_PROMOTED) && !threatened[from]) promotions += code & PIECE_NUMBER_MASK;
+    }
+    return { promotions, moves };
+}
+
+/**
+ * Measures every feature of a position, as white's value minus black's.
+ * @param {Position} position
+ * @param {boolean} [all=true] - False to measure only promoted and advancement, the cheap ones
+ *        (the others are then 0).
+ * @returns {Float64Array} The values in FEATURES order. The array is reused by the next call.
+ */
+function getFeatures(position, all = true) {
+    const squares = position.squares;
+    const lastRow = position.size - 1;
+    features.fill(0);
+    for (let square = 0; square < 64; square++) {
+        const code = squares[square];
+        if (!code) continue;
+        const sign = code & PIECE_BLACK ? -1 : 1;
+        if (code & PIECE_PROMOTED) features[0] += sign * (code & PIECE_NUMBER_MASK);
+        features[1] += sign * (code & PIECE_BLACK ? square >> 3 : lastRow - (square >> 3));
+    }
+    if (!all) return features;
+
+    threatened.fill(0);
+    const { targetSum } = position.variant;
+    features[2] = markCombinationThreats(squares, 0, lastRow, targetSum) - markCombinationThreats(squares, PIECE_BLACK, lastRow, targetSum);
+    const white = countPromotionsAndMoves(squares, 0, lastRow);
+    const black = countPromotionsAndMoves(squares, PIECE_BLACK, lastRow);
+    features[3] = white.promotions - black.promotions;
+    features[4] = white.moves - black.moves;
+    return features;
+}
+
+// =================================================================
+//                  EVALUATION
+// =================================================================
+
+/**
+ * Turns weights by feature name into the array evaluatePosition() takes.
+ * @param {object} weights - Weights by feature name; features not named weigh 0.
+ * @returns {Float64Array}
+ * @throws {Error} If a name is not a feature or a weight is not a number.
+ */
+function compileWeights(weights) {
+    const compiled = new Float64Array(FEATURES.length);
+    for (const [name, weight] of Object.entries(weights)) {
+        if (!Object.hasOwn(FEATURE_INDEX, name)) throw new Error(`Unknown evaluation feature '${name}'. The features are: ${FEATURES.join(', ')}.`);
+        if (typeof weight !== 'number' || !Number.isFinite(weight)) throw new Error(`The weight of '${name}' must be a number.`);
+        compiled[FEATURE_INDEX[name]] = weight;
+    }
+    return compiled;
+}
+
+const compiledWeights = new WeakMap(); // weights object -> Float64Array
+
+/**
+ * Evaluates a position for one side: the score difference plus the weighted features.
+ * Scores already earned count in full. Positions are compared by these absolute scores, so move
+ * gains must not be added again along the search path.
+ * @param {Position} position
+ * @param {string} color - 'white' or 'black': the side the value is for.
+ * @param {object} [weights=DEFAULT_WEIGHTS] - Weights by feature name.
+ * @returns {number}
+ */
+function evaluatePosition(position, color, weights = DEFAULT_WEIGHTS) {
+    let compiled = compiledWeights.get(weights);
+    if (!compiled) {
+        compiled = compileWeights(weights);
+        compiledWeights.set(weights, compiled);
+    }
+    const values = getFeatures(position, compiled[2] !== 0 || compiled[3] !== 0 || compiled[4] !== 0);
+    let value = position.whiteScore - position.blackScore;
+    for (let i = 0; i < values.length; i++) value += compiled[i] * values[i];
+    return color === 'white' ? value : -value;
+}
+
+/**
+ * A 64-bit key for a set of weights, mixed into the transposition table keys so that values
+ * found with one weight profile are not reused with another. The default weights get 0n, so
+ * their keys are plain position keys.
+ * @param {object} weights
+ * @returns {BigInt}
+ */
+function getWeightsKey(weights) {
+    const compiled = compiledWeights.get(weights) || compileWeights(weights);
+    if (compiled.every((weight, i) => weight === DEFAULT_WEIGHTS[FEATURES[i]])) return 0n;
+    // FNV-1a over the weights, so every worker derives the same key for the same profile.
+    let key = 0xcbf29ce484222325n;
+    for (const byte of new Uint8Array(compiled.buffer)) {
+        key = ((key ^ BigInt(byte)) * 0x100000001b3n) & 0xffffffffffffffffn;
+    }
+    return key;
+}
+
+// =================================================================
+//                  WEIGHT PROFILES
+// =================================================================
+
+/**
+ * Reads a weight profile file: { "description"?: string, "weights": { feature: number } }.
+ * @param {string} file
+ * @returns {object} The weights by feature name.
+ * @throws {Error} If the file cannot be read or names unknown features.
+ */
+function readWeightProfile(file) {
+    let profile;
+    try {
+        profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Cannot read weight profile ${file}: ${err.message}`);
+    }
+    if (!profile || typeof profile.weights !== 'object' || profile.weights === null) {
+        throw new Error(`Weight profile ${file} needs a "weights" object.`);
+    }
+    compileWeights(profile.weights);
+    return Object.freeze({ ...profile.weights });
+}
+
+/**
+ * Loads every weight profile in a directory, named after its file.
+ * @param {string} [dir=weights/]
+ * @returns {object} Weights by profile name.
+ */
+function loadWeightProfiles(dir = WEIGHTS_DIR) {
+    const profiles = {};
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+        profiles[path.basename(file, '.json')] = readWeightProfile(path.join(dir, file));
+    }
+    return profiles;
+}
+
+/**
+ * @param {string} nameOrFile - A profile name in weights/, or the path of a profile file.
+ * @returns {object} The weights by feature name.
+ */
+function findWeightProfile(nameOrFile) {
+    return readWeightProfile(nameOrFile.endsWith('.json') ? nameOrFile : path.join(WEIGHTS_DIR, `${nameOrFile}.json`));
+}
+
+/**
+ * Writes a weight profile file that readWeightProfile() can read.
+ * @param {string} file
+ * @param {object} weights
+ * @param {string} [description]
+ */
+function writeWeightProfile(file, weights, description) {
+    compileWeights(weights);
+    fs.writeFileSync(file, JSON.stringify({ ...(description && { description }), weights }, null, 4) + '\n');
+}
+
+module.exports = {
+    FEATURES,
+    DEFAULT_WEIGHTS,
+    DEFAULT_WEIGHT_PROFILE,
+    WEIGHTS_DIR,
+    getFeatures,
+    evaluatePosition,
+    getWeightsKey,
+    readWeightProfile,
+    loadWeightProfiles,
+    findWeightProfile,
+    writeWeightProfile,
+};
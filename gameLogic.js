@@ -2,11 +2,16 @@
  * @file gameLogic.js
  * Headless version of the Check10Game class for server-side AI computation.
  *
- * This class contains all the core game rules, state representation, and move simulation logic.
- * It has been stripped of all DOM manipulation, rendering, animation, and event handling code
- * to allow it to run in a pure Node.js environment.
+ * The rules themselves live in rules.js, which the browser loads too. Check10Game wraps them in a
+ * stateful game object for the server's sessions and rooms, and Position is the compact board the
+ * AI search plays on. Neither touches the DOM, so both run in a pure Node.js environment.
  */
 
+const Rules = require('./rules.js');
+const { calculateZobristKey, ZOBRIST, getPieceIndex, getScoreDifferenceKey } = require('./zobrist.js');
+
+const { forEachCombination } = Rules;
+
 class Check10Game {
     // The constructor is now minimal. It just sets up default properties.
     constructor() {
@@ -18,6 +23,7 @@ class Check10Game {
         this.gameState = 'playing';
         this.promotionChoices = null;
         this.promotionPoints = 0;
+        this.variant = undefined; // The standard rules (see Rules.resolveVariant())
 
         // Note: humanPlayerColor, aiPlayerColor, etc. are not needed here
         // as the server is agnostic; it just calculates the best move for the 'currentPlayer'.
@@ -35,295 +41,512 @@ class Check10Game {
         this.blackScore = gameState.blackScore;
         this.gameOver = gameState.gameOver || false;
         this.gameState = gameState.gameState || 'playing';
-        // We generally don't need to hydrate the rest (like promotion choices)
-        // because the server's job is to evaluate a single move from a 'playing' state.
+        // Promotion choices only matter to callers that resume a 'choosing_promotion' state;
+        // the AI search always evaluates from a 'playing' state.
+        this.promotionChoices = gameState.promotionChoices || null;
+        this.promotionPoints = gameState.promotionPoints || 0;
+        this.variant = gameState.variant;
+    }
+
+    /**
+     * Returns a plain, JSON-safe snapshot of the game state, in the same shape the client sends.
+     * @returns {object}
+     */
+    getState() {
+        return Rules.cloneState(this);
     }
 
     // --- Core Game Setup & Pure Logic ---
-    // (Kept for potential testing or more complex server-side tasks)
-    initializeBoardData() {
-        this.board = Array(8).fill(null).map(() => Array(8).fill(null));
-        const blackRow1 = [8, 7, 6, 5, 4, 3, 2, 1],
-            blackRow2 = [1, 2, 3, 4, 5, 6, 7, 8];
-        const whiteRow1 = [8, 7, 6, 5, 4, 3, 2, 1],
-            whiteRow2 = [1, 2, 3, 4, 5, 6, 7, 8];
-        for (let col = 0; col < 8; col++) {
-            this.board[0][col] = { color: 'black', number: blackRow1[col], promoted: false };
-            this.board[1][col] = { color: 'black', number: blackRow2[col], promoted: false };
-            this.board[6][col] = { color: 'white', number: whiteRow1[col], promoted: false };
-            this.board[7][col] = { color: 'white', number: whiteRow2[col], promoted: false };
-        }
+    /**
+     * Sets up the starting position.
+     * @param {string|object} [variant] - The game's house rules (see Rules.resolveVariant());
+     *        the standard rules by default.
+     */
+    initializeBoardData(variant) {
+        const state = Rules.createInitialState(variant);
+        this.board = state.board;
+        this.variant = state.variant;
     }
 
     getValidMoves(row, col) {
-        const validMoves = [];
-        const piece = this.board[row][col];
-        if (!piece) return validMoves;
-        const direction = piece.color === 'white' ? -1 : 1;
-        const newRow = row + direction;
-        if (newRow >= 0 && newRow < 8) {
-            if (!this.board[newRow][col]) validMoves.push({ row: newRow, col });
-            for (const deltaCol of [-1, 1]) {
-                const newCol = col + deltaCol;
-                if (newCol >= 0 && newCol < 8 && !this.board[newRow][newCol]) validMoves.push({ row: newRow, col: newCol });
-            }
-        }
-        return validMoves;
+        return Rules.getValidMoves(this.board, row, col);
     }
 
-    checkPromotion(row, col) {
-        const p = this.board[row][col];
-        if (!p || p.promoted) return false;
-        if ((p.color === 'white' && row === 0) || (p.color === 'black' && row === 7)) {
-            // In the simulation, we can directly mark as promoted.
-            // The client-side logic will handle the visual update.
-            p.promoted = true;
-            return true;
-        }
-        return false;
+    isValidMove(fromRow, fromCol, toRow, toCol) {
+        return Rules.isValidMove(this.board, fromRow, fromCol, toRow, toCol);
     }
 
     /**
-     * Server-side version of processing a promotion. It determines the points gained
-     * without requiring user input.
-     * @param {number} row - The row of the promoted piece.
-     * @param {number} col - The column of the promoted piece.
-     * @param {Array} boardState - The board to operate on.
-     * @returns {{points: number, leadsToChoice: boolean, captures: Array}}
+     * Plays a move on this game's own board with Rules.applyMove(): promotion first, then
+     * combinations, then the turn passes and the end of the game is checked. When a promotion
+     * matches several opponent pieces the game waits in 'choosing_promotion' until
+     * choosePromotionCapture() is called.
+     * @param {number} fromRow
+     * @param {number} fromCol
+     * @param {number} toRow
+     * @param {number} toCol
+     * @returns {{valid: boolean, reason?: string, pointsScored?: number, promoted?: boolean,
+     *            promotionCapture?: object|null, combinations?: Array, captured?: Array,
+     *            awaitingPromotionChoice?: boolean, events?: Array}} A summary of the move's
+     *          events (see Rules.summarizeEvents()), plus the events themselves.
      */
-    processPromotion(row, col, boardState) {
-        const piece = boardState[row][col];
-        const opponentColor = piece.color === 'white' ? 'black' : 'white';
-        const matchingPieces = [];
-
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                const targetPiece = boardState[r][c];
-                if (targetPiece && targetPiece.color === opponentColor && targetPiece.number === piece.number && !targetPiece.promoted) {
-                    matchingPieces.push({ row: r, col: c });
-                }
-            }
-        }
+    makeMove(fromRow, fromCol, toRow, toCol) {
+        const { valid, reason, events } = Rules.applyMove(this, { fromRow, fromCol, toRow, toCol });
+        if (!valid) return { valid, reason };
+        return { valid, ...Rules.summarizeEvents(events), events };
+    }
 
-        if (matchingPieces.length === 0) {
-            return { points: 0, leadsToChoice: false, captures: [] };
-        } else if (matchingPieces.length === 1) {
-            // A single, deterministic capture.
-            return { points: piece.number, leadsToChoice: false, captures: [matchingPieces[0]] };
-        } else {
-            // Multiple choices exist. The AI must account for this.
-            // For simulation, we can assume the best/first choice is made.
-            return { points: piece.number, leadsToChoice: true, captures: [matchingPieces[0]] };
-        }
+    /**
+     * Resolves a pending 'choosing_promotion' state by removing the chosen opponent piece.
+     * @param {number} row
+     * @param {number} col
+     * @returns {{valid: boolean, reason?: string, pointsScored?: number, promotionCapture?: object,
+     *            captured?: Array, events?: Array}}
+     */
+    choosePromotionCapture(row, col) {
+        const { valid, reason, events } = Rules.applyPromotionChoice(this, row, col);
+        if (!valid) return { valid, reason };
+        return { valid, ...Rules.summarizeEvents(events), events };
     }
 
+    calculatePromotedPieceValues() {
+        return Rules.calculatePromotedPieceValues(this.board);
+    }
 
-    checkCombinationsAroundPosition(cR, cC) {
-        const r = 3,
-            nP = [];
-        for (let rS = Math.max(0, cR - r); rS <= Math.min(7, cR + r); rS++)
-            for (let cS = Math.max(0, cC - r); cS <= Math.min(7, cC + r); cS++)
-                if (this.board[rS][cS]) nP.push({ row: rS, col: cS, piece: this.board[rS][cS] });
-        let hWN = false,
-            hBN = false;
-        for (const pD of nP) {
-            if (pD.piece.color === 'white') hWN = true;
-            else if (pD.piece.color === 'black') hBN = true;
-            if (hWN && hBN) break;
-        }
-        if (!hWN || !hBN) return [];
-        return this.findValidCombinations(nP);
+    /**
+     * Ends the game if the side to move has no moves; each side's promoted pieces are then added
+     * to its score.
+     * @returns {boolean} True if the game has just ended.
+     */
+    checkGameEnd() {
+        return Rules.checkGameEnd(this) !== null;
     }
 
-    findValidCombinations(ps) {
-        const vCs = [],
-            n = ps.length;
-        for (let m = 3; m < (1 << n); m++) {
-            let cL = 0;
-            for (let i = 0; i < n; ++i)
-                if ((m >> i) & 1) cL++;
-            if (cL > 8 || cL < 2) continue;
-            const c = [];
-            let s = 0;
-            let hW = false,
-                hB = false;
-            for (let i = 0; i < n; i++)
-                if (m & (1 << i)) {
-                    const pD = ps[i];
-                    c.push(pD);
-                    s += pD.piece.number;
-                    if (pD.piece.color === 'white') hW = true;
-                    else hB = true;
-                }
-            if (s === 10 && hW && hB && this.areConnectedOptimized(c)) vCs.push(c);
-        }
-        return vCs;
+    /**
+     * @returns {'white'|'black'|'draw'|null} The winner once the game is over, otherwise null.
+     */
+    getWinner() {
+        return Rules.getWinner(this);
     }
 
-    areConnectedOptimized(ps) {
-        if (ps.length <= 1) return true;
-        const pS = new Set(ps.map(p => `${p.row},${p.col}`)),
-            vS = new Set(),
-            q = [ps[0]];
-        vS.add(`${ps[0].row},${ps[0].col}`);
-        const d = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
-        while (q.length > 0) {
-            const c = q.shift();
-            for (const [dR, dC] of d) {
-                const nR = c.row + dR,
-                    nC = c.col + dC,
-                    k = `${nR},${nC}`;
-                if (pS.has(k) && !vS.has(k)) {
-                    vS.add(k);
-                    q.push(ps.find(p => p.row === nR && p.col === nC));
-                }
-            }
-        }
-        return vS.size === ps.length;
+    findValidCombinations(ps) {
+        return Rules.findValidCombinations(ps, this.variant);
     }
 
     hasValidMoves(playerColor) {
-        for (let r = 0; r < 8; r++)
-            for (let c = 0; c < 8; c++)
-                if (this.board[r][c] && this.board[r][c].color === playerColor && this.getValidMoves(r, c).length > 0) return true;
-        return false;
+        return Rules.hasValidMoves(this.board, playerColor);
     }
 
     // --- AI Simulation and Helper Functions ---
-    
+
     getAllPossibleMovesForPlayer(playerColor) {
+        return Rules.getAllMoves(this.board, playerColor);
+    }
+
+    /**
+     * Like getAllPossibleMovesForPlayer(), but a promotion that matches several opponent pieces is
+     * split into one move per capture option, each carrying a `promotionCapture` square.
+     * This lets the search treat every promotion choice as its own branch.
+     * @param {string} playerColor
+     * @returns {Array<object>}
+     */
+    getAllSearchMovesForPlayer(playerColor) {
         const moves = [];
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                const piece = this.board[r][c];
-                if (piece && piece.color === playerColor) {
-                    const validMoves = this.getValidMoves(r, c);
-                    for (const move of validMoves) {
-                        moves.push({ fromRow: r, fromCol: c, toRow: move.row, toCol: move.col, piece: piece });
-                    }
-                }
+        for (const move of this.getAllPossibleMovesForPlayer(playerColor)) {
+            if (!Rules.isPromotionRow(playerColor, move.toRow, this.board.length) || move.piece.promoted) {
+                moves.push(move);
+                continue;
+            }
+            const targets = Rules.findPromotionTargets(this.board, move.piece);
+            if (targets.length <= 1) {
+                moves.push(move);
+            } else {
+                for (const target of targets) moves.push({ ...move, promotionCapture: { row: target.row, col: target.col } });
             }
         }
         return moves;
     }
 
-    getAllPossibleMovesForPlayerOnBoard(playerColor, boardState) {
+    /**
+     * Simulates a move on a copy of the board and reports its immediate outcome.
+     * @param {number} fromRow
+     * @param {number} fromCol
+     * @param {number} toRow
+     * @param {number} toCol
+     * @param {string} forPlayerColor - The player making the move.
+     * @param {Array} [sourceBoard=this.board] - Optional board state to run the simulation on.
+     * @param {{row: number, col: number}|null} [promotionCapture] - The opponent piece to remove if the
+     *        move promotes and several pieces match (see getAllSearchMovesForPlayer). Without it,
+     *        such a move stops at the choice: nothing is captured yet.
+     * @returns {{tempBoard: Array|null, aiScoreGain: number, leadsToChoiceForThisPlayer: boolean}}
+     */
+    simulateFullMove(fromRow, fromCol, toRow, toCol, forPlayerColor, sourceBoard = this.board, promotionCapture = null) {
+        const state = { board: sourceBoard, currentPlayer: forPlayerColor, whiteScore: 0, blackScore: 0, variant: this.variant };
+        const result = Rules.getMoveEvents(state, { fromRow, fromCol, toRow, toCol, promotionCapture });
+        if (!result.valid) {
+            return { tempBoard: null, aiScoreGain: -Infinity, leadsToChoiceForThisPlayer: false };
+        }
+        const leadsToChoiceForThisPlayer = result.events.some(e => e.type === 'promotion-choice' || (e.type === 'promotion-capture' && e.chosen));
+        return { tempBoard: result.state.board, aiScoreGain: Rules.summarizeEvents(result.events).pointsScored, leadsToChoiceForThisPlayer };
+    }
+}
+
+
+// =================================================================
+//                  COMPACT SEARCH POSITION
+// =================================================================
+
+// Piece codes used by Position: the number in the low 5 bits plus colour and promotion flags.
+// 0 is an empty square.
+const PIECE_NUMBER_MASK = 31;
+const PIECE_BLACK = 32;
+const PIECE_PROMOTED = 64;
+const MOVE_COLUMN_DELTAS = [0, -1, 1]; // Straight first, as in Rules.getValidMoves()
+
+/**
+ * @param {{color: string, number: number, promoted: boolean}|null} piece
+ * @returns {number} The piece code, or 0 for no piece.
+ */
+function encodePiece(piece) {
+    if (!piece) return 0;
+    return piece.number | (piece.color === 'black' ? PIECE_BLACK : 0) | (piece.promoted ? PIECE_PROMOTED : 0);
+}
+
+/**
+ * @param {number} code - A piece code from encodePiece().
+ * @returns {{color: string, number: number, promoted: boolean}|null}
+ */
+function decodePiece(code) {
+    if (!code) return null;
+    return { color: code & PIECE_BLACK ? 'black' : 'white', number: code & PIECE_NUMBER_MASK, promoted: (code & PIECE_PROMOTED) !== 0 };
+}
+
+// Zobrist keys by piece code: PIECE_KEYS[code][square].
+const PIECE_KEYS = [];
+for (let code = 0; code <= (PIECE_NUMBER_MASK | PIECE_BLACK | PIECE_PROMOTED); code++) {
+    const number = code & PIECE_NUMBER_MASK;
+    PIECE_KEYS.push(number >= 1 && number <= 8 ? ZOBRIST.table[getPieceIndex(decodePiece(code))] : null);
+}
+
+/**
+ * The position type used by the AI search. The board is a 64-square typed array of piece codes
+ * (square = row * 8 + col), and moves are played and taken back in place with makeMove() and
+ * unmakeMove(), so searching a node allocates almost nothing. A variant's smaller board uses the
+ * top-left `size` x `size` squares, and the rest stay empty.
+ *
+ * It is a faster encoding of the rules in rules.js, and plays a move like Rules.applyMove() given
+ * the move's `promotionCapture`: a promotion with several matching opponent pieces captures that
+ * piece and skips the combination check. test/position.test.js checks that the two agree.
+ *
+ * Search moves are { from, to, promotionCapture } with square indices; promotionCapture is -1
+ * unless the promotion has a choice. Use toApiMove() to turn one into the client's format.
+ *
+ * `hash` is the position's Zobrist key (see zobrist.js), kept up to date by every make and
+ * unmake: it always equals calculateZobristKey() of the current board, side and scores.
+ */
+class Position {
+    /**
+     * @param {object} [variant=Rules.STANDARD_VARIANT] - A complete variant (see Rules.resolveVariant()).
+     */
+    constructor(variant = Rules.STANDARD_VARIANT) {
+        this.variant = variant;
+        this.size = variant.boardSize;
+        this.squares = new Uint8Array(64);
+        this.currentPlayer = 'white';
+        this.whiteScore = 0;
+        this.blackScore = 0;
+        this.hash = 0n; // The key of an empty board with white to move and equal scores
+        this.undoStack = [];
+
+        // Scratch arrays for the combination window (at most the whole board).
+        this.windowSquares = new Uint8Array(64);
+        this.windowRows = new Uint8Array(64);
+        this.windowCols = new Uint8Array(64);
+        this.windowNumbers = new Uint8Array(64);
+        this.windowWhites = new Uint8Array(64);
+        this.windowCaptured = new Uint8Array(64);
+    }
+
+    /**
+     * @param {object} gameState - A game state in the format the client sends.
+     * @returns {Position}
+     * @throws {Error} If the state's variant is invalid.
+     */
+    static fromGameState(gameState) {
+        const variant = Rules.getVariant(gameState);
+        const position = new Position(variant);
+        for (let r = 0; r < position.size; r++) {
+            for (let c = 0; c < position.size; c++) position.squares[r * 8 + c] = encodePiece(gameState.board[r][c]);
+        }
+        position.currentPlayer = gameState.currentPlayer;
+        position.whiteScore = gameState.whiteScore;
+        position.blackScore = gameState.blackScore;
+        position.hash = calculateZobristKey(gameState.board, position.currentPlayer, position.whiteScore, position.blackScore, variant);
+        return position;
+    }
+
+    /**
+     * @returns {Array<Array<object|null>>} The board in the client's object format.
+     */
+    toBoard() {
+        const board = [];
+        for (let r = 0; r < this.size; r++) {
+            const row = [];
+            for (let c = 0; c < this.size; c++) row.push(decodePiece(this.squares[r * 8 + c]));
+            board.push(row);
+        }
+        return board;
+    }
+
+    /**
+     * @returns {object} A 'playing' game state in the format the client sends.
+     */
+    toGameState() {
+        const state = { board: this.toBoard(), currentPlayer: this.currentPlayer, whiteScore: this.whiteScore, blackScore: this.blackScore };
+        if (this.variant !== Rules.STANDARD_VARIANT) state.variant = this.variant;
+        return state;
+    }
+
+    /**
+     * Converts a search move to the { fromRow, fromCol, toRow, toCol, piece, promotionCapture? }
+     * format that getAllSearchMovesForPlayer() returns and the client expects.
+     */
+    toApiMove(move) {
+        const apiMove = {
+            fromRow: move.from >> 3,
+            fromCol: move.from & 7,
+            toRow: move.to >> 3,
+            toCol: move.to & 7,
+            piece: decodePiece(this.squares[move.from]),
+        };
+        if (move.promotionCapture >= 0) apiMove.promotionCapture = { row: move.promotionCapture >> 3, col: move.promotionCapture & 7 };
+        return apiMove;
+    }
+
+    /**
+     * Generates the moves of the side to move, in the same order as getAllSearchMovesForPlayer().
+     * @returns {Array<{from: number, to: number, promotionCapture: number}>}
+     */
+    generateMoves() {
         const moves = [];
-        for (let r = 0; r < 8; r++) {
-            for (let c = 0; c < 8; c++) {
-                const piece = boardState[r][c];
-                if (piece && piece.color === playerColor) {
-                    const validMoves = this.getValidMovesOnBoard(r, c, boardState, piece.color);
-                    for (const move of validMoves) {
-                        moves.push({ fromRow: r, fromCol: c, toRow: move.row, toCol: move.col, piece: piece });
-                    }
+        const squares = this.squares;
+        const colorFlag = this.currentPlayer === 'black' ? PIECE_BLACK : 0;
+        const direction = colorFlag ? 8 : -8;
+        const lastRow = this.size - 1;
+        const promotionRow = colorFlag ? lastRow : 0;
+
+        for (let from = 0; from < 64; from++) {
+            const code = squares[from];
+            if (!code || (code & PIECE_BLACK) !== colorFlag) continue;
+            const to = from + direction;
+            if (to < 0 || (to >> 3) > lastRow) continue;
+            const col = from & 7;
+            const promotes = (to >> 3) === promotionRow && !(code & PIECE_PROMOTED);
+            const targets = promotes ? this.findPromotionTargets(code) : null;
+
+            for (const deltaCol of MOVE_COLUMN_DELTAS) {
+                const newCol = col + deltaCol;
+                if (newCol < 0 || newCol > lastRow || squares[to + deltaCol]) continue;
+                if (targets && targets.length > 1) {
+                    for (const target of targets) moves.push({ from, to: to + deltaCol, promotionCapture: target });
+                } else {
+                    moves.push({ from, to: to + deltaCol, promotionCapture: -1 });
                 }
             }
         }
         return moves;
     }
 
-    getValidMovesOnBoard(row, col, boardState, pieceColor) {
-        const validMoves = [],
-            direction = pieceColor === 'white' ? -1 : 1,
-            newRow = row + direction;
-        if (newRow >= 0 && newRow < 8) {
-            if (!boardState[newRow][col]) validMoves.push({ row: newRow, col });
-            for (const deltaCol of [-1, 1]) {
-                const newCol = col + deltaCol;
-                if (newCol >= 0 && newCol < 8 && !boardState[newRow][newCol]) validMoves.push({ row: newRow, col: newCol });
-            }
+    /**
+     * @returns {boolean} Whether the side to move has any move.
+     */
+    hasMoves() {
+        const squares = this.squares;
+        const colorFlag = this.currentPlayer === 'black' ? PIECE_BLACK : 0;
+        const direction = colorFlag ? 8 : -8;
+        const lastRow = this.size - 1;
+        for (let from = 0; from < 64; from++) {
+            const code = squares[from];
+            if (!code || (code & PIECE_BLACK) !== colorFlag) continue;
+            const to = from + direction;
+            if (to < 0 || (to >> 3) > lastRow) continue;
+            const col = from & 7;
+            if (!squares[to] || (col > 0 && !squares[to - 1]) || (col < lastRow && !squares[to + 1])) return true;
         }
-        return validMoves;
+        return false;
     }
 
-    checkCombinationsAroundPositionOnBoard(checkRow, checkCol, boardState, scoringPlayerColor) {
-        const radius = 3,
-            nearbyPieces = [];
-        for (let r = Math.max(0, checkRow - radius); r <= Math.min(7, checkRow + radius); r++)
-            for (let c = Math.max(0, checkCol - radius); c <= Math.min(7, checkCol + radius); c++)
-                if (boardState[r][c]) nearbyPieces.push({ row: r, col: c, piece: boardState[r][c] });
-        let hasWhitePiece = false,
-            hasBlackPiece = false;
-        for (const pieceData of nearbyPieces) {
-            if (pieceData.piece.color === 'white') hasWhitePiece = true;
-            else if (pieceData.piece.color === 'black') hasBlackPiece = true;
-            if (hasWhitePiece && hasBlackPiece) break;
+    /**
+     * @param {number} code - The code of a piece that is being promoted.
+     * @returns {number[]} The squares of unpromoted opponent pieces with the same number.
+     */
+    findPromotionTargets(code) {
+        const targets = [];
+        const wanted = (code & PIECE_NUMBER_MASK) | ((code & PIECE_BLACK) ^ PIECE_BLACK);
+        for (let square = 0; square < 64; square++) {
+            if (this.squares[square] === wanted) targets.push(square);
         }
-        if (!hasWhitePiece || !hasBlackPiece) return [];
-        return this.findValidCombinations(nearbyPieces);
+        return targets;
     }
-    
+
     /**
-     * The most important function for the AI. It simulates a move and calculates the immediate outcome.
-     * @param {number} fromRow
-     * @param {number} fromCol
-     * @param {number} toRow
-     * @param {number} toCol
-     * @param {string} forPlayerColor - The player making the move.
-     * @param {Array} [sourceBoard=this.board] - Optional board state to run the simulation on.
-     * @returns {{tempBoard: Array|null, aiScoreGain: number, leadsToChoiceForThisPlayer: boolean}}
+     * Plays a move for the side to move and switches the turn.
+     * @param {{from: number, to: number, promotionCapture: number}} move - A move from generateMoves().
+     * @returns {BigInt} The exact change to the Zobrist key: the moved piece, its promotion, every
+     *          captured piece, the score difference and the side to move.
      */
-    simulateFullMove(fromRow, fromCol, toRow, toCol, forPlayerColor, sourceBoard = this.board) {
-        // Deep copy the board to avoid modifying the original state during simulation.
-        const tempBoard = sourceBoard.map(r => r.map(p => (p ? { ...p } : null)));
-        
-        const pieceToMove = tempBoard[fromRow]?.[fromCol];
-        if (!pieceToMove || pieceToMove.color !== forPlayerColor) {
-            return { tempBoard: null, aiScoreGain: -Infinity, leadsToChoiceForThisPlayer: false };
+    makeMove(move) {
+        const squares = this.squares;
+        const mover = this.currentPlayer;
+        const code = squares[move.from];
+        const record = { from: move.from, to: move.to, piece: code, placed: 0, captured: [], gain: 0, mover, hashDelta: 0n };
+
+        squares[move.from] = 0;
+        let placed = code;
+        let gain = 0;
+        let choseCapture = false;
+
+        if (!(code & PIECE_PROMOTED) && (move.to >> 3) === (mover === 'white' ? 0 : this.size - 1)) {
+            placed |= PIECE_PROMOTED;
+            const targets = this.findPromotionTargets(code);
+            if (targets.length > 0) {
+                let target = targets[0];
+                if (targets.length > 1) {
+                    choseCapture = true;
+                    if (targets.includes(move.promotionCapture)) target = move.promotionCapture;
+                }
+                record.captured.push(target, squares[target]);
+                squares[target] = 0;
+                gain += code & PIECE_NUMBER_MASK;
+            }
         }
-        
-        const movedPiece = { ...pieceToMove };
-        if (tempBoard[toRow][toCol]) { // Invalid move if destination is occupied
-            return { tempBoard: null, aiScoreGain: -Infinity, leadsToChoiceForThisPlayer: false };
+        squares[move.to] = placed;
+        record.placed = placed;
+
+        // As in the real game, a promotion capture chosen by the player ends the turn without
+        // checking for combinations.
+        if (!choseCapture) gain += this.captureCombinations(move.to, mover, record.captured);
+
+        record.gain = gain;
+        this.finishTurn(record);
+        return record.hashDelta;
+    }
+
+    /**
+     * Resolves a pending promotion choice: removes the chosen opponent piece, scores the
+     * promotion and switches the turn. Taken back with unmakeMove() like a normal move.
+     * @param {number} square - The opponent piece to remove.
+     * @param {number} points - The promotion's points.
+     * @returns {BigInt} The exact change to the Zobrist key, as for makeMove().
+     */
+    makePromotionCapture(square, points) {
+        const record = { from: -1, to: -1, piece: 0, placed: 0, captured: [square, this.squares[square]], gain: points, mover: this.currentPlayer, hashDelta: 0n };
+        this.squares[square] = 0;
+        this.finishTurn(record);
+        return record.hashDelta;
+    }
+
+    // Scores the move, switches the turn and updates the hash by the move's whole delta.
+    finishTurn(record) {
+        const oldDifference = this.whiteScore - this.blackScore;
+        if (record.mover === 'white') this.whiteScore += record.gain;
+        else this.blackScore += record.gain;
+        this.currentPlayer = record.mover === 'white' ? 'black' : 'white';
+
+        let delta = ZOBRIST.blackToMove ^ getScoreDifferenceKey(oldDifference) ^ getScoreDifferenceKey(this.whiteScore - this.blackScore);
+        if (record.from >= 0) delta ^= PIECE_KEYS[record.piece][record.from] ^ PIECE_KEYS[record.placed][record.to];
+        for (let i = 0; i < record.captured.length; i += 2) delta ^= PIECE_KEYS[record.captured[i + 1]][record.captured[i]];
+        record.hashDelta = delta;
+        this.hash ^= delta;
+
+        this.undoStack.push(record);
+    }
+
+    /**
+     * Takes back the last makeMove() or makePromotionCapture().
+     */
+    unmakeMove() {
+        const record = this.undoStack.pop();
+        const squares = this.squares;
+        if (record.from >= 0) {
+            squares[record.to] = 0;
+            squares[record.from] = record.piece;
         }
-        
-        tempBoard[toRow][toCol] = movedPiece;
-        tempBoard[fromRow][fromCol] = null;
-        
-        let scoreGain = 0;
-        let leadsToChoiceForThisPlayer = false;
-
-        const originalPieceFromSource = sourceBoard[fromRow][fromCol];
-        const isPromotion = ((movedPiece.color === 'white' && toRow === 0) || (movedPiece.color === 'black' && toRow === 7));
-        
-        if (isPromotion && originalPieceFromSource && !originalPieceFromSource.promoted) {
-            movedPiece.promoted = true;
-            const promotionResult = this.processPromotion(toRow, toCol, tempBoard);
-            scoreGain += promotionResult.points;
-            leadsToChoiceForThisPlayer = promotionResult.leadsToChoice;
-
-            // Apply captures from promotion
-            for (const capture of promotionResult.captures) {
-                tempBoard[capture.row][capture.col] = null;
+        for (let i = 0; i < record.captured.length; i += 2) squares[record.captured[i]] = record.captured[i + 1];
+        if (record.mover === 'white') this.whiteScore -= record.gain;
+        else this.blackScore -= record.gain;
+        this.currentPlayer = record.mover;
+        this.hash ^= record.hashDelta;
+    }
+
+    /**
+     * Removes every opponent piece that is part of a combination in the window around `center`.
+     * @param {number} center - The square the piece moved to.
+     * @param {string} mover - The player who scores the captures.
+     * @param {number[]} captured - Receives (square, code) pairs of the removed pieces.
+     * @returns {number} The points scored.
+     */
+    captureCombinations(center, mover, captured) {
+        const squares = this.squares;
+        const centerRow = center >> 3;
+        const centerCol = center & 7;
+        const radius = this.variant.scanRadius;
+        const lastRow = this.size - 1;
+        let n = 0;
+        let whites = 0;
+        for (let r = Math.max(0, centerRow - radius); r <= Math.min(lastRow, centerRow + radius); r++) {
+            for (let c = Math.max(0, centerCol - radius); c <= Math.min(lastRow, centerCol + radius); c++) {
+                const code = squares[r * 8 + c];
+                if (!code) continue;
+                this.windowSquares[n] = r * 8 + c;
+                this.windowRows[n] = r;
+                this.windowCols[n] = c;
+                this.windowNumbers[n] = code & PIECE_NUMBER_MASK;
+                this.windowWhites[n] = code & PIECE_BLACK ? 0 : 1;
+                this.windowCaptured[n] = 0;
+                whites += this.windowWhites[n];
+                n++;
             }
         }
-        
-        const combinations = this.checkCombinationsAroundPositionOnBoard(toRow, toCol, tempBoard, forPlayerColor);
-        if (combinations.length > 0) {
-            const piecesToRemoveByCombination = new Set();
-            for (const combination of combinations) {
-                for (const pos of combination) {
-                    const pieceInCombination = tempBoard[pos.row]?.[pos.col];
-                    if (pieceInCombination && pieceInCombination.color !== forPlayerColor) {
-                        const key = `${pos.row},${pos.col}`;
-                        if (!piecesToRemoveByCombination.has(key)) {
-                            scoreGain += pieceInCombination.number;
-                            piecesToRemoveByCombination.add(key);
-                        }
-                    }
-                }
+        if (whites === 0 || whites === n) return 0;
+
+        const opponentWhite = mover === 'white' ? 0 : 1;
+        let found = false;
+        forEachCombination(n, this.windowRows, this.windowCols, this.windowNumbers, this.windowWhites, subset => {
+            for (const i of subset) {
+                if (this.windowWhites[i] === opponentWhite) this.windowCaptured[i] = 1;
             }
-            // Apply captures from combinations
-            piecesToRemoveByCombination.forEach(key => {
-                const [r, c] = key.split(',').map(Number);
-                tempBoard[r][c] = null;
-            });
+            found = true;
+        }, this.variant);
+        if (!found) return 0;
+
+        let gain = 0;
+        for (let i = 0; i < n; i++) {
+            if (!this.windowCaptured[i]) continue;
+            const square = this.windowSquares[i];
+            captured.push(square, squares[square]);
+            gain += this.windowNumbers[i];
+            squares[square] = 0;
+        }
+        return gain;
+    }
+
+    /**
+     * @returns {{whitePromotedValue: number, blackPromotedValue: number}} The sum of each side's
+     *          promoted pieces, which is added to the scores at the end of the game.
+     */
+    calculatePromotedPieceValues() {
+        let whitePromotedValue = 0;
+        let blackPromotedValue = 0;
+        for (let square = 0; square < 64; square++) {
+            const code = this.squares[square];
+            if (!(code & PIECE_PROMOTED)) continue;
+            if (code & PIECE_BLACK) blackPromotedValue += code & PIECE_NUMBER_MASK;
+            else whitePromotedValue += code & PIECE_NUMBER_MASK;
         }
-        
-        return { tempBoard, aiScoreGain: scoreGain, leadsToChoiceForThisPlayer };
+        return { whitePromotedValue, blackPromotedValue };
     }
 }
 
 // This line is crucial for Node.js to be able to import the class in other files.
-module.exports = { Check10Game };
\ No newline at end of file
+module.exports = { Check10Game, Position, encodePiece, decodePiece, PIECE_NUMBER_MASK, PIECE_BLACK, PIECE_PROMOTED };
\ No newline at end of file
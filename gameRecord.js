@@ -0,0 +1,470 @@
+/**
+ * @file gameRecord.js
+ * Text notation for moves and a portable, human-readable game record, shared by the server and
+ * the browser (where it defines the global `Check10GameRecord`; load rules.js first).
+ *
+ * Squares use the coordinates drawn around the board: files a-h from left to right and ranks 8-1
+ * from top to bottom, so board[row][col] is the square 'abcdefgh'[col] + (8 - row). On a smaller
+ * board (see Rules.VARIANTS) the files and ranks stop at its size, e.g. a-f and 6-1 on 6x6.
+ *
+ * A move is written as its from and to squares, then what it captured:
+ *   c2-c3           a plain move
+ *   d7-d8=          a promotion that captured nothing
+ *   d7-d8=h4        a promotion that captured the piece on h4 (forced or chosen)
+ *   c4-d5xe6xd6     a move whose combinations captured the pieces on e6 and d6
+ *
+ * A record is a few tag pairs followed by the numbered moves and the result, e.g.
+ *   [Event "Check 10 game"]
+ *   [White "Human"]
+ *   [Black "AI"]
+ *   [AIStrength "moderate"]
+ *   [Score "12-7"]
+ *   [Result "1-0"]
+ *
+ *   1. c2-c3 f7-f6 2. d2-d3 ... 1-0
+ *
+ * A game that did not start from the standard position has a Position tag (see formatPosition()),
+ * and a game with house rules a Variant tag (see formatVariant()). When the AI played both sides,
+ * WhiteAIStrength and BlackAIStrength take the place of AIStrength. [BoardFlip "auto"] marks a
+ * hotseat game whose board turns to face the side to move.
+ *
+ * A game played on the clock has a TimeControl tag (see formatTimeControl()), and may give the
+ * mover's time left after each move in a comment, as in '1. c2-c3 {[%clk 0:04:58.2]}'. A game
+ * lost on time ends with [Termination "time forfeit"].
+ * replayRecord() plays a record with the rules and checks every capture it lists, so a record
+ * either replays exactly or is rejected with the first move that differs.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./rules.js'));
+    else root.Check10GameRecord = factory(root.Check10Rules);
+})(typeof self !== 'undefined' ? self : this, function (Rules) {
+    'use strict';
+
+    const FILES = 'abcdefgh';
+    const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+    // Tags are written in this order; any others follow in the order they were given.
+    const TAG_ORDER = ['Event', 'Date', 'White', 'Black', 'AIStrength', 'WhiteAIStrength', 'BlackAIStrength', 'BoardFlip', 'Variant', 'Position', 'TimeControl', 'Score', 'Result', 'Termination'];
+    const TIME_FORFEIT = 'time forfeit';
+
+    const SQUARE_PATTERN = '[a-h][1-8]';
+    const MOVE_PATTERN = new RegExp(`^(${SQUARE_PATTERN})-(${SQUARE_PATTERN})(=(${SQUARE_PATTERN})?)?((?:x${SQUARE_PATTERN})*)$`);
+
+    // =================================================================
+    //                  SQUARES AND MOVES
+    // =================================================================
+
+    /**
+     * @param {number} row
+     * @param {number} col
+     * @param {number} [boardSize=8]
+     * @returns {string} e.g. 'c3'.
+     */
+    function squareName(row, col, boardSize = Rules.BOARD_SIZE) {
+        return FILES[col] + (boardSize - row);
+    }
+
+    /**
+     * @param {string} name - e.g. 'c3'.
+     * @param {number} [boardSize=8]
+     * @returns {{row: number, col: number}}
+     * @throws {Error} If the name is not a square of the board.
+     */
+    function parseSquare(name, boardSize = Rules.BOARD_SIZE) {
+        if (!new RegExp(`^${SQUARE_PATTERN}$`).test(name)) throw new Error(`'${name}' is not a square.`);
+        const square = { row: boardSize - Number(name[1]), col: FILES.indexOf(name[0]) };
+        if (square.row < 0 || square.col >= boardSize) throw new Error(`'${name}' is not a square of the ${boardSize}x${boardSize} board.`);
+        return square;
+    }
+
+    /**
+     * Writes the notation for a move's events (from Rules.getMoveEvents()). The events of a
+     * promotion choice give just the captured square, which completes the move's 'd7-d8=' token.
+     * @param {Array<object>} events
+     * @param {number} [boardSize=8]
+     * @returns {string}
+     */
+    function formatMove(events, boardSize = Rules.BOARD_SIZE) {
+        const name = (row, col) => squareName(row, col, boardSize);
+        let text = '';
+        for (const event of events) {
+            if (event.type === 'moved') text += `${name(event.from.row, event.from.col)}-${name(event.to.row, event.to.col)}`;
+            else if (event.type === 'promoted') text += '=';
+            else if (event.type === 'promotion-capture') text += name(event.row, event.col);
+            else if (event.type === 'capture') text += `x${name(event.row, event.col)}`;
+        }
+        return text;
+    }
+
+    /**
+     * @param {string} text - A move in the notation above.
+     * @param {number} [boardSize=8]
+     * @returns {{fromRow: number, fromCol: number, toRow: number, toCol: number, promoted: boolean,
+     *            promotionCapture: {row: number, col: number}|null, captures: Array<{row: number, col: number}>}}
+     */
+    function parseMove(text, boardSize = Rules.BOARD_SIZE) {
+        const match = MOVE_PATTERN.exec(text);
+        if (!match) throw new Error(`'${text}' is not a move. Moves look like c2-c3, d7-d8=h4 or c4-d5xe6.`);
+        const square = name => parseSquare(name, boardSize);
+        const from = square(match[1]);
+        const to = square(match[2]);
+        return {
+            fromRow: from.row,
+            fromCol: from.col,
+            toRow: to.row,
+            toCol: to.col,
+            promoted: match[3] !== undefined,
+            promotionCapture: match[4] ? square(match[4]) : null,
+            captures: match[5] ? match[5].slice(1).split('x').map(square) : [],
+        };
+    }
+
+    // The same move with its combination captures in a fixed order, so hand-written records may
+    // list them in any order.
+    function normalizeMove(text) {
+        const [head, ...captures] = text.split('x');
+        return [head, ...captures.sort()].join('x');
+    }
+
+    // =================================================================
+    //                  VARIANTS
+    // =================================================================
+
+    /**
+     * Writes a variant's house rules for the Variant tag: the rules that differ from the standard
+     * ones, e.g. 'targetSum=12 boardSize=6'.
+     * @param {string|object} [variant] - See Rules.resolveVariant().
+     * @returns {string|undefined} Nothing for the standard rules, which need no tag.
+     */
+    function formatVariant(variant) {
+        const resolved = Rules.resolveVariant(variant);
+        const rules = Object.keys(Rules.STANDARD_VARIANT).filter(rule => resolved[rule] !== Rules.STANDARD_VARIANT[rule]);
+        return rules.length ? rules.map(rule => `${rule}=${resolved[rule]}`).join(' ') : undefined;
+    }
+
+    /**
+     * @param {string} text - A Variant tag: rules written by formatVariant(), or a variant's name.
+     * @returns {object} The complete variant (see Rules.resolveVariant()).
+     * @throws {Error} If the text is not a variant.
+     */
+    function parseVariant(text) {
+        const words = String(text).trim().split(/\s+/);
+        if (words.length === 1 && !words[0].includes('=')) return Rules.resolveVariant(words[0]);
+        const rules = {};
+        for (const word of words) {
+            const pair = /^(\w+)=(\w+)$/.exec(word);
+            if (!pair) throw new Error(`Cannot read the variant rule '${word}'. Rules look like targetSum=12.`);
+            rules[pair[1]] = pair[1] === 'layout' ? pair[2] : Number(pair[2]);
+        }
+        return Rules.resolveVariant(rules);
+    }
+
+    // The variant named by a record's Variant tag, or the standard rules.
+    function getRecordVariant(tags) {
+        return tags.Variant === undefined ? Rules.STANDARD_VARIANT : parseVariant(tags.Variant);
+    }
+
+    // =================================================================
+    //                  TIME CONTROLS
+    // =================================================================
+
+    /**
+     * Writes a time control for the TimeControl tag, in seconds: '300+5' for five minutes a side
+     * and five seconds added after each move, or '10/move' for ten seconds a move.
+     * @param {object|null} [timeControl] - { baseMs, incrementMs } or { perMoveMs }.
+     * @returns {string|undefined} Nothing for a game without a clock.
+     */
+    function formatTimeControl(timeControl) {
+        if (!timeControl) return undefined;
+        if (timeControl.perMoveMs) return `${timeControl.perMoveMs / 1000}/move`;
+        return `${timeControl.baseMs / 1000}+${(timeControl.incrementMs || 0) / 1000}`;
+    }
+
+    /**
+     * @param {string} text - A TimeControl tag written by formatTimeControl().
+     * @returns {object} { baseMs, incrementMs } or { perMoveMs }.
+     * @throws {Error} If the text is not a time control.
+     */
+    function parseTimeControl(text) {
+        const perMove = /^(\d+(?:\.\d+)?)\/move$/.exec(String(text).trim());
+        if (perMove && Number(perMove[1]) > 0) return { perMoveMs: Math.round(Number(perMove[1]) * 1000) };
+        const base = /^(\d+(?:\.\d+)?)(?:\+(\d+(?:\.\d+)?))?$/.exec(String(text).trim());
+        if (base && Number(base[1]) > 0) return { baseMs: Math.round(Number(base[1]) * 1000), incrementMs: Math.round(Number(base[2] || 0) * 1000) };
+        throw new Error(`Cannot read the time control '${text}'. Use seconds and increment, as in 300+5, or seconds a move, as in 10/move.`);
+    }
+
+    /**
+     * @param {number} ms
+     * @returns {string} The time as h:mm:ss.s, as in a '[%clk 0:04:58.2]' comment.
+     */
+    function formatClock(ms) {
+        const tenths = Math.max(0, Math.round(ms / 100));
+        const seconds = (tenths % 600) / 10;
+        const minutes = Math.floor(tenths / 600) % 60;
+        const hours = Math.floor(tenths / 36000);
+        return `${hours}:${String(minutes).padStart(2, '0')}:${seconds.toFixed(1).padStart(4, '0')}`;
+    }
+
+    // =================================================================
+    //                  POSITIONS
+    // =================================================================
+
+    /**
+     * Writes a position as one line: the rows from rank 8 down to rank 1 separated by '/', each
+     * square '-' or a piece such as 'w3' ('W3' when promoted), then the side to move and the two
+     * scores, e.g. 'b8b7b6b5b4b3b2b1/.../w1w2w3w4w5w6w7w8 w 0 0'.
+     * @param {object} state - A state that is not waiting for a promotion choice.
+     * @returns {string}
+     */
+    function formatPosition(state) {
+        if (state.gameState === 'choosing_promotion') throw new Error('A position waiting for a promotion choice cannot be written.');
+        const rows = state.board.map(row => row.map(piece => {
+            if (!piece) return '-';
+            const letter = piece.color === 'white' ? 'w' : 'b';
+            return (piece.promoted ? letter.toUpperCase() : letter) + piece.number;
+        }).join(''));
+        return `${rows.join('/')} ${state.currentPlayer[0]} ${state.whiteScore} ${state.blackScore}`;
+    }
+
+    /**
+     * @param {string} text - A position written by formatPosition().
+     * @param {string|object} [variant] - The game's variant (see Rules.resolveVariant()), which
+     *        sets the board size; the standard rules by default.
+     * @returns {object} The state, with the game over if the side to move has no moves.
+     */
+    function parsePosition(text, variant) {
+        const resolved = Rules.resolveVariant(variant);
+        const size = resolved.boardSize;
+        const fields = text.trim().split(/\s+/);
+        const [rowsText, side, whiteScore, blackScore] = fields;
+        const rows = (rowsText || '').split('/');
+        if (fields.length !== 4 || rows.length !== size) throw new Error(`Position '${text}' should be ${size} rows, the side to move and both scores.`);
+        if (side !== 'w' && side !== 'b') throw new Error(`Position '${text}': the side to move must be 'w' or 'b'.`);
+        if (![whiteScore, blackScore].every(score => /^\d+$/.test(score))) throw new Error(`Position '${text}': the scores must be whole numbers.`);
+
+        const board = rows.map((rowText, row) => {
+            const squares = rowText.match(/-|[wbWB][1-8]/g) || [];
+            if (squares.join('') !== rowText || squares.length !== size) {
+                throw new Error(`Position '${text}': rank ${size - row} should be ${size} squares of '-' or pieces like w3.`);
+            }
+            return squares.map(square => square === '-' ? null : {
+                color: square[0].toLowerCase() === 'w' ? 'white' : 'black',
+                number: Number(square[1]),
+                promoted: square[0] === square[0].toUpperCase(),
+            });
+        });
+        const state = {
+            ...Rules.createInitialState(resolved),
+            board,
+            currentPlayer: side === 'w' ? 'white' : 'black',
+            whiteScore: Number(whiteScore),
+            blackScore: Number(blackScore),
+        };
+        Rules.checkGameEnd(state);
+        return state;
+    }
+
+    // =================================================================
+    //                  RECORDS
+    // =================================================================
+
+    /**
+     * @param {object} state
+     * @returns {string} '1-0', '0-1' or '1/2-1/2' for a finished game, otherwise '*'.
+     */
+    function getResult(state) {
+        if (!state.gameOver) return '*';
+        const winner = Rules.getWinner(state);
+        return winner === 'white' ? '1-0' : winner === 'black' ? '0-1' : '1/2-1/2';
+    }
+
+    /**
+     * The Score and Result tags for a state, and a Termination tag if it was lost on time. The
+     * score of a game that ran out of moves includes the promoted pieces.
+     * @param {object} state
+     * @returns {{Score: string, Result: string, Termination: (string|undefined)}}
+     */
+    function getResultTags(state) {
+        return {
+            Score: `${state.whiteScore}-${state.blackScore}`,
+            Result: getResult(state),
+            ...(state.gameOver && state.timeoutFor && { Termination: TIME_FORFEIT }),
+        };
+    }
+
+    function escapeTagValue(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    }
+
+    /**
+     * Writes a record as text.
+     * @param {{tags: object, moves: Array<string>, clocks: (Array<number|null>|undefined)}} record -
+     *        Tag values by name, the moves in the notation above and, for a game on the clock,
+     *        the mover's milliseconds left after each move (null where unknown).
+     * @returns {string}
+     */
+    function formatRecord(record) {
+        const tags = record.tags || {};
+        const names = [...TAG_ORDER.filter(name => name in tags), ...Object.keys(tags).filter(name => !TAG_ORDER.includes(name))];
+        const lines = names
+            .filter(name => tags[name] !== undefined && tags[name] !== null)
+            .map(name => `[${name} "${escapeTagValue(tags[name])}"]`);
+
+        // Moves are numbered in pairs, white first; a game that starts with black to move
+        // opens with '1...'.
+        const blackStarts = tags.Position ? parsePosition(tags.Position, getRecordVariant(tags)).currentPlayer === 'black' : false;
+        const words = record.moves.map((move, i) => {
+            const ply = i + (blackStarts ? 1 : 0);
+            const clock = record.clocks && typeof record.clocks[i] === 'number' ? ` {[%clk ${formatClock(record.clocks[i])}]}` : '';
+            if (ply % 2 === 0) return `${ply / 2 + 1}. ${move}${clock}`;
+            return i === 0 ? `1... ${move}${clock}` : `${move}${clock}`;
+        });
+        words.push(tags.Result || '*');
+
+        // Wrap the moves at about 80 characters so records diff line by line, keeping each move
+        // number with its move.
+        const moveLines = [];
+        let line = '';
+        for (const word of words) {
+            if (line && line.length + word.length + 1 > 80) {
+                moveLines.push(line);
+                line = '';
+            }
+            line = line ? `${line} ${word}` : word;
+        }
+        moveLines.push(line);
+
+        return `${lines.join('\n')}${lines.length ? '\n\n' : ''}${moveLines.join('\n')}\n`;
+    }
+
+    /**
+     * Reads a record written by formatRecord(), or by hand. Move numbers are optional, and
+     * comments in {braces} and after ';' are ignored, apart from the clock times in
+     * '{[%clk 0:04:58.2]}' comments.
+     * @param {string} text
+     * @returns {{tags: object, moves: Array<string>, clocks: (Array<number|null>|undefined)}} The
+     *          clocks are only there if the record gives a time.
+     * @throws {Error} If the text is not a record.
+     */
+    function parseRecord(text) {
+        if (typeof text !== 'string' || !text.trim()) throw new Error('The game record is empty.');
+        const tags = {};
+        const moves = [];
+        const clocks = [];
+        let result = null;
+
+        // A clock comment becomes a word of its own, so that it stays with the move before it.
+        const body = text
+            .replace(/\{[^}]*\[%clk\s+(\d+):(\d\d):(\d\d(?:\.\d+)?)\][^}]*\}/g, (comment, hours, minutes, seconds) =>
+                ` %clk=${Math.round((Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) * 1000)} `)
+            .replace(/\{[^}]*\}/g, ' ')
+            .replace(/;[^\n]*/g, ' ');
+        for (const rawLine of body.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line) continue;
+            if (line.startsWith('[')) {
+                const tag = /^\[([A-Za-z][A-Za-z0-9_]*)\s+"((?:[^"\\]|\\.)*)"\]$/.exec(line);
+                if (!tag) throw new Error(`Cannot read the tag ${line}. Tags look like [White "Human"].`);
+                tags[tag[1]] = tag[2].replace(/\\(.)/g, '$1');
+                continue;
+            }
+            for (const word of line.split(/\s+/)) {
+                const clock = /^%clk=(\d+)$/.exec(word);
+                if (clock) {
+                    if (moves.length > 0) clocks[moves.length - 1] = Number(clock[1]);
+                    continue;
+                }
+                if (result !== null) throw new Error(`'${word}' comes after the result ${result}.`);
+                if (RESULTS.includes(word)) result = word;
+                else if (/^\d+\.(\.\.)?$/.test(word)) continue;
+                else {
+                    // Moves may be written against their number, as in '1.c2-c3'.
+                    const move = word.replace(/^\d+\.(\.\.)?/, '');
+                    parseMove(move);
+                    moves.push(move);
+                }
+            }
+        }
+
+        if (result !== null && tags.Result !== undefined && tags.Result !== result) {
+            throw new Error(`The Result tag says ${tags.Result} but the moves end with ${result}.`);
+        }
+        if (tags.Result === undefined && result !== null) tags.Result = result;
+        if (tags.Result !== undefined && !RESULTS.includes(tags.Result)) {
+            throw new Error(`Unknown result '${tags.Result}'. Use one of: ${RESULTS.join(', ')}.`);
+        }
+        if (clocks.length === 0) return { tags, moves };
+        return { tags, moves, clocks: moves.map((move, i) => clocks[i] === undefined ? null : clocks[i]) };
+    }
+
+    /**
+     * Plays a record's moves with the rules of its Variant tag, from the starting position or its
+     * Position tag (which a game with a random layout must have). Every move must be legal and
+     * capture exactly the squares it lists. The last move may be a promotion that still waits for
+     * its capture to be chosen ('d7-d8='). A record that ends in a time forfeit ends with the side
+     * to move losing on time.
+     * @param {{tags: object, moves: Array<string>}} record
+     * @returns {{initialState: object, state: object, states: Array<object>, events: Array<Array<object>>}}
+     *          The state before and after the moves, the state after each move (states[0] is the
+     *          initial state), and each move's events.
+     * @throws {Error} Naming the first move that does not replay, or a tag that is invalid or
+     *         does not match the game.
+     */
+    function replayRecord(record) {
+        const tags = record.tags || {};
+        const variant = getRecordVariant(tags);
+        if (!tags.Position && variant.layout === 'random') throw new Error('A game with a random layout needs a Position tag with its starting position.');
+        const initialState = tags.Position ? parsePosition(tags.Position, variant) : Rules.createInitialState(variant);
+        if (tags.TimeControl !== undefined) parseTimeControl(tags.TimeControl);
+        const size = variant.boardSize;
+        const state = Rules.cloneState(initialState);
+        const states = [Rules.cloneState(state)];
+        const events = [];
+
+        record.moves.forEach((text, i) => {
+            const label = `Move ${i + 1} (${text})`;
+            if (state.gameState === 'choosing_promotion') throw new Error(`Move ${i} needs the square of its promotion capture, e.g. d7-d8=h4.`);
+            let move;
+            try {
+                move = parseMove(text, size);
+            } catch (err) {
+                throw new Error(`${label}: ${err.message}`);
+            }
+            const outcome = Rules.applyMove(state, move);
+            if (!outcome.valid) throw new Error(`${label}: ${outcome.reason}`);
+            const played = formatMove(outcome.events, size);
+            if (normalizeMove(played) !== normalizeMove(text)) throw new Error(`${label}: the rules play this move as ${played}.`);
+            states.push(Rules.cloneState(state));
+            events.push(outcome.events);
+        });
+
+        if (tags.Termination === TIME_FORFEIT) Rules.loseOnTime(state, state.currentPlayer);
+        const actual = getResultTags(state);
+        if (tags.Result !== undefined && tags.Result !== '*' && tags.Result !== actual.Result) {
+            throw new Error(`The Result tag says ${tags.Result} but the moves give ${actual.Result}.`);
+        }
+        if (tags.Score !== undefined && tags.Score !== actual.Score) {
+            throw new Error(`The Score tag says ${tags.Score} but the moves give ${actual.Score}.`);
+        }
+        return { initialState, state, states, events };
+    }
+
+    return {
+        squareName,
+        parseSquare,
+        formatMove,
+        parseMove,
+        formatVariant,
+        parseVariant,
+        formatPosition,
+        parsePosition,
+        formatTimeControl,
+        parseTimeControl,
+        formatClock,
+        getResult,
+        getResultTags,
+        formatRecord,
+        parseRecord,
+        replayRecord,
+    };
+});
@@ -0,0 +1,218 @@
+/**
+ * @file gameRooms.js
+ * Human-vs-human online rooms built on top of the game session store.
+ *
+ * A room wraps one server-authoritative session and adds seats (white/black), join codes and a
+ * Server-Sent Events channel. Every change to the game is pushed to both players and to any
+ * spectators, and a client that reconnects receives a full snapshot of the room.
+ */
+
+const crypto = require('crypto');
+const { serializeSession } = require('./gameSessions.js');
+
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to avoid typos
+const JOIN_CODE_LENGTH = 6;
+const HEARTBEAT_INTERVAL_MS = 25000; // Keeps proxies from closing idle event streams
+const ROOM_TTL_MS = 6 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+function generateJoinCode() {
+    let code = '';
+    for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+        code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+class GameRoomStore {
+    /**
+     * @param {GameSessionStore} sessionStore - The store that owns the rooms' game sessions.
+     */
+    constructor(sessionStore, { ttlMs = ROOM_TTL_MS } = {}) {
+        this.sessionStore = sessionStore;
+        this.ttlMs = ttlMs;
+        this.rooms = new Map();
+
+        this.heartbeatTimer = setInterval(() => this.sendHeartbeats(), HEARTBEAT_INTERVAL_MS);
+        this.heartbeatTimer.unref();
+        this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+        this.sweepTimer.unref();
+    }
+
+    /**
+     * Creates a room and seats its creator.
+     * @param {'white'|'black'} creatorColor
+     * @param {string|object} [variant] - The game's house rules (see Rules.resolveVariant()).
+     * @returns {{room: object, token: string}}
+     * @throws {Error} If the variant is invalid.
+     */
+    create(creatorColor, variant) {
+        const session = this.sessionStore.create(variant);
+        let code;
+        do {
+            code = generateJoinCode();
+        } while (this.rooms.has(code));
+
+        const room = {
+            code,
+            session,
+            seats: { white: null, black: null },
+            clients: new Set(),
+            eventId: 0,
+            updatedAt: Date.now(),
+        };
+        this.rooms.set(code, room);
+        const token = this.takeSeat(room, creatorColor);
+        return { room, token };
+    }
+
+    get(code) {
+        const room = this.rooms.get(String(code).toUpperCase());
+        if (room) room.updatedAt = Date.now();
+        return room || null;
+    }
+
+    /**
+     * Seats a second player in the first free seat.
+     * @returns {{color: string, token: string}|null} Null if both seats are taken.
+     */
+    join(room) {
+        const color = ['white', 'black'].find(c => !room.seats[c]);
+        if (!color) return null;
+        const token = this.takeSeat(room, color);
+        this.broadcastPresence(room);
+        return { color, token };
+    }
+
+    takeSeat(room, color) {
+        const token = crypto.randomBytes(16).toString('hex');
+        room.seats[color] = { token };
+        return token;
+    }
+
+    /**
+     * @returns {'white'|'black'|'spectator'} The role a token has in the room.
+     */
+    getRole(room, token) {
+        if (token) {
+            for (const color of ['white', 'black']) {
+                if (room.seats[color] && room.seats[color].token === token) return color;
+            }
+        }
+        return 'spectator';
+    }
+
+    /**
+     * Registers an open event stream. The client immediately receives a snapshot of the room,
+     * which is how a reconnecting player gets the current position back.
+     */
+    addClient(room, res, role) {
+        const client = { res, role };
+        room.clients.add(client);
+        this.send(client, 'snapshot', { role, ...this.describe(room) });
+        this.broadcastPresence(room);
+
+        res.on('close', () => {
+            room.clients.delete(client);
+            this.broadcastPresence(room);
+        });
+    }
+
+    /**
+     * Validates a move from a seated player and pushes the result to everyone in the room.
+     * @returns {object} The move outcome, or { valid: false, reason } if it was rejected.
+     */
+    playMove(room, token, fromRow, fromCol, toRow, toCol) {
+        const rejection = this.checkTurn(room, token);
+        if (rejection) return rejection;
+
+        const player = room.session.game.currentPlayer;
+        const outcome = this.sessionStore.applyMove(room.session, fromRow, fromCol, toRow, toCol);
+        if (outcome.valid) {
+            this.broadcast(room, 'move', { player, move: { fromRow, fromCol, toRow, toCol }, outcome, ...this.describe(room) });
+            this.broadcastGameOverIfNeeded(room);
+        }
+        return outcome;
+    }
+
+    /**
+     * Validates a promotion capture choice and pushes the result to everyone in the room.
+     */
+    choosePromotion(room, token, row, col) {
+        const rejection = this.checkTurn(room, token);
+        if (rejection) return rejection;
+
+        const player = room.session.game.currentPlayer;
+        const outcome = this.sessionStore.applyPromotionChoice(room.session, row, col);
+        if (outcome.valid) {
+            this.broadcast(room, 'promotion', { player, outcome, ...this.describe(room) });
+            this.broadcastGameOverIfNeeded(room);
+        }
+        return outcome;
+    }
+
+    checkTurn(room, token) {
+        const role = this.getRole(room, token);
+        if (role === 'spectator') return { valid: false, reason: 'Spectators cannot make moves.' };
+        if (!room.seats.white || !room.seats.black) return { valid: false, reason: 'Waiting for an opponent to join.' };
+        if (role !== room.session.game.currentPlayer) return { valid: false, reason: "It is your opponent's turn." };
+        return null;
+    }
+
+    broadcastGameOverIfNeeded(room) {
+        const game = room.session.game;
+        if (game.gameOver) {
+            this.broadcast(room, 'game-over', { winner: game.getWinner(), whiteScore: game.whiteScore, blackScore: game.blackScore });
+        }
+    }
+
+    broadcastPresence(room) {
+        this.broadcast(room, 'presence', this.describePresence(room));
+    }
+
+    /**
+     * Public description of a room: its code, who is seated and the canonical game.
+     */
+    describe(room) {
+        return {
+            code: room.code,
+            ...this.describePresence(room),
+            game: serializeSession(room.session),
+        };
+    }
+
+    describePresence(room) {
+        const connected = color => [...room.clients].some(c => c.role === color);
+        return {
+            players: {
+                white: room.seats.white ? { connected: connected('white') } : null,
+                black: room.seats.black ? { connected: connected('black') } : null,
+            },
+            spectators: [...room.clients].filter(c => c.role === 'spectator').length,
+        };
+    }
+
+    broadcast(room, type, data) {
+        for (const client of room.clients) this.send(client, type, data, ++room.eventId);
+    }
+
+    send(client, type, data, id) {
+        if (id !== undefined) client.res.write(`id: ${id}\n`);
+        client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    sendHeartbeats() {
+        for (const room of this.rooms.values()) {
+            for (const client of room.clients) client.res.write(': heartbeat\n\n');
+        }
+    }
+
+    sweep() {
+        const cutoff = Date.now() - this.ttlMs;
+        for (const [code, room] of this.rooms) {
+            if (room.clients.size === 0 && room.updatedAt < cutoff) this.rooms.delete(code);
+        }
+    }
+}
+
+module.exports = { GameRoomStore };
@@ -0,0 +1,168 @@
+/**
+ * @file gameSessions.js
+ * In-memory store of server-authoritative game sessions.
+ *
+ * Each session owns a headless Check10Game that holds the canonical board, scores, turn and
+ * promotion state. Clients submit moves and promotion choices; the session validates them with
+ * the game rules and records what actually happened, so the server is the single source of truth.
+ * Sessions also keep their moves in the text notation of gameRecord.js, so a game can be exported
+ * as a record and a record imported as a new session.
+ */
+
+const crypto = require('crypto');
+const Rules = require('./rules.js');
+const { Check10Game } = require('./gameLogic.js');
+const GameRecord = require('./gameRecord.js');
+
+const SESSION_TTL_MS = 6 * 60 * 60 * 1000; // Sessions idle for 6 hours are discarded
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+class GameSessionStore {
+    constructor({ ttlMs = SESSION_TTL_MS } = {}) {
+        this.ttlMs = ttlMs;
+        this.sessions = new Map();
+
+        // Periodically drop abandoned sessions. unref() so the timer never keeps the process alive.
+        this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+        this.sweepTimer.unref();
+    }
+
+    /**
+     * Creates a new session from the starting position.
+     * @param {string|object} [variant] - The game's house rules (see Rules.resolveVariant());
+     *        the standard rules by default.
+     * @returns {object} The new session.
+     * @throws {Error} If the variant is invalid.
+     */
+    create(variant) {
+        const game = new Check10Game();
+        game.initializeBoardData(variant);
+
+        const now = Date.now();
+        const session = {
+            id: crypto.randomUUID(),
+            game,
+            initialState: game.getState(),
+            moves: [],
+            notation: [], // The moves in record notation; a promotion choice completes its move's entry
+            tags: {}, // Extra record tags, e.g. those of an imported record
+            createdAt: now,
+            updatedAt: now,
+        };
+        this.sessions.set(session.id, session);
+        return session;
+    }
+
+    /**
+     * Creates a session by replaying a game record (see gameRecord.js). A record that ends with
+     * [Termination "time forfeit"] leaves the game lost on time by the side to move.
+     * @param {{tags: object, moves: Array<string>}} record
+     * @returns {object} The new session.
+     * @throws {Error} If the record does not replay.
+     */
+    importRecord(record) {
+        const { initialState, state: finalState } = GameRecord.replayRecord(record);
+        const session = this.create();
+        const { Score, Result, Termination, Variant, ...tags } = record.tags; // Written again from the game
+        session.tags = tags;
+        session.game.hydrateFromServerState(Rules.cloneState(initialState));
+        session.initialState = Rules.cloneState(initialState);
+
+        for (const text of record.moves) {
+            const move = GameRecord.parseMove(text, initialState.board.length);
+            this.applyMove(session, move.fromRow, move.fromCol, move.toRow, move.toCol);
+            if (move.promotionCapture && session.game.gameState === 'choosing_promotion') {
+                this.applyPromotionChoice(session, move.promotionCapture.row, move.promotionCapture.col);
+            }
+        }
+        if (finalState.timeoutFor) Rules.loseOnTime(session.game, finalState.timeoutFor);
+        return session;
+    }
+
+    get(id) {
+        const session = this.sessions.get(id);
+        if (session) session.updatedAt = Date.now();
+        return session || null;
+    }
+
+    /**
+     * Validates and plays a move in the session.
+     * @returns {object} The outcome from Check10Game.makeMove().
+     */
+    applyMove(session, fromRow, fromCol, toRow, toCol) {
+        const player = session.game.currentPlayer;
+        const outcome = session.game.makeMove(fromRow, fromCol, toRow, toCol);
+        if (outcome.valid) {
+            session.moves.push({ type: 'move', player, fromRow, fromCol, toRow, toCol, pointsScored: outcome.pointsScored });
+            session.notation.push(GameRecord.formatMove(outcome.events, session.game.board.length));
+            session.updatedAt = Date.now(); // Room games are played without get()
+        }
+        return outcome;
+    }
+
+    /**
+     * Validates and applies a promotion capture choice in the session.
+     * @returns {object} The outcome from Check10Game.choosePromotionCapture().
+     */
+    applyPromotionChoice(session, row, col) {
+        const player = session.game.currentPlayer;
+        const outcome = session.game.choosePromotionCapture(row, col);
+        if (outcome.valid) {
+            session.moves.push({ type: 'promotion', player, row, col, pointsScored: outcome.pointsScored });
+            session.notation[session.notation.length - 1] += GameRecord.formatMove(outcome.events, session.game.board.length);
+            session.updatedAt = Date.now();
+        }
+        return outcome;
+    }
+
+    sweep() {
+        const cutoff = Date.now() - this.ttlMs;
+        for (const [id, session] of this.sessions) {
+            if (session.updatedAt < cutoff) this.sessions.delete(id);
+        }
+    }
+}
+
+/**
+ * Builds the JSON view of a session that is returned to clients.
+ * @param {object} session
+ * @returns {object}
+ */
+function serializeSession(session) {
+    return {
+        id: session.id,
+        ...session.game.getState(),
+        winner: session.game.getWinner(),
+        moves: session.moves,
+    };
+}
+
+// The Variant tag of a session with house rules, and the Position tag of one whose starting
+// layout was random (its start cannot be recreated from the variant).
+function getVariantTags(session) {
+    const variant = Rules.getVariant(session.game);
+    if (variant === Rules.STANDARD_VARIANT) return {};
+    const tags = { Variant: GameRecord.formatVariant(variant) };
+    if (variant.layout === 'random' && !session.tags.Position) tags.Position = GameRecord.formatPosition(session.initialState);
+    return tags;
+}
+
+/**
+ * Builds the game record of a session, for GameRecord.formatRecord().
+ * @param {object} session
+ * @returns {{tags: object, moves: Array<string>}}
+ */
+function getSessionRecord(session) {
+    return {
+        tags: {
+            Event: 'Check 10 game',
+            Date: new Date(session.createdAt).toISOString().slice(0, 10).replace(/-/g, '.'),
+            ...session.tags,
+            ...getVariantTags(session),
+            ...GameRecord.getResultTags(session.game.getState()),
+        },
+        moves: session.notation,
+    };
+}
+
+module.exports = { GameSessionStore, serializeSession, getSessionRecord };
@@ -0,0 +1,63 @@
+/**
+ * @file logger.js
+ * Structured logs: one JSON object per line on stdout, e.g.
+ *   {"time":"2026-10-19T12:00:00.000Z","level":"info","msg":"search finished","requestId":"…","depth":7}
+ * so that the server's logs can be searched and graphed by field.
+ *
+ * LOG_LEVEL ('debug', 'info', 'warn' or 'error'; 'info' by default) sets the lowest level written.
+ * The search's progress at each depth is logged at 'debug'.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors do not turn into JSON by themselves.
+function toLoggable(value) {
+    if (value instanceof Error) return { message: value.message, ...(value.code && { code: value.code }), stack: value.stack };
+    return value;
+}
+
+class Logger {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.fields] - Fields written with every line (e.g. a request ID).
+     * @param {string} [options.level] - The lowest level written; LOG_LEVEL or 'info' by default.
+     * @param {function(string): void} [options.write] - Writes one line; stdout by default.
+     */
+    constructor({ fields = {}, level = process.env.LOG_LEVEL || 'info', write = line => process.stdout.write(line + '\n') } = {}) {
+        if (!Object.hasOwn(LEVELS, level)) throw new Error(`Unknown log level '${level}'. Use one of: ${Object.keys(LEVELS).join(', ')}.`);
+        this.fields = fields;
+        this.level = level;
+        this.write = write;
+    }
+
+    /**
+     * @param {object} fields
+     * @returns {Logger} A logger that adds these fields to every line.
+     */
+    child(fields) {
+        return new Logger({ fields: { ...this.fields, ...fields }, level: this.level, write: this.write });
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    /**
+     * @param {string} level
+     * @param {string} msg - What happened, the same text for every line of its kind.
+     * @param {object} [fields] - The details.
+     */
+    log(level, msg, fields = {}) {
+        if (!this.isEnabled(level)) return;
+        const entry = { time: new Date().toISOString(), level, msg, ...this.fields };
+        for (const [key, value] of Object.entries(fields)) entry[key] = toLoggable(value);
+        this.write(JSON.stringify(entry));
+    }
+
+    debug(msg, fields) { this.log('debug', msg, fields); }
+    info(msg, fields) { this.log('info', msg, fields); }
+    warn(msg, fields) { this.log('warn', msg, fields); }
+    error(msg, fields) { this.log('error', msg, fields); }
+}
+
+module.exports = { Logger, LEVELS };
@@ -0,0 +1,251 @@
+/**
+ * @file match.js
+ * Engine-vs-engine matches, for comparing two search configurations by results instead of by feel.
+ *
+ * Each engine gets its own search pool (see searchPool.js), so the two never share a transposition
+ * table. Games are played in pairs from the same random opening, once with each engine as white,
+ * so that neither the opening nor the first move favours one side. The command-line front end is
+ * scripts/runMatch.js.
+ */
+
+const Rules = require('./rules.js');
+const { Check10Game } = require('./gameLogic.js');
+const { SearchPool } = require('./searchPool.js');
+const { AI_STRENGTH_PROFILES } = require('./search.js');
+const { findWeightProfile } = require('./evaluation.js');
+
+const DEFAULT_OPENING_PLIES = 4;
+const DEFAULT_HASH_SIZE_MB = 16; // Per engine
+const MAX_OPENING_ATTEMPTS = 100;
+// Two-sided 95% confidence for the Elo error bars.
+const CONFIDENCE_Z = 1.96;
+
+// Short names for the profile fields in an engine configuration (see parseEngineConfig()).
+const PROFILE_KEYS = { depth: 'maxDepth', time: 'thinkingTimeMs', noise: 'scoreNoise', blunder: 'blunderChance' };
+
+// Small seeded PRNG (mulberry32) so the openings are reproducible.
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// =================================================================
+//                  ENGINES AND OPENINGS
+// =================================================================
+
+/**
+ * Reads an engine configuration: a strength profile name from search.js, optionally followed by
+ * overrides, e.g. "strong", "moderate,depth=3" or "depth=4,time=500" (which starts from "strong").
+ * The overrides are depth (maxDepth), time (thinkingTimeMs), noise (scoreNoise), blunder
+ * (blunderChance) and weights: an evaluation weight profile in weights/ or a profile file, e.g.
+ * "strong,weights=tuned" or "strong,weights=/tmp/candidate.json".
+ * @param {string} text
+ * @returns {{name: string, profile: object}}
+ * @throws {Error} If the profile name or an override is unknown or not a number.
+ */
+function parseEngineConfig(text) {
+    const parts = String(text).split(',').map(part => part.trim()).filter(Boolean);
+    const base = parts.length && !parts[0].includes('=') ? parts.shift() : 'strong';
+    if (!AI_STRENGTH_PROFILES[base]) {
+        throw new Error(`Unknown profile '${base}'. Use one of: ${Object.keys(AI_STRENGTH_PROFILES).join(', ')}.`);
+    }
+    const profile = { ...AI_STRENGTH_PROFILES[base] };
+    for (const part of parts) {
+        const [key, value, ...rest] = part.split('=');
+        if (key === 'weights' && value && !rest.length) {
+            profile.weights = findWeightProfile(value);
+            continue;
+        }
+        if (!PROFILE_KEYS[key] || rest.length) {
+            throw new Error(`Cannot read '${part}'. Use ${Object.keys(PROFILE_KEYS).map(k => `${k}=<number>`).join(', ')} or weights=<profile>.`);
+        }
+        const number = Number(value);
+        if (value === undefined || value === '' || !Number.isFinite(number) || number < 0) {
+            throw new Error(`'${key}' must be a non-negative number, not '${value}'.`);
+        }
+        profile[PROFILE_KEYS[key]] = number;
+    }
+    return { name: String(text), profile };
+}
+
+/**
+ * Plays random moves (and random promotion choices) from the start.
+ * @param {number} plies - Moves to play.
+ * @param {function(): number} random
+ * @returns {object} The game state after the opening, with the game still going.
+ */
+function createRandomOpening(plies, random) {
+    for (let attempt = 0; attempt < MAX_OPENING_ATTEMPTS; attempt++) {
+        const game = new Check10Game();
+        game.initializeBoardData();
+        for (let ply = 0; ply < plies && !game.gameOver; ply++) {
+            const moves = game.getAllPossibleMovesForPlayer(game.currentPlayer);
+            const move = moves[Math.floor(random() * moves.length)];
+            const outcome = game.makeMove(move.fromRow, move.fromCol, move.toRow, move.toCol);
+            if (outcome.awaitingPromotionChoice) {
+                const choice = game.promotionChoices[Math.floor(random() * game.promotionChoices.length)];
+                game.choosePromotionCapture(choice.row, choice.col);
+            }
+        }
+        if (!game.gameOver) return game.getState();
+    }
+    throw new Error(`Could not find a ${plies}-move opening that does not end the game.`);
+}
+
+// =================================================================
+//                  PLAYING GAMES
+// =================================================================
+
+/**
+ * Plays one game between two engines.
+ * @param {object} openingState - The state to start from (see createRandomOpening()).
+ * @param {{white: SearchPool, black: SearchPool}} pools - The engine for each side.
+ * @param {{white: object, black: object}} profiles - Each side's search profile.
+ * @returns {Promise<{winner: 'white'|'black'|'draw', whiteScore: number, blackScore: number, plies: number,
+ *          states: Array<object>}>} The final scores include the promoted pieces; `states` are the
+ *          positions the engines moved in, in order.
+ */
+async function playGame(openingState, pools, profiles) {
+    const game = new Check10Game();
+    game.hydrateFromServerState(Rules.cloneState(openingState)); // The game plays on its own board
+    let plies = 0;
+    const states = [];
+    while (!game.gameOver) {
+        const side = game.currentPlayer;
+        if (game.gameState === 'choosing_promotion') {
+            const { result } = await pools[side].choosePromotion(game.getState(), profiles[side]);
+            game.choosePromotionCapture(result.row, result.col);
+            continue;
+        }
+        const state = game.getState();
+        const { result: move } = await pools[side].search(state, profiles[side]);
+        if (!move) { // No moves: only possible in a state the rules have not ended yet
+            game.checkGameEnd();
+            break;
+        }
+        const outcome = game.makeMove(move.fromRow, move.fromCol, move.toRow, move.toCol);
+        if (!outcome.valid) throw new Error(`The ${side} engine played an illegal move: ${outcome.reason}`);
+        states.push(state);
+        plies++;
+        // A promotion with several matches: the search has already chosen its capture.
+        if (outcome.awaitingPromotionChoice && move.promotionCapture) {
+            game.choosePromotionCapture(move.promotionCapture.row, move.promotionCapture.col);
+        }
+    }
+    return { winner: game.getWinner(), whiteScore: game.whiteScore, blackScore: game.blackScore, plies, states };
+}
+
+/**
+ * Plays a match between engine A and engine B. Game pairs share a random opening, and A plays
+ * white in the first game of each pair.
+ * @param {object} options
+ * @param {{name: string, profile: object}} options.engineA - See parseEngineConfig().
+ * @param {{name: string, profile: object}} options.engineB
+ * @param {number} [options.games=2] - Games to play; rounded up to an even number.
+ * @param {number} [options.openingPlies=4] - Random moves before the engines take over.
+ * @param {number} [options.seed=1] - Seed for the openings.
+ * @param {number} [options.hashSizeMb=16] - Transposition table size of each engine.
+ * @param {function(object): void} [options.onGame] - Called with each game's result (see
+ *        runMatch()'s return value) as soon as it is finished.
+ * @param {boolean} [options.keepStates=false] - Also keep each game's `states` (see playGame()),
+ *        e.g. to tune the evaluation on them.
+ * @returns {Promise<{games: Array<object>, summary: object}>} Each game as { game, opening, aWhite,
+ *          result, margin, whiteScore, blackScore, plies }, where result ('win', 'draw' or 'loss')
+ *          and margin (final score difference) are from engine A's point of view; and the
+ *          summary from summarizeMatch().
+ */
+async function runMatch({ engineA, engineB, games = 2, openingPlies = DEFAULT_OPENING_PLIES, seed = 1, hashSizeMb = DEFAULT_HASH_SIZE_MB, onGame = () => {}, keepStates = false }) {
+    const poolA = new SearchPool({ size: 1, hashSizeMb, silent: true });
+    const poolB = new SearchPool({ size: 1, hashSizeMb, silent: true });
+    const random = createRandom(seed);
+    const results = [];
+    try {
+        for (let pair = 0; results.length < games; pair++) {
+            const opening = createRandomOpening(openingPlies, random);
+            for (const aWhite of [true, false]) {
+                const pools = aWhite ? { white: poolA, black: poolB } : { white: poolB, black: poolA };
+                const profiles = aWhite ? { white: engineA.profile, black: engineB.profile } : { white: engineB.profile, black: engineA.profile };
+                const { winner, whiteScore, blackScore, plies, states } = await playGame(opening, pools, profiles);
+                const aColor = aWhite ? 'white' : 'black';
+                const game = {
+                    game: results.length + 1,
+                    opening: pair + 1,
+                    aWhite,
+                    result: winner === 'draw' ? 'draw' : winner === aColor ? 'win' : 'loss',
+                    margin: aWhite ? whiteScore - blackScore : blackScore - whiteScore,
+                    whiteScore,
+                    blackScore,
+                    plies,
+                    ...(keepStates && { states }),
+                };
+                results.push(game);
+                onGame(game);
+            }
+        }
+    } finally {
+        await Promise.all([poolA.close(), poolB.close()]);
+    }
+    return { games: results, summary: summarizeMatch(results) };
+}
+
+// =================================================================
+//                  STATISTICS
+// =================================================================
+
+/**
+ * @param {number} scoreRate - Points per game (a win is 1, a draw 0.5), between 0 and 1.
+ * @returns {number} The Elo difference that predicts that score; ±Infinity for 1 and 0.
+ */
+function eloDifference(scoreRate) {
+    if (scoreRate <= 0) return -Infinity;
+    if (scoreRate >= 1) return Infinity;
+    return 400 * Math.log10(scoreRate / (1 - scoreRate));
+}
+
+/**
+ * Summarizes a match from engine A's point of view.
+ * @param {Array<{result: string, margin: number}>} games - From runMatch().
+ * @returns {{games: number, wins: number, draws: number, losses: number, scoreRate: number,
+ *            averageMargin: number, elo: number, eloError: number}} The Elo difference of A over B,
+ *          and the half-width of its 95% confidence interval (from the spread of the game results;
+ *          Infinity when the interval reaches a 0% or 100% score).
+ */
+function summarizeMatch(games) {
+    const count = games.length;
+    const wins = games.filter(g => g.result === 'win').length;
+    const draws = games.filter(g => g.result === 'draw').length;
+    const losses = count - wins - draws;
+    const points = g => (g.result === 'win' ? 1 : g.result === 'draw' ? 0.5 : 0);
+    const scoreRate = count ? (wins + draws / 2) / count : 0.5;
+    const variance = count ? games.reduce((sum, g) => sum + (points(g) - scoreRate) ** 2, 0) / count : 0;
+    const spread = CONFIDENCE_Z * Math.sqrt(variance / Math.max(count, 1));
+    const elo = eloDifference(scoreRate);
+    const eloError = Number.isFinite(elo) ? (eloDifference(scoreRate + spread) - eloDifference(scoreRate - spread)) / 2 : Infinity;
+    return {
+        games: count,
+        wins,
+        draws,
+        losses,
+        scoreRate,
+        averageMargin: count ? games.reduce((sum, g) => sum + g.margin, 0) / count : 0,
+        elo,
+        eloError,
+    };
+}
+
+module.exports = {
+    createRandom,
+    parseEngineConfig,
+    createRandomOpening,
+    playGame,
+    runMatch,
+    eloDifference,
+    summarizeMatch,
+    DEFAULT_OPENING_PLIES,
+};
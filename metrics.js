@@ -0,0 +1,220 @@
+/**
+ * @file metrics.js
+ * Counters, gauges and histograms in the Prometheus text format, served by the server's /metrics,
+ * and the engine's metrics: how long searches take, how deep and wide they go and how often the
+ * transposition table helps. Comparing them before and after a change shows whether it made the
+ * AI slower or shallower.
+ *
+ * Only what the server needs of the format is here: metrics with labels, and cumulative
+ * histogram buckets (https://prometheus.io/docs/instrumenting/exposition_formats/).
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+// The series of a metric, one per combination of label values.
+class Metric {
+    constructor(type, name, help) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.series = new Map(); // label key -> { labels, ... }
+    }
+
+    getSeries(labels, create) {
+        const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+        let series = this.series.get(key);
+        if (!series) {
+            series = { labels, ...create() };
+            this.series.set(key, series);
+        }
+        return series;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const series of this.series.values()) lines.push(...this.renderSeries(series));
+        return lines.join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help) {
+        super('counter', name, help);
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.getSeries(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    renderSeries({ labels, value }) {
+        return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+    }
+}
+
+class Gauge extends Metric {
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {function(Gauge): void} [collect] - Sets the gauge's values just before it is rendered.
+     */
+    constructor(name, help, collect) {
+        super('gauge', name, help);
+        this.collect = collect;
+    }
+
+    set(labels, value) {
+        this.getSeries(labels, () => ({ value: 0 })).value = value;
+    }
+
+    render() {
+        if (this.collect) this.collect(this);
+        return super.render();
+    }
+
+    renderSeries({ labels, value }) {
+        return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+    }
+}
+
+class Histogram extends Metric {
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {Array<number>} buckets - The upper bounds, in increasing order.
+     */
+    constructor(name, help, buckets) {
+        super('histogram', name, help);
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    renderSeries({ labels, counts, sum, count }) {
+        return [
+            ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`),
+            `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+            `${this.name}_count${formatLabels(labels)} ${count}`,
+        ];
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        if (this.metrics.some(m => m.name === metric.name)) throw new Error(`A metric named '${metric.name}' is already registered.`);
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help) { return this.register(new Counter(name, help)); }
+    gauge(name, help, collect) { return this.register(new Gauge(name, help, collect)); }
+    histogram(name, help, buckets) { return this.register(new Histogram(name, help, buckets)); }
+
+    /**
+     * @returns {string} Every metric in the Prometheus text format.
+     */
+    render() {
+        return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+// =================================================================
+//                  ENGINE METRICS
+// =================================================================
+
+/**
+ * Creates the engine's metrics. Searches are labelled with their task: 'best-move',
+ * 'best-promotion' or 'analyze' (one search per position of an analysed game).
+ * @param {object} [options]
+ * @param {function(): {workers: number, busy: number, queued: number}} [options.getPoolStats] -
+ *        The search pool's state (see SearchPool.getStats()), read for each scrape.
+ * @returns {{registry: Registry, recordSearch: function, recordBookMove: function, recordLimited: function, recordWorkerCrash: function}}
+ */
+function createEngineMetrics({ getPoolStats } = {}) {
+    const registry = new Registry();
+    const searches = registry.counter('check10_searches_total', 'Searches by task and outcome (ok, cancelled, rejected or failed).');
+    const duration = registry.histogram('check10_search_duration_seconds', 'Time from asking the search pool to its answer, waiting included.',
+        [0.05, 0.1, 0.25, 0.5, 1, 2, 3, 5, 8, 10, 15, 30]);
+    const depth = registry.histogram('check10_search_depth', 'The deepest iteration a search completed.', [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 12, 15]);
+    const nodes = registry.histogram('check10_search_nodes', 'Positions visited by a search.', [1e2, 1e3, 1e4, 1e5, 3e5, 1e6, 3e6, 1e7, 3e7]);
+    const nodesPerSecond = registry.histogram('check10_search_nodes_per_second', 'Search speed: positions visited per second of searching.',
+        [1e4, 3e4, 1e5, 2e5, 4e5, 7e5, 1e6, 2e6, 4e6]);
+    const tableProbes = registry.counter('check10_transposition_table_probes_total', 'Transposition table look-ups by result (hit or miss).');
+    const tableHitRate = registry.histogram('check10_transposition_table_hit_rate', 'The share of a search\'s look-ups that found an entry.',
+        [0.05, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1]);
+    const stops = registry.counter('check10_search_stops_total', 'Why searches stopped: time-limit (a cutoff), max-depth, decided, clear-best, cancelled, move-now or random-move.');
+    const bookMoves = registry.counter('check10_book_moves_total', 'AI moves played from the opening book, without a search.');
+    const limited = registry.counter('check10_requests_limited_total', 'AI requests answered 429, by limit (rate or concurrency).');
+    const workerCrashes = registry.counter('check10_search_worker_crashes_total', 'Search worker threads that crashed and were replaced.');
+    if (getPoolStats) {
+        registry.gauge('check10_search_pool', 'The search pool: worker threads, busy workers and queued searches.', gauge => {
+            const stats = getPoolStats();
+            for (const state of ['workers', 'busy', 'queued']) gauge.set({ state }, stats[state]);
+        });
+    }
+    registry.gauge('check10_uptime_seconds', 'Seconds since the server started.', gauge => gauge.set({}, Math.round(process.uptime())));
+
+    return {
+        registry,
+        /**
+         * @param {string} task
+         * @param {string} outcome - 'ok', 'cancelled', 'rejected' or 'failed'.
+         * @param {number} seconds
+         * @param {object|null} [stats] - The search's statistics (see search.js's getLastSearchStats()).
+         */
+        recordSearch(task, outcome, seconds, stats) {
+            searches.inc({ task, outcome });
+            duration.observe({ task }, seconds);
+            if (!stats) return;
+            if (stats.stopReason) stops.inc({ task, reason: stats.stopReason });
+            if (stats.stopReason === 'random-move') return; // Nothing was searched
+            depth.observe({ task }, stats.depth);
+            nodes.observe({ task }, stats.nodes);
+            if (stats.elapsedMs > 0) nodesPerSecond.observe({ task }, Math.round(stats.nodes / (stats.elapsedMs / 1000)));
+            const table = stats.transpositionTable;
+            if (table && table.probes > 0) {
+                tableProbes.inc({ result: 'hit' }, table.hits);
+                tableProbes.inc({ result: 'miss' }, table.misses);
+                tableHitRate.observe({ task }, table.hitRate);
+            }
+        },
+        recordBookMove() {
+            bookMoves.inc();
+        },
+        recordLimited(limit) {
+            limited.inc({ limit });
+        },
+        recordWorkerCrash() {
+            workerCrashes.inc();
+        },
+    };
+}
+
+module.exports = { Registry, Counter, Gauge, Histogram, createEngineMetrics, CONTENT_TYPE };
@@ -0,0 +1,175 @@
+/**
+ * @file openingBook.js
+ * The opening book: moves for the first positions of a game, searched in advance, so that the AI
+ * plays its opening moves instantly and not always the same way.
+ *
+ * A book file (book/openingBook.json unless OPENING_BOOK names another, written by
+ * scripts/buildBook.js) maps position keys (see zobrist.js, as 16 hex digits) to weighted moves
+ * in record notation (see gameRecord.js):
+ *   { "version": 1, "evalProfile": "default", "positions": { "<key>": [{ "move": "c2-c3", "weight": 100, "score": 0.4 }] } }
+ * The book is built with one evaluation weight profile, and is only used for searches with it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Rules = require('./rules.js');
+const GameRecord = require('./gameRecord.js');
+const { calculateZobristKey } = require('./zobrist.js');
+const { SearchPool } = require('./searchPool.js');
+const { DEFAULT_WEIGHT_PROFILE } = require('./evaluation.js');
+
+const BOOK_VERSION = 1;
+const DEFAULT_BOOK_FILE = path.join(__dirname, 'book', 'openingBook.json');
+const MAX_WEIGHT = 100;
+
+/**
+ * @param {object} gameState - { board, currentPlayer, whiteScore, blackScore, variant? }
+ * @returns {string} The position's key in a book. The key includes the variant's rules, so the
+ *          book's standard positions are never played in a variant.
+ */
+function getBookKey(gameState) {
+    return calculateZobristKey(gameState.board, gameState.currentPlayer, gameState.whiteScore, gameState.blackScore, gameState.variant).toString(16).padStart(16, '0');
+}
+
+class OpeningBook {
+    /**
+     * @param {object} [book] - The contents of a book file.
+     * @param {string} [book.evalProfile='default'] - The weight profile the book was built with.
+     * @param {object} [book.positions] - Weighted moves by position key.
+     */
+    constructor({ evalProfile = DEFAULT_WEIGHT_PROFILE, positions = {}, ...info } = {}) {
+        this.evalProfile = evalProfile;
+        this.positions = positions;
+        this.info = info; // Anything else in the file, e.g. how it was built
+    }
+
+    /**
+     * @param {string} file
+     * @returns {OpeningBook}
+     * @throws {Error} If the file cannot be read or is not a book of this version.
+     */
+    static load(file) {
+        let book;
+        try {
+            book = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            throw new Error(`Cannot read opening book ${file}: ${err.message}`);
+        }
+        if (!book || book.version !== BOOK_VERSION || typeof book.positions !== 'object' || book.positions === null) {
+            throw new Error(`${file} is not a version ${BOOK_VERSION} opening book.`);
+        }
+        const { version, ...rest } = book;
+        return new OpeningBook(rest);
+    }
+
+    get size() {
+        return Object.keys(this.positions).length;
+    }
+
+    /**
+     * @param {object} gameState
+     * @returns {Array<{move: string, weight: number, score: number}>} The book moves for the
+     *          position, or an empty array.
+     */
+    getMoves(gameState) {
+        const key = getBookKey(gameState);
+        return Object.hasOwn(this.positions, key) ? this.positions[key] : [];
+    }
+
+    /**
+     * Picks one of the position's book moves at random, in proportion to their weights.
+     * @param {object} gameState - A 'playing' game state.
+     * @param {function(): number} [random=Math.random]
+     * @returns {object|null} The move in the client's format (as from search.js), with its
+     *          `notation`; null if the book has no move for the position.
+     */
+    pickMove(gameState, random = Math.random) {
+        if (gameState.gameOver || (gameState.gameState && gameState.gameState !== 'playing')) return null;
+        // A move only counts if the rules play it exactly as written, which also guards against
+        // a key collision with a position the book was not built for.
+        const playable = this.getMoves(gameState).filter(entry => {
+            try {
+                const { events, valid } = Rules.getMoveEvents({ ...Rules.createInitialState(), ...gameState }, toApiMove(gameState.board, entry.move));
+                return valid && GameRecord.formatMove(events) === entry.move;
+            } catch (err) {
+                return false; // Not a move at all
+            }
+        });
+        const total = playable.reduce((sum, entry) => sum + entry.weight, 0);
+        if (total <= 0) return null;
+        let roll = random() * total;
+        const entry = playable.find(e => (roll -= e.weight) < 0) || playable[playable.length - 1];
+        return { ...toApiMove(gameState.board, entry.move), notation: entry.move };
+    }
+
+    toJSON() {
+        return { version: BOOK_VERSION, ...this.info, evalProfile: this.evalProfile, positions: this.positions };
+    }
+
+    /**
+     * @param {string} file
+     */
+    save(file) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(this, null, 1) + '\n');
+    }
+}
+
+// A move in record notation as a move in the client's format.
+function toApiMove(board, notation) {
+    const { fromRow, fromCol, toRow, toCol, promotionCapture } = GameRecord.parseMove(notation);
+    const piece = board[fromRow][fromCol];
+    return { fromRow, fromCol, toRow, toCol, piece: piece && { ...piece }, ...(promotionCapture && { promotionCapture }) };
+}
+
+/**
+ * Builds a book by searching the early tree from the start: in each position, the moves within
+ * `margin` points of the best are kept (the best with weight 100, the others less the further
+ * they are behind), and the positions after them are searched in turn, down to `plies` moves.
+ * @param {object} options
+ * @param {object} options.profile - The search profile (see search.js); `weights` selects the
+ *        evaluation, which must match `evalProfile`.
+ * @param {string} [options.evalProfile='default'] - The name of the weight profile.
+ * @param {number} [options.plies=4] - Moves from the start that the book covers.
+ * @param {number} [options.multiPv=3] - Moves considered in each position.
+ * @param {number} [options.margin=0.5] - How far behind the best move a book move may be.
+ * @param {object} [options.startState] - The position to start from; the standard start by default.
+ * @param {function(object): void} [options.onPosition] - Called after each position with
+ *        { ply, key, moves, searched, queued }.
+ * @returns {Promise<OpeningBook>}
+ */
+async function buildOpeningBook({ profile, evalProfile = DEFAULT_WEIGHT_PROFILE, plies = 4, multiPv = 3, margin = 0.5, startState = Rules.createInitialState(), onPosition = () => {} }) {
+    const pool = new SearchPool({ size: 1, silent: true });
+    const positions = {};
+    const queue = [{ state: Rules.cloneState(startState), ply: 0 }];
+    try {
+        while (queue.length > 0) {
+            const { state, ply } = queue.shift();
+            const key = getBookKey(state);
+            if (Object.hasOwn(positions, key)) continue; // Reached by another move order
+            const { candidates } = await pool.search(state, profile, { multiPv });
+            if (!candidates || candidates.length === 0) continue;
+
+            const best = candidates[0].score;
+            const kept = candidates.filter(c => best - c.score <= margin);
+            positions[key] = kept.map(c => ({
+                move: c.notation,
+                weight: margin > 0 ? Math.max(1, Math.round(MAX_WEIGHT * (1 - (best - c.score) / (2 * margin)))) : MAX_WEIGHT,
+                score: c.score,
+            }));
+            if (ply + 1 < plies) {
+                for (const candidate of kept) {
+                    const next = Rules.cloneState(state);
+                    Rules.applyMove(next, candidate);
+                    if (!next.gameOver && next.gameState === 'playing') queue.push({ state: next, ply: ply + 1 });
+                }
+            }
+            onPosition({ ply, key, moves: positions[key], searched: Object.keys(positions).length, queued: queue.length });
+        }
+    } finally {
+        await pool.close();
+    }
+    return new OpeningBook({ evalProfile, built: { plies, multiPv, margin, profile: { ...profile, weights: undefined } }, positions });
+}
+
+module.exports = { OpeningBook, buildOpeningBook, getBookKey, DEFAULT_BOOK_FILE };
@@ -0,0 +1,197 @@
+/**
+ * @file puzzles.js
+ * Combination puzzles: positions where the side to move has one clearly best line that scores
+ * within a few plies, with a sum-to-10 combination or a promotion capture. Seeing those before the
+ * opponent does is what the game turns on, and puzzles train exactly that.
+ *
+ * A puzzle set file (puzzles/puzzles.json unless PUZZLES names another, written by
+ * scripts/buildPuzzles.js) lists puzzles in the standard rules:
+ *   { "version": 1, "puzzles": [{ "id": "<key>", "position": "<position>", "solution": ["c3-d4xd5"], "gain": 7, "score": 6.5 }] }
+ * The position is written as in gameRecord.js, with the solver to move. The solution alternates
+ * the solver's moves with the opponent's best replies, in record notation, and ends with the move
+ * that scores; gain is the points that move scores and score the solution's search value.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Rules = require('./rules.js');
+const GameRecord = require('./gameRecord.js');
+const { Check10Game } = require('./gameLogic.js');
+const { calculateZobristKey } = require('./zobrist.js');
+const { SearchPool } = require('./searchPool.js');
+const { createRandom, createRandomOpening, playGame, DEFAULT_OPENING_PLIES } = require('./match.js');
+
+const PUZZLE_SET_VERSION = 1;
+const DEFAULT_PUZZLE_FILE = path.join(__dirname, 'puzzles', 'puzzles.json');
+// How far ahead of every other move the solver's moves must be, in points: the others are at
+// least mistakes (see analysis.js), so there is one solution and not a choice of good moves.
+const DEFAULT_MARGIN = 3;
+const DEFAULT_MAX_PLIES = 3;
+// Games played in search of puzzles before generatePuzzles() gives up, per puzzle asked for.
+const MAX_GAMES_PER_PUZZLE = 5;
+
+/**
+ * @param {object} state - { board, currentPlayer, whiteScore, blackScore }
+ * @returns {string} The position's key (see zobrist.js) as 16 hex digits, which also identifies
+ *          its puzzle.
+ */
+function getPuzzleId(state) {
+    return calculateZobristKey(state.board, state.currentPlayer, state.whiteScore, state.blackScore).toString(16).padStart(16, '0');
+}
+
+class PuzzleSet {
+    /**
+     * @param {object} [set] - The contents of a puzzle set file.
+     * @param {Array<object>} [set.puzzles]
+     */
+    constructor({ puzzles = [], ...info } = {}) {
+        this.puzzles = puzzles;
+        this.info = info; // Anything else in the file, e.g. how it was generated
+    }
+
+    /**
+     * @param {string} file
+     * @returns {PuzzleSet}
+     * @throws {Error} If the file cannot be read or is not a puzzle set of this version.
+     */
+    static load(file) {
+        let set;
+        try {
+            set = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            throw new Error(`Cannot read puzzle set ${file}: ${err.message}`);
+        }
+        if (!set || set.version !== PUZZLE_SET_VERSION || !Array.isArray(set.puzzles)) {
+            throw new Error(`${file} is not a version ${PUZZLE_SET_VERSION} puzzle set.`);
+        }
+        const { version, ...rest } = set;
+        return new PuzzleSet(rest);
+    }
+
+    get size() {
+        return this.puzzles.length;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {object|null}
+     */
+    get(id) {
+        return this.puzzles.find(puzzle => puzzle.id === id) || null;
+    }
+
+    toJSON() {
+        return { version: PUZZLE_SET_VERSION, ...this.info, puzzles: this.puzzles };
+    }
+
+    /**
+     * @param {string} file
+     */
+    save(file) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(this, null, 1) + '\n');
+    }
+}
+
+// =================================================================
+//                  FINDING PUZZLES
+// =================================================================
+
+// The points a move scores straight away for the side to move.
+function getImmediateGain(state, move) {
+    const game = new Check10Game();
+    game.hydrateFromServerState(state);
+    return game.simulateFullMove(move.fromRow, move.fromCol, move.toRow, move.toCol, state.currentPlayer, state.board, move.promotionCapture).aiScoreGain;
+}
+
+/**
+ * Looks for a puzzle in a position: the side to move (the solver) must have a move that is at
+ * least `margin` points better than any other, and so on after each of the opponent's best
+ * replies, until one of its moves scores with a combination or a promotion capture.
+ * @param {SearchPool} pool
+ * @param {object} state - A 'playing' game state in the standard rules.
+ * @param {object} profile - The search profile; its score noise and blunders are left out.
+ * @param {object} [options]
+ * @param {number} [options.maxPlies=3] - Moves of both sides the solution may take.
+ * @param {number} [options.margin=3]
+ * @returns {Promise<object|null>} The puzzle (see the file format above), or null if the
+ *          position has none.
+ */
+async function findPuzzle(pool, state, profile, { maxPlies = DEFAULT_MAX_PLIES, margin = DEFAULT_MARGIN } = {}) {
+    if (state.gameOver || (state.gameState && state.gameState !== 'playing')) return null;
+    const searchProfile = { ...profile, scoreNoise: 0, blunderChance: 0 };
+    const solver = state.currentPlayer;
+    const current = Rules.cloneState(state);
+    const solution = [];
+    let score = null;
+
+    for (let ply = 0; ply < maxPlies && !current.gameOver; ply++) {
+        if (current.currentPlayer !== solver) {
+            const { candidates } = await pool.search(current, searchProfile, { multiPv: 1 });
+            if (!candidates || candidates.length === 0) return null;
+            solution.push(candidates[0].notation);
+            Rules.applyMove(current, candidates[0]);
+            continue;
+        }
+
+        const { candidates } = await pool.search(current, searchProfile, { multiPv: 2 });
+        if (!candidates || candidates.length === 0) return null;
+        const [best, second] = candidates;
+        // The first move must be a real choice; later ones may be forced.
+        if (second ? best.score - second.score < margin : ply === 0) return null;
+        if (score === null) score = best.score;
+        const gain = getImmediateGain(current, best);
+        solution.push(best.notation);
+        if (gain > 0) {
+            return { id: getPuzzleId(state), position: GameRecord.formatPosition(state), solution, gain, score };
+        }
+        Rules.applyMove(current, best);
+    }
+    return null;
+}
+
+/**
+ * Generates puzzles from engine games: each game starts with random moves, is played by
+ * `playProfile`, and every position of it is searched for a puzzle with `profile`.
+ * @param {object} options
+ * @param {object} options.profile - The search profile that finds and checks the puzzles.
+ * @param {object} [options.playProfile=options.profile] - The profile the games are played with;
+ *        a weaker one makes more mistakes, and so more puzzles.
+ * @param {number} [options.count=50] - Puzzles to find.
+ * @param {number} [options.maxPlies=3] - See findPuzzle().
+ * @param {number} [options.margin=3] - See findPuzzle().
+ * @param {number} [options.seed=1] - Seed for the openings.
+ * @param {number} [options.maxGames] - Games to play at most; 5 per puzzle by default.
+ * @param {function(object): void} [options.onPuzzle] - Called with each puzzle found.
+ * @param {function(object): void} [options.onGame] - Called after each game with
+ *        { game, positions, found }.
+ * @returns {Promise<PuzzleSet>}
+ */
+async function generatePuzzles({ profile, playProfile = profile, count = 50, maxPlies = DEFAULT_MAX_PLIES, margin = DEFAULT_MARGIN, seed = 1, maxGames = count * MAX_GAMES_PER_PUZZLE, onPuzzle = () => {}, onGame = () => {} }) {
+    const random = createRandom(seed);
+    const pool = new SearchPool({ size: 1, silent: true });
+    const puzzles = [];
+    const seen = new Set();
+    try {
+        for (let game = 1; game <= maxGames && puzzles.length < count; game++) {
+            const opening = createRandomOpening(DEFAULT_OPENING_PLIES, random);
+            const { states } = await playGame(opening, { white: pool, black: pool }, { white: playProfile, black: playProfile });
+            for (const state of states) {
+                if (puzzles.length >= count) break;
+                const id = getPuzzleId(state);
+                if (seen.has(id)) continue;
+                seen.add(id);
+                const puzzle = await findPuzzle(pool, state, profile, { maxPlies, margin });
+                if (!puzzle) continue;
+                puzzles.push(puzzle);
+                onPuzzle(puzzle);
+            }
+            onGame({ game, positions: states.length, found: puzzles.length });
+        }
+    } finally {
+        await pool.close();
+    }
+    return new PuzzleSet({ generated: { maxPlies, margin, seed, profile: { ...profile, weights: undefined } }, puzzles });
+}
+
+module.exports = { PuzzleSet, findPuzzle, generatePuzzles, getPuzzleId, DEFAULT_PUZZLE_FILE };
@@ -0,0 +1,142 @@
+/**
+ * @file requestLimits.js
+ * Limits on the expensive (searching) endpoints, so that one client cannot take the server down:
+ * a rate limit per client and a limit on the searches running at once, both answered with
+ * 429 Too Many Requests and a Retry-After header.
+ *
+ * Clients are told apart by req.ip; behind a proxy, set Express's 'trust proxy' so that it is the
+ * client's address and not the proxy's.
+ */
+
+// Clients whose buckets have been full this long are forgotten.
+const IDLE_BUCKET_MS = 10 * 60 * 1000;
+
+/**
+ * A token bucket per client: each request takes a token, and the tokens come back at a steady
+ * rate, so a client may make `burst` requests at once and `perMinute` requests a minute after that.
+ */
+class RateLimiter {
+    /**
+     * @param {object} options
+     * @param {number} options.perMinute - Tokens a client gets back per minute.
+     * @param {number} [options.burst=perMinute] - The most tokens a client can hold.
+     * @param {function(): number} [options.now=Date.now]
+     */
+    constructor({ perMinute, burst = perMinute, now = Date.now }) {
+        this.perMinute = perMinute;
+        this.burst = burst;
+        this.now = now;
+        this.buckets = new Map(); // client -> { tokens, updatedAt }
+        this.lastPrunedAt = now();
+    }
+
+    /**
+     * Takes a token for a request.
+     * @param {string} client
+     * @returns {number} 0 if the request may go ahead, or the seconds until the client has a token.
+     */
+    take(client) {
+        const now = this.now();
+        this.prune(now);
+        const msPerToken = 60000 / this.perMinute;
+        const bucket = this.buckets.get(client) || { tokens: this.burst, updatedAt: now };
+        bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updatedAt) / msPerToken);
+        bucket.updatedAt = now;
+        this.buckets.set(client, bucket);
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil((1 - bucket.tokens) * msPerToken / 1000);
+    }
+
+    // Forgets clients that have not made a request for a while, at most once a minute.
+    prune(now) {
+        if (now - this.lastPrunedAt < 60000) return;
+        this.lastPrunedAt = now;
+        for (const [client, bucket] of this.buckets) {
+            if (now - bucket.updatedAt > IDLE_BUCKET_MS) this.buckets.delete(client);
+        }
+    }
+}
+
+/**
+ * Counts the requests in progress, in all and per client.
+ */
+class ConcurrencyLimiter {
+    /**
+     * @param {object} options
+     * @param {number} options.max - Requests that may run at once.
+     * @param {number} [options.perClient=max] - Requests one client may have running at once.
+     */
+    constructor({ max, perClient = max }) {
+        this.max = max;
+        this.perClient = perClient;
+        this.active = 0;
+        this.activeByClient = new Map();
+    }
+
+    /**
+     * @param {string} client
+     * @returns {function(): void|null} A function that ends the request (safe to call twice), or
+     *          null if the request must wait.
+     */
+    acquire(client) {
+        const clientActive = this.activeByClient.get(client) || 0;
+        if (this.active >= this.max || clientActive >= this.perClient) return null;
+        this.active++;
+        this.activeByClient.set(client, clientActive + 1);
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            this.active--;
+            const remaining = this.activeByClient.get(client) - 1;
+            if (remaining > 0) this.activeByClient.set(client, remaining);
+            else this.activeByClient.delete(client);
+        };
+    }
+}
+
+function tooManyRequests(res, retryAfterSeconds, error) {
+    res.set('Retry-After', String(Math.max(1, retryAfterSeconds)));
+    res.status(429).json({ error, retryAfter: Math.max(1, retryAfterSeconds) });
+}
+
+/**
+ * @param {RateLimiter} limiter
+ * @param {function(object, number): void} [onLimited] - Called with the request and the seconds
+ *        it was told to wait, when it is turned away.
+ * @returns {function} Express middleware that answers 429 once a client is over its rate.
+ */
+function rateLimit(limiter, onLimited = () => {}) {
+    return (req, res, next) => {
+        const wait = limiter.take(req.ip);
+        if (wait === 0) return next();
+        onLimited(req, wait);
+        tooManyRequests(res, wait, `Too many requests. Please wait ${wait} seconds.`);
+    };
+}
+
+/**
+ * @param {ConcurrencyLimiter} limiter
+ * @param {number} [retryAfterSeconds=2] - What to tell a client that is turned away.
+ * @param {function(object, number): void} [onLimited] - As for rateLimit().
+ * @returns {function} Express middleware that answers 429 while the server (or the client) has
+ *          as many requests running as the limiter allows; the slot is freed when the response
+ *          ends or the client goes away.
+ */
+function concurrencyLimit(limiter, retryAfterSeconds = 2, onLimited = () => {}) {
+    return (req, res, next) => {
+        const release = limiter.acquire(req.ip);
+        if (!release) {
+            onLimited(req, retryAfterSeconds);
+            return tooManyRequests(res, retryAfterSeconds, 'The AI is busy. Please try again shortly.');
+        }
+        res.on('finish', release);
+        res.on('close', release);
+        next();
+    };
+}
+
+module.exports = { RateLimiter, ConcurrencyLimiter, rateLimit, concurrencyLimit };
@@ -0,0 +1,850 @@
+/**
+ * @file rules.js
+ * The Check 10 rules, shared by the server and the browser.
+ *
+ * This is the one implementation of the game rules. The server require()s it (gameLogic.js is
+ * built on it) and the browser loads the same file from /rules.js, where it defines the global
+ * `Check10Rules`. It works on the plain game state that both sides already exchange:
+ * { board, currentPlayer, whiteScore, blackScore, gameOver, gameState, promotionChoices,
+ * promotionPoints, variant? }, where board[row][col] is { color, number, promoted } or null.
+ * `variant` holds the house rules of a game that is not standard Check 10 (see VARIANTS).
+ *
+ * A move is played with applyMove(), which returns the events it caused, in order (see the
+ * EVENTS section). Every change to a state is made by applyEvent(), so a client can get a move's
+ * events from getMoveEvents() and replay them one at a time, animating each step.
+ *
+ * The scenarios in test/ruleScenarios.js describe the rules; they run under Node (npm test) and
+ * in the browser (/test/rules.html).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.Check10Rules = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // =================================================================
+    //                  CONSTANTS
+    // =================================================================
+
+    // The standard rules; a variant can change each of them (see VARIANTS).
+    const BOARD_SIZE = 8;
+    // A combination is a connected group of both colours whose numbers add up to exactly this sum.
+    const COMBINATION_TARGET_SUM = 10;
+    const MAX_COMBINATION_SIZE = 8;
+    const SCAN_RADIUS = 3; // Combinations are looked for in a 7x7 window around the moved piece
+
+    // =================================================================
+    //                  VARIANTS
+    // =================================================================
+    //
+    // A variant is a set of house rules: { boardSize, targetSum, scanRadius, maxCombinationSize,
+    // layout }. On a board of size n each side starts with two rows of the numbers 1 to n, in the
+    // standard order or, with the 'random' layout, shuffled (the same way for both sides). A state
+    // without a `variant` is standard Check 10.
+    //
+    // Boards are at most 8x8: the search's compact position, its Zobrist keys and the record
+    // notation all use an 8x8 grid, of which a smaller board uses the top-left corner.
+
+    const MAX_BOARD_SIZE = 8;
+    const STANDARD_VARIANT = Object.freeze({
+        boardSize: BOARD_SIZE,
+        targetSum: COMBINATION_TARGET_SUM,
+        scanRadius: SCAN_RADIUS,
+        maxCombinationSize: MAX_COMBINATION_SIZE,
+        layout: 'standard',
+    });
+    // The smallest and largest value of each numeric rule. Below 5x5 the sides start touching.
+    const VARIANT_LIMITS = Object.freeze({
+        boardSize: [5, MAX_BOARD_SIZE],
+        targetSum: [2, 40],
+        scanRadius: [1, MAX_BOARD_SIZE - 1],
+        maxCombinationSize: [2, 12],
+    });
+    const VARIANT_LAYOUTS = ['standard', 'random'];
+    // Named variants, each given as its differences from the standard rules.
+    const VARIANTS = Object.freeze({
+        standard: {},
+        check12: { targetSum: 12 },
+        small: { boardSize: 6 },
+        random: { layout: 'random' },
+    });
+
+    /**
+     * Checks a variant and fills in the standard value of every rule it leaves out.
+     * @param {string|object} [variant] - A name from VARIANTS, or some of the rules; none for the
+     *        standard rules.
+     * @returns {object} The complete, frozen variant; STANDARD_VARIANT for the standard rules.
+     * @throws {Error} If the variant is unknown or a rule is out of its limits.
+     */
+    function resolveVariant(variant) {
+        if (variant === undefined || variant === null) return STANDARD_VARIANT;
+        if (typeof variant === 'string') {
+            if (!Object.hasOwn(VARIANTS, variant)) throw new Error(`Unknown variant '${variant}'. Use one of: ${Object.keys(VARIANTS).join(', ')}.`);
+            return resolveVariant(VARIANTS[variant]);
+        }
+        if (typeof variant !== 'object' || Array.isArray(variant)) throw new Error('A variant must be a name or an object of rules.');
+        for (const [rule, value] of Object.entries(variant)) {
+            if (!Object.hasOwn(STANDARD_VARIANT, rule)) throw new Error(`Unknown variant rule '${rule}'. The rules are: ${Object.keys(STANDARD_VARIANT).join(', ')}.`);
+            if (rule === 'layout') {
+                if (!VARIANT_LAYOUTS.includes(value)) throw new Error(`layout must be one of: ${VARIANT_LAYOUTS.join(', ')}.`);
+                continue;
+            }
+            const [min, max] = VARIANT_LIMITS[rule];
+            if (!Number.isInteger(value) || value < min || value > max) throw new Error(`${rule} must be a whole number from ${min} to ${max}.`);
+        }
+        const resolved = { ...STANDARD_VARIANT, ...variant };
+        if (Object.keys(STANDARD_VARIANT).every(rule => resolved[rule] === STANDARD_VARIANT[rule])) return STANDARD_VARIANT;
+        return Object.freeze(resolved);
+    }
+
+    /**
+     * @param {object} state
+     * @returns {object} The state's complete variant (see resolveVariant()).
+     */
+    function getVariant(state) {
+        return resolveVariant(state.variant);
+    }
+
+    // =================================================================
+    //                  BOARD AND MOVES
+    // =================================================================
+
+    function opponentOf(color) {
+        return color === 'white' ? 'black' : 'white';
+    }
+
+    // A Fisher-Yates shuffle of a copy of the array.
+    function shuffled(array, random) {
+        const copy = array.slice();
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+
+    /**
+     * @param {string|object} [variant] - See resolveVariant(); the standard rules by default.
+     * @param {function(): number} [random=Math.random] - For the 'random' layout.
+     * @returns {Array<Array<object|null>>} The starting position: each side has two rows of the
+     *          numbers 1 to the board size (1-8 on the standard board).
+     */
+    function createInitialBoard(variant, random = Math.random) {
+        const { boardSize: size, layout } = resolveVariant(variant);
+        const board = Array(size).fill(null).map(() => Array(size).fill(null));
+        let backRow = Array.from({ length: size }, (_, i) => size - i),
+            frontRow = Array.from({ length: size }, (_, i) => i + 1);
+        if (layout === 'random') {
+            backRow = shuffled(backRow, random);
+            frontRow = shuffled(frontRow, random);
+        }
+        for (let col = 0; col < size; col++) {
+            board[0][col] = { color: 'black', number: backRow[col], promoted: false };
+            board[1][col] = { color: 'black', number: frontRow[col], promoted: false };
+            board[size - 2][col] = { color: 'white', number: backRow[col], promoted: false };
+            board[size - 1][col] = { color: 'white', number: frontRow[col], promoted: false };
+        }
+        return board;
+    }
+
+    /**
+     * @param {string|object} [variant] - See resolveVariant(); the standard rules by default.
+     * @param {function(): number} [random=Math.random] - For the 'random' layout.
+     * @returns {object} A new game: the starting position with white to move.
+     */
+    function createInitialState(variant, random = Math.random) {
+        const resolved = resolveVariant(variant);
+        return {
+            board: createInitialBoard(resolved, random),
+            currentPlayer: 'white',
+            whiteScore: 0,
+            blackScore: 0,
+            gameOver: false,
+            gameState: 'playing',
+            promotionChoices: null,
+            promotionPoints: 0,
+            ...(resolved !== STANDARD_VARIANT && { variant: resolved }),
+        };
+    }
+
+    function cloneBoard(board) {
+        return board.map(row => row.map(piece => (piece ? { ...piece } : null)));
+    }
+
+    function copyPromotionChoices(choices) {
+        return choices ? choices.map(choice => ({ row: choice.row, col: choice.col, piece: { ...choice.piece } })) : null;
+    }
+
+    /**
+     * Copies the rule fields of a state (anything else on the object, such as UI fields, is left out).
+     * @param {object} state
+     * @returns {object}
+     */
+    function cloneState(state) {
+        return {
+            board: cloneBoard(state.board),
+            currentPlayer: state.currentPlayer,
+            whiteScore: state.whiteScore || 0,
+            blackScore: state.blackScore || 0,
+            gameOver: state.gameOver || false,
+            gameState: state.gameState || 'playing',
+            promotionChoices: copyPromotionChoices(state.promotionChoices),
+            promotionPoints: state.promotionPoints || 0,
+            ...(state.variant && { variant: { ...state.variant } }),
+            ...(state.timeoutFor && { timeoutFor: state.timeoutFor }),
+        };
+    }
+
+    /**
+     * A piece moves one row forward (up for white, down for black), straight or diagonally, onto
+     * an empty square.
+     * @param {Array} board
+     * @param {number} row
+     * @param {number} col
+     * @returns {Array<{row: number, col: number}>}
+     */
+    function getValidMoves(board, row, col) {
+        const validMoves = [];
+        const piece = board[row]?.[col];
+        if (!piece) return validMoves;
+        const newRow = row + (piece.color === 'white' ? -1 : 1);
+        if (newRow >= 0 && newRow < board.length) {
+            if (!board[newRow][col]) validMoves.push({ row: newRow, col });
+            for (const deltaCol of [-1, 1]) {
+                const newCol = col + deltaCol;
+                if (newCol >= 0 && newCol < board.length && !board[newRow][newCol]) validMoves.push({ row: newRow, col: newCol });
+            }
+        }
+        return validMoves;
+    }
+
+    function isValidMove(board, fromRow, fromCol, toRow, toCol) {
+        return getValidMoves(board, fromRow, fromCol).some(m => m.row === toRow && m.col === toCol);
+    }
+
+    function hasValidMoves(board, color) {
+        for (let r = 0; r < board.length; r++)
+            for (let c = 0; c < board.length; c++)
+                if (board[r][c] && board[r][c].color === color && getValidMoves(board, r, c).length > 0) return true;
+        return false;
+    }
+
+    /**
+     * @param {Array} board
+     * @param {string} color
+     * @returns {Array<{fromRow: number, fromCol: number, toRow: number, toCol: number, piece: object}>}
+     */
+    function getAllMoves(board, color) {
+        const moves = [];
+        for (let r = 0; r < board.length; r++) {
+            for (let c = 0; c < board.length; c++) {
+                const piece = board[r][c];
+                if (!piece || piece.color !== color) continue;
+                for (const move of getValidMoves(board, r, c)) {
+                    moves.push({ fromRow: r, fromCol: c, toRow: move.row, toCol: move.col, piece });
+                }
+            }
+        }
+        return moves;
+    }
+
+    /**
+     * Whether a piece of this colour is promoted on reaching this row (the opponent's back row).
+     * @param {string} color
+     * @param {number} row
+     * @param {number} [boardSize=8]
+     */
+    function isPromotionRow(color, row, boardSize = BOARD_SIZE) {
+        return row === (color === 'white' ? 0 : boardSize - 1);
+    }
+
+    /**
+     * The opponent pieces a promoted piece can capture: the unpromoted ones with its number.
+     * @param {Array} board
+     * @param {{color: string, number: number}} piece - The promoted piece.
+     * @returns {Array<{row: number, col: number, piece: object}>}
+     */
+    function findPromotionTargets(board, piece) {
+        const opponentColor = opponentOf(piece.color);
+        const targets = [];
+        for (let r = 0; r < board.length; r++) {
+            for (let c = 0; c < board.length; c++) {
+                const target = board[r][c];
+                if (target && target.color === opponentColor && target.number === piece.number && !target.promoted) {
+                    targets.push({ row: r, col: c, piece: target });
+                }
+            }
+        }
+        return targets;
+    }
+
+    /**
+     * At the end of the game each side's promoted pieces still on the board count for it.
+     * @param {Array} board
+     * @returns {{whitePromotedValue: number, blackPromotedValue: number}}
+     */
+    function calculatePromotedPieceValues(board) {
+        let whitePromotedValue = 0,
+            blackPromotedValue = 0;
+        for (let r = 0; r < board.length; r++)
+            for (let c = 0; c < board.length; c++) {
+                const p = board[r][c];
+                if (p && p.promoted) {
+                    if (p.color === 'white') whitePromotedValue += p.number;
+                    else blackPromotedValue += p.number;
+                }
+            }
+        return { whitePromotedValue, blackPromotedValue };
+    }
+
+    /**
+     * @param {object} state
+     * @returns {'white'|'black'|'draw'|null} The winner once the game is over, otherwise null.
+     */
+    function getWinner(state) {
+        if (!state.gameOver) return null;
+        if (state.timeoutFor) return opponentOf(state.timeoutFor);
+        if (state.whiteScore === state.blackScore) return 'draw';
+        return state.whiteScore > state.blackScore ? 'white' : 'black';
+    }
+
+    // =================================================================
+    //                  COMBINATIONS
+    // =================================================================
+
+    // Working storage for forEachCombination(), sized for the largest board and reused by every
+    // call so that the search does not allocate per node. This makes forEachCombination()
+    // non-reentrant. Squares are indexed row * MAX_BOARD_SIZE + col whatever the board size.
+    const MAX_PIECES = MAX_BOARD_SIZE * MAX_BOARD_SIZE;
+    const MAX_COMBINATION_LIMIT = VARIANT_LIMITS.maxCombinationSize[1];
+    const scratch = {
+        indexAt: new Int8Array(MAX_PIECES),
+        neighbours: new Int8Array(MAX_PIECES * 8), // Up to 8 neighbours per piece
+        neighbourCount: new Uint8Array(MAX_PIECES),
+        reach: new Uint8Array(MAX_PIECES),
+        inSubset: new Uint8Array(MAX_PIECES),
+        nextToSubset: new Uint8Array(MAX_PIECES), // How many subset pieces each piece touches
+        // Each level's extension set lives here at [start, end); see growCombination().
+        stack: new Int8Array(MAX_PIECES * (MAX_COMBINATION_LIMIT + 1)),
+        subset: [],
+        targetSum: COMBINATION_TARGET_SUM,
+        maxSize: MAX_COMBINATION_SIZE,
+        numbers: null,
+        whites: null,
+        onCombination: null,
+    };
+
+    /**
+     * Finds every combination among n pieces: a set of 2 to maxCombinationSize pieces, connected
+     * through 8-neighbour adjacency, containing both colours and summing to exactly targetSum
+     * (see VARIANTS). The pieces are given as parallel arrays so that both the object board and
+     * the search's compact Position can use it without building piece objects.
+     *
+     * Connected sets are grown outward from each piece (the ESU enumeration: every connected
+     * subset is produced exactly once, from its lowest-index piece). Since every number is
+     * positive, a set whose sum passes the target can never become valid again, so that branch
+     * is cut immediately. This keeps the search small even when the window is crowded.
+     * @param {number} n - The number of pieces (at most 64).
+     * @param {ArrayLike<number>} rows
+     * @param {ArrayLike<number>} cols
+     * @param {ArrayLike<number>} numbers
+     * @param {ArrayLike<number>} whites - 1 for a white piece, 0 for a black one.
+     * @param {function(number[])} onCombination - Called with the indices of each combination.
+     *        The array is reused, so copy it to keep it.
+     * @param {object} [variant=STANDARD_VARIANT] - A complete variant (see resolveVariant()).
+     */
+    function forEachCombination(n, rows, cols, numbers, whites, onCombination, variant = STANDARD_VARIANT) {
+        const { indexAt, neighbours, neighbourCount, reach, inSubset, nextToSubset, stack } = scratch;
+        const targetSum = variant.targetSum;
+
+        // Neighbour lists through a lookup of the board squares, instead of comparing every pair.
+        indexAt.fill(-1);
+        for (let i = 0; i < n; i++) indexAt[rows[i] * MAX_BOARD_SIZE + cols[i]] = i;
+        for (let i = 0; i < n; i++) {
+            let count = 0;
+            for (let r = Math.max(0, rows[i] - 1); r <= Math.min(MAX_BOARD_SIZE - 1, rows[i] + 1); r++) {
+                for (let c = Math.max(0, cols[i] - 1); c <= Math.min(MAX_BOARD_SIZE - 1, cols[i] + 1); c++) {
+                    const j = indexAt[r * MAX_BOARD_SIZE + c];
+                    if (j !== -1 && j !== i) neighbours[i * 8 + count++] = j;
+                }
+            }
+            neighbourCount[i] = count;
+        }
+
+        // A piece can only be in a combination if some path from it to a piece of the other colour,
+        // counting both ends, sums to at most the target (the part of the combination that joins
+        // them is such a path). Pieces that fail this are left out, which removes most of the crowded
+        // one-colour groups that could otherwise only be enumerated in vain.
+        reach.fill(255, 0, n);
+        for (let i = 0; i < n; i++) {
+            for (let k = 0; k < neighbourCount[i]; k++) {
+                const j = neighbours[i * 8 + k];
+                if (whites[j] !== whites[i]) reach[i] = Math.min(reach[i], numbers[i] + numbers[j]);
+            }
+        }
+        for (let changed = true; changed;) {
+            changed = false;
+            for (let i = 0; i < n; i++) {
+                for (let k = 0; k < neighbourCount[i]; k++) {
+                    const j = neighbours[i * 8 + k];
+                    if (whites[j] === whites[i] && numbers[i] + reach[j] < reach[i]) {
+                        reach[i] = numbers[i] + reach[j];
+                        changed = true;
+                    }
+                }
+            }
+        }
+        for (let i = 0; i < n; i++) {
+            let kept = 0;
+            if (reach[i] <= targetSum) {
+                for (let k = 0; k < neighbourCount[i]; k++) {
+                    const j = neighbours[i * 8 + k];
+                    if (reach[j] <= targetSum) neighbours[i * 8 + kept++] = j;
+                }
+            }
+            neighbourCount[i] = kept;
+        }
+
+        inSubset.fill(0, 0, n);
+        nextToSubset.fill(0, 0, n);
+        scratch.numbers = numbers;
+        scratch.whites = whites;
+        scratch.onCombination = onCombination;
+        scratch.targetSum = targetSum;
+        scratch.maxSize = variant.maxCombinationSize;
+
+        for (let root = 0; root < n; root++) {
+            if (reach[root] > targetSum) continue;
+            let end = 0;
+            for (let k = 0; k < neighbourCount[root]; k++) {
+                const u = neighbours[root * 8 + k];
+                if (u > root) stack[end++] = u;
+            }
+            addToSubset(root);
+            growCombination(root, 0, end, numbers[root], whites[root]);
+            removeFromSubset(root);
+        }
+        scratch.numbers = scratch.whites = scratch.onCombination = null;
+    }
+
+    function addToSubset(i) {
+        scratch.subset.push(i);
+        scratch.inSubset[i] = 1;
+        for (let k = 0; k < scratch.neighbourCount[i]; k++) scratch.nextToSubset[scratch.neighbours[i * 8 + k]]++;
+    }
+
+    function removeFromSubset(i) {
+        for (let k = 0; k < scratch.neighbourCount[i]; k++) scratch.nextToSubset[scratch.neighbours[i * 8 + k]]--;
+        scratch.inSubset[i] = 0;
+        scratch.subset.pop();
+    }
+
+    /**
+     * One level of the ESU enumeration for forEachCombination(). The extension set (the pieces the
+     * current subset may still grow by) is scratch.stack[start, end).
+     */
+    function growCombination(root, start, end, sum, whiteCount) {
+        const { numbers, whites, subset, stack, neighbours, neighbourCount, inSubset, nextToSubset, targetSum } = scratch;
+        if (sum === targetSum) {
+            if (whiteCount > 0 && whiteCount < subset.length) scratch.onCombination(subset);
+            return; // Every number is positive, so no larger set can sum to the target
+        }
+        if (subset.length === scratch.maxSize) return;
+
+        for (let k = end - 1; k >= start; k--) {
+            const next = stack[k];
+            if (sum + numbers[next] > targetSum) continue;
+
+            // The child's extension: the candidates not tried yet at this level, plus the neighbours
+            // of `next` that are not already next to the subset (the others are among those
+            // candidates or were handled by an earlier branch). It is copied above this level's.
+            let childEnd = end;
+            for (let j = start; j < k; j++) stack[childEnd++] = stack[j];
+            for (let m = 0; m < neighbourCount[next]; m++) {
+                const u = neighbours[next * 8 + m];
+                if (u > root && !inSubset[u] && !nextToSubset[u]) stack[childEnd++] = u;
+            }
+
+            addToSubset(next);
+            growCombination(root, end, childEnd, sum + numbers[next], whiteCount + whites[next]);
+            removeFromSubset(next);
+        }
+    }
+
+    /**
+     * Finds every combination among the given pieces (see forEachCombination()).
+     * @param {Array<{row: number, col: number, piece: object}>} pieces
+     * @param {string|object} [variant] - See resolveVariant(); the standard rules by default.
+     * @returns {Array<Array<{row: number, col: number, piece: object}>>}
+     */
+    function findValidCombinations(pieces, variant) {
+        const combinations = [];
+        forEachCombination(
+            pieces.length,
+            pieces.map(p => p.row),
+            pieces.map(p => p.col),
+            pieces.map(p => p.piece.number),
+            pieces.map(p => (p.piece.color === 'white' ? 1 : 0)),
+            subset => combinations.push(subset.map(i => pieces[i])),
+            resolveVariant(variant)
+        );
+        return combinations;
+    }
+
+    /**
+     * Finds the combinations in the scan window around a square (the square a piece just moved to).
+     * @param {Array} board
+     * @param {number} centerRow
+     * @param {number} centerCol
+     * @param {string|object} [variant] - See resolveVariant(); the standard rules by default.
+     * @returns {Array<Array<{row: number, col: number, piece: object}>>}
+     */
+    function findCombinationsAround(board, centerRow, centerCol, variant) {
+        const resolved = resolveVariant(variant);
+        const radius = resolved.scanRadius;
+        const pieces = [];
+        let hasWhite = false,
+            hasBlack = false;
+        for (let r = Math.max(0, centerRow - radius); r <= Math.min(board.length - 1, centerRow + radius); r++) {
+            for (let c = Math.max(0, centerCol - radius); c <= Math.min(board.length - 1, centerCol + radius); c++) {
+                const piece = board[r][c];
+                if (!piece) continue;
+                pieces.push({ row: r, col: c, piece });
+                if (piece.color === 'white') hasWhite = true;
+                else hasBlack = true;
+            }
+        }
+        if (!hasWhite || !hasBlack) return [];
+        return findValidCombinations(pieces, resolved);
+    }
+
+    // =================================================================
+    //                  EVENTS
+    // =================================================================
+    //
+    // A move produces these events, in this order:
+    //   { type: 'moved', player, from: {row, col}, to: {row, col}, piece }
+    //   { type: 'promoted', row, col, piece }                      - the piece reached the far row
+    //   { type: 'promotion-capture', player, row, col, piece, points, chosen }
+    //   { type: 'promotion-choice', player, choices: [{row, col, piece}], points }
+    //   { type: 'combination', player, pieces: [{row, col, piece}] } - one per combination
+    //   { type: 'capture', player, row, col, piece }               - one per opponent piece removed
+    //   { type: 'points', player, points }
+    //   { type: 'turn', player }                                   - the side to move next
+    //   { type: 'game-over', winner, whiteScore, blackScore, whitePromotedValue, blackPromotedValue, noMovesFor }
+    //
+    // A side whose clock runs out loses whatever the score (loseOnTime()):
+    //   { type: 'game-over', winner, whiteScore, blackScore, timeoutFor }
+    //
+    // A promotion that matches several opponent pieces ends with 'promotion-choice': the game then
+    // waits in the 'choosing_promotion' state, and the player's choice (getPromotionChoiceEvents())
+    // produces 'promotion-capture', 'points', 'turn' and possibly 'game-over'. A promotion capture
+    // chosen this way ends the turn without looking for combinations. Pieces in events are copies.
+
+    /**
+     * Applies one event to a state. This is the only place where the rules change a state.
+     * @param {object} state - Modified in place.
+     * @param {object} event
+     */
+    function applyEvent(state, event) {
+        switch (event.type) {
+            case 'moved':
+                state.board[event.to.row][event.to.col] = { ...event.piece };
+                state.board[event.from.row][event.from.col] = null;
+                break;
+            case 'promoted':
+                state.board[event.row][event.col] = { ...event.piece };
+                break;
+            case 'promotion-choice':
+                state.gameState = 'choosing_promotion';
+                state.promotionChoices = copyPromotionChoices(event.choices);
+                state.promotionPoints = event.points;
+                break;
+            case 'promotion-capture':
+                state.board[event.row][event.col] = null;
+                state.gameState = 'playing';
+                state.promotionChoices = null;
+                state.promotionPoints = 0;
+                break;
+            case 'combination':
+                break; // The pieces it removes follow as 'capture' events
+            case 'capture':
+                state.board[event.row][event.col] = null;
+                break;
+            case 'points':
+                if (event.player === 'white') state.whiteScore += event.points;
+                else state.blackScore += event.points;
+                break;
+            case 'turn':
+                state.currentPlayer = event.player;
+                break;
+            case 'game-over':
+                state.whiteScore = event.whiteScore;
+                state.blackScore = event.blackScore;
+                state.gameOver = true;
+                if (event.timeoutFor) state.timeoutFor = event.timeoutFor;
+                break;
+            default:
+                throw new Error(`Unknown rules event '${event.type}'.`);
+        }
+    }
+
+    /**
+     * The 'game-over' event for a state, if the side to move has no moves. The game ends then, and
+     * each side's promoted pieces are added to its score.
+     * @param {object} state
+     * @returns {object|null}
+     */
+    function getGameEndEvent(state) {
+        if (state.gameOver || state.gameState === 'choosing_promotion' || hasValidMoves(state.board, state.currentPlayer)) return null;
+        const { whitePromotedValue, blackPromotedValue } = calculatePromotedPieceValues(state.board);
+        const whiteScore = state.whiteScore + whitePromotedValue;
+        const blackScore = state.blackScore + blackPromotedValue;
+        return {
+            type: 'game-over',
+            winner: whiteScore === blackScore ? 'draw' : whiteScore > blackScore ? 'white' : 'black',
+            whiteScore,
+            blackScore,
+            whitePromotedValue,
+            blackPromotedValue,
+            noMovesFor: state.currentPlayer,
+        };
+    }
+
+    /**
+     * Ends the game if the side to move has no moves (e.g. in a loaded position).
+     * @param {object} state - Modified in place.
+     * @returns {object|null} The 'game-over' event, or null if the game goes on.
+     */
+    function checkGameEnd(state) {
+        const event = getGameEndEvent(state);
+        if (event) applyEvent(state, event);
+        return event;
+    }
+
+    /**
+     * Ends the game with a loss on time for `player`. The scores stay as they are: promoted
+     * pieces only count when the game runs out of moves.
+     * @param {object} state - Modified in place.
+     * @param {'white'|'black'} player - The side whose clock ran out.
+     * @returns {object|null} The 'game-over' event, or null if the game was already over.
+     */
+    function loseOnTime(state, player) {
+        if (state.gameOver) return null;
+        const event = {
+            type: 'game-over',
+            winner: opponentOf(player),
+            whiteScore: state.whiteScore,
+            blackScore: state.blackScore,
+            timeoutFor: player,
+        };
+        applyEvent(state, event);
+        return event;
+    }
+
+    function invalid(reason) {
+        return { valid: false, reason, events: [] };
+    }
+
+    /**
+     * Collects events while applying them to a working copy of the state.
+     */
+    function createRecorder(state) {
+        const recorder = {
+            state: cloneState(state),
+            events: [],
+            emit(event) {
+                recorder.events.push(event);
+                applyEvent(recorder.state, event);
+            },
+        };
+        return recorder;
+    }
+
+    // Scores the turn's points, passes the turn and ends the game if the next side cannot move.
+    function finishTurn(recorder, player, points) {
+        if (points > 0) recorder.emit({ type: 'points', player, points });
+        recorder.emit({ type: 'turn', player: opponentOf(player) });
+        const gameEnd = getGameEndEvent(recorder.state);
+        if (gameEnd) recorder.emit(gameEnd);
+    }
+
+    /**
+     * Works out what a move does, without changing the state.
+     * @param {object} state
+     * @param {{fromRow: number, fromCol: number, toRow: number, toCol: number,
+     *          promotionCapture?: {row: number, col: number}}} move - `promotionCapture` settles
+     *        a promotion with several matching pieces straight away, instead of waiting for a choice.
+     * @returns {{valid: boolean, reason?: string, events: Array<object>, state?: object}} The
+     *          events and the state after them.
+     */
+    function getMoveEvents(state, move) {
+        const { fromRow, fromCol, toRow, toCol } = move;
+        if (state.gameOver) return invalid('The game is over.');
+        if (state.gameState === 'choosing_promotion') return invalid('A promotion capture must be chosen before the next move.');
+        const piece = state.board[fromRow]?.[fromCol];
+        if (!piece) return invalid('There is no piece on the starting square.');
+        if (piece.color !== state.currentPlayer) return invalid(`It is ${state.currentPlayer}'s turn.`);
+        if (!isValidMove(state.board, fromRow, fromCol, toRow, toCol)) return invalid('That piece cannot move there.');
+
+        const player = state.currentPlayer;
+        const recorder = createRecorder(state);
+        let points = 0;
+        recorder.emit({ type: 'moved', player, from: { row: fromRow, col: fromCol }, to: { row: toRow, col: toCol }, piece: { ...piece } });
+
+        if (!piece.promoted && isPromotionRow(player, toRow, state.board.length)) {
+            const promotedPiece = { ...piece, promoted: true };
+            recorder.emit({ type: 'promoted', row: toRow, col: toCol, piece: promotedPiece });
+            const targets = findPromotionTargets(recorder.state.board, promotedPiece);
+            if (targets.length > 1) {
+                if (!move.promotionCapture) {
+                    recorder.emit({
+                        type: 'promotion-choice', player, points: piece.number,
+                        choices: targets.map(t => ({ row: t.row, col: t.col, piece: { ...t.piece } })),
+                    });
+                    return { valid: true, events: recorder.events, state: recorder.state };
+                }
+                const chosen = targets.find(t => t.row === move.promotionCapture.row && t.col === move.promotionCapture.col);
+                if (!chosen) return invalid(`Choose an opponent piece with number ${piece.number}.`);
+                recorder.emit({ type: 'promotion-capture', player, row: chosen.row, col: chosen.col, piece: { ...chosen.piece }, points: piece.number, chosen: true });
+                finishTurn(recorder, player, piece.number);
+                return { valid: true, events: recorder.events, state: recorder.state };
+            }
+            if (targets.length === 1) {
+                const target = targets[0];
+                recorder.emit({ type: 'promotion-capture', player, row: target.row, col: target.col, piece: { ...target.piece }, points: piece.number, chosen: false });
+                points += piece.number;
+            }
+        }
+
+        const combinations = findCombinationsAround(recorder.state.board, toRow, toCol, getVariant(state));
+        const captured = new Map();
+        for (const combination of combinations) {
+            recorder.emit({ type: 'combination', player, pieces: combination.map(p => ({ row: p.row, col: p.col, piece: { ...p.piece } })) });
+            for (const p of combination) {
+                if (p.piece.color !== player) captured.set(p.row * MAX_BOARD_SIZE + p.col, p);
+            }
+        }
+        for (const p of captured.values()) {
+            recorder.emit({ type: 'capture', player, row: p.row, col: p.col, piece: { ...p.piece } });
+            points += p.piece.number;
+        }
+
+        finishTurn(recorder, player, points);
+        return { valid: true, events: recorder.events, state: recorder.state };
+    }
+
+    /**
+     * Works out what choosing a promotion capture does, without changing the state.
+     * @param {object} state - A state in 'choosing_promotion'.
+     * @param {number} row
+     * @param {number} col
+     * @returns {{valid: boolean, reason?: string, events: Array<object>, state?: object}}
+     */
+    function getPromotionChoiceEvents(state, row, col) {
+        if (state.gameOver) return invalid('The game is over.');
+        if (state.gameState !== 'choosing_promotion') return invalid('There is no promotion capture to choose.');
+        const choice = (state.promotionChoices || []).find(p => p.row === row && p.col === col);
+        if (!choice || !state.board[row][col]) return invalid(`Choose an opponent piece with number ${state.promotionPoints}.`);
+
+        const player = state.currentPlayer;
+        const recorder = createRecorder(state);
+        recorder.emit({ type: 'promotion-capture', player, row, col, piece: { ...state.board[row][col] }, points: state.promotionPoints, chosen: true });
+        finishTurn(recorder, player, state.promotionPoints);
+        return { valid: true, events: recorder.events, state: recorder.state };
+    }
+
+    /**
+     * Plays a move on a state.
+     * @param {object} state - Modified in place if the move is valid.
+     * @param {object} move - See getMoveEvents().
+     * @returns {{valid: boolean, reason?: string, events: Array<object>}}
+     */
+    function applyMove(state, move) {
+        const { valid, reason, events } = getMoveEvents(state, move);
+        if (!valid) return { valid, reason, events };
+        for (const event of events) applyEvent(state, event);
+        return { valid, events };
+    }
+
+    /**
+     * Resolves a 'choosing_promotion' state by capturing the chosen piece.
+     * @param {object} state - Modified in place if the choice is valid.
+     * @param {number} row
+     * @param {number} col
+     * @returns {{valid: boolean, reason?: string, events: Array<object>}}
+     */
+    function applyPromotionChoice(state, row, col) {
+        const { valid, reason, events } = getPromotionChoiceEvents(state, row, col);
+        if (!valid) return { valid, reason, events };
+        for (const event of events) applyEvent(state, event);
+        return { valid, events };
+    }
+
+    /**
+     * Sums up a list of events.
+     * @param {Array<object>} events
+     * @returns {{pointsScored: number, promoted: boolean, promotionCapture: object|null,
+     *            combinations: Array, captured: Array, awaitingPromotionChoice: boolean,
+     *            gameOver: boolean}}
+     */
+    function summarizeEvents(events) {
+        const summary = {
+            pointsScored: 0, promoted: false, promotionCapture: null,
+            combinations: [], captured: [], awaitingPromotionChoice: false, gameOver: false,
+        };
+        for (const event of events) {
+            if (event.type === 'promoted') summary.promoted = true;
+            else if (event.type === 'promotion-choice') summary.awaitingPromotionChoice = true;
+            else if (event.type === 'combination') summary.combinations.push(event.pieces);
+            else if (event.type === 'points') summary.pointsScored += event.points;
+            else if (event.type === 'game-over') summary.gameOver = true;
+            else if (event.type === 'promotion-capture' || event.type === 'capture') {
+                const capture = { row: event.row, col: event.col, piece: event.piece };
+                if (event.type === 'promotion-capture') summary.promotionCapture = capture;
+                summary.captured.push(capture);
+            }
+        }
+        return summary;
+    }
+
+    return {
+        BOARD_SIZE,
+        COMBINATION_TARGET_SUM,
+        MAX_COMBINATION_SIZE,
+        SCAN_RADIUS,
+        MAX_BOARD_SIZE,
+        STANDARD_VARIANT,
+        VARIANT_LIMITS,
+        VARIANT_LAYOUTS,
+        VARIANTS,
+        resolveVariant,
+        getVariant,
+        opponentOf,
+        createInitialBoard,
+        createInitialState,
+        cloneBoard,
+        cloneState,
+        getValidMoves,
+        isValidMove,
+        hasValidMoves,
+        getAllMoves,
+        isPromotionRow,
+        findPromotionTargets,
+        calculatePromotedPieceValues,
+        getWinner,
+        forEachCombination,
+        findValidCombinations,
+        findCombinationsAround,
+        applyEvent,
+        getGameEndEvent,
+        checkGameEnd,
+        loseOnTime,
+        getMoveEvents,
+        getPromotionChoiceEvents,
+        applyMove,
+        applyPromotionChoice,
+        summarizeEvents,
+    };
+});
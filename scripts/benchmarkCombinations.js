@@ -0,0 +1,181 @@
+/**
+ * @file scripts/benchmarkCombinations.js
+ * Checks the connected-subset combination finder against the original bitmask finder on a corpus
+ * of positions, and measures how much faster it is.
+ *
+ * The corpus is seeded, so every run checks the same positions. It has two parts: the scan windows
+ * of positions from random games, and dense random windows (real games rarely leave a combination
+ * on the board, because it is captured as soon as it forms).
+ * Usage: node scripts/benchmarkCombinations.js [games=10] [seed=10]
+ */
+
+const Rules = require('../rules.js');
+const { Check10Game } = require('../gameLogic.js');
+
+// The bitmask brute force is only practical for small windows, so larger ones are timed with
+// the new finder alone.
+const MAX_BRUTE_FORCE_PIECES = 16;
+const SYNTHETIC_WINDOWS = 3000;
+
+/**
+ * The original finder: tries every subset of the window as a bitmask. Kept here as the reference.
+ */
+function findValidCombinationsBruteForce(ps) {
+    const vCs = [],
+        n = ps.length;
+    for (let m = 3; m < (1 << n); m++) {
+        let cL = 0;
+        for (let i = 0; i < n; ++i)
+            if ((m >> i) & 1) cL++;
+        if (cL > 8 || cL < 2) continue;
+        const c = [];
+        let s = 0;
+        let hW = false,
+            hB = false;
+        for (let i = 0; i < n; i++)
+            if (m & (1 << i)) {
+                const pD = ps[i];
+                c.push(pD);
+                s += pD.piece.number;
+                if (pD.piece.color === 'white') hW = true;
+                else hB = true;
+            }
+        if (s === 10 && hW && hB && areConnectedOptimized(c)) vCs.push(c);
+    }
+    return vCs;
+}
+
+// The original connectivity check used by the brute force.
+function areConnectedOptimized(ps) {
+    if (ps.length <= 1) return true;
+    const pS = new Set(ps.map(p => `${p.row},${p.col}`)),
+        vS = new Set(),
+        q = [ps[0]];
+    vS.add(`${ps[0].row},${ps[0].col}`);
+    const d = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+    while (q.length > 0) {
+        const c = q.shift();
+        for (const [dR, dC] of d) {
+            const nR = c.row + dR,
+                nC = c.col + dC,
+                k = `${nR},${nC}`;
+            if (pS.has(k) && !vS.has(k)) {
+                vS.add(k);
+                q.push(ps.find(p => p.row === nR && p.col === nC));
+            }
+        }
+    }
+    return vS.size === ps.length;
+}
+
+// Small seeded PRNG (mulberry32) so the corpus is reproducible.
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Plays random games and collects the scan window around every piece of every position.
+function buildCorpus(games, random) {
+    const windows = [];
+    for (let g = 0; g < games; g++) {
+        const game = new Check10Game();
+        game.initializeBoardData();
+        while (!game.gameOver) {
+            for (let r = 0; r < 8; r++)
+                for (let c = 0; c < 8; c++)
+                    if (game.board[r][c]) windows.push(collectWindow(game.board, r, c));
+
+            if (game.gameState === 'choosing_promotion') {
+                const choice = game.promotionChoices[Math.floor(random() * game.promotionChoices.length)];
+                game.choosePromotionCapture(choice.row, choice.col);
+                continue;
+            }
+            const moves = game.getAllPossibleMovesForPlayer(game.currentPlayer);
+            const move = moves[Math.floor(random() * moves.length)];
+            game.makeMove(move.fromRow, move.fromCol, move.toRow, move.toCol);
+        }
+    }
+    return windows;
+}
+
+// A 7x7 window filled at random, with between 4 and MAX_BRUTE_FORCE_PIECES pieces.
+function buildSyntheticWindows(count, random) {
+    const windows = [];
+    for (let w = 0; w < count; w++) {
+        const size = 4 + Math.floor(random() * (MAX_BRUTE_FORCE_PIECES - 3));
+        const squares = new Set();
+        while (squares.size < size) squares.add(Math.floor(random() * 49));
+        windows.push([...squares].sort((a, b) => a - b).map(sq => ({
+            row: Math.floor(sq / 7),
+            col: sq % 7,
+            piece: { color: random() < 0.5 ? 'white' : 'black', number: 1 + Math.floor(random() * 8), promoted: false },
+        })));
+    }
+    return windows;
+}
+
+// Same window as Rules.findCombinationsAround().
+function collectWindow(board, checkRow, checkCol) {
+    const radius = 3,
+        pieces = [];
+    for (let r = Math.max(0, checkRow - radius); r <= Math.min(7, checkRow + radius); r++)
+        for (let c = Math.max(0, checkCol - radius); c <= Math.min(7, checkCol + radius); c++)
+            if (board[r][c]) pieces.push({ row: r, col: c, piece: { ...board[r][c] } });
+    return pieces;
+}
+
+// Order-independent description of a list of combinations.
+function canonical(combinations) {
+    return combinations
+        .map(c => c.map(p => `${p.row},${p.col}`).sort().join(' '))
+        .sort()
+        .join(' | ');
+}
+
+function time(fn) {
+    const start = process.hrtime.bigint();
+    fn();
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function main() {
+    const games = Number(process.argv[2]) || 10;
+    const seed = Number(process.argv[3]) || 10;
+
+    console.log(`Building corpus from ${games} seeded random games and ${SYNTHETIC_WINDOWS} random windows (seed ${seed})...`);
+    const random = createRandom(seed);
+    const windows = [...buildCorpus(games, random), ...buildSyntheticWindows(SYNTHETIC_WINDOWS, random)];
+    const comparable = windows.filter(w => w.length <= MAX_BRUTE_FORCE_PIECES);
+    const largest = Math.max(...windows.map(w => w.length));
+    console.log(`${windows.length} windows, ${comparable.length} small enough for the brute force (largest window: ${largest} pieces).`);
+
+    let mismatches = 0;
+    let combinationsFound = 0;
+    for (const window of comparable) {
+        const expected = canonical(findValidCombinationsBruteForce(window));
+        const actual = canonical(Rules.findValidCombinations(window));
+        if (expected !== actual) {
+            mismatches++;
+            if (mismatches <= 5) console.log('MISMATCH', JSON.stringify(window), '\n  expected:', expected, '\n  actual:  ', actual);
+        }
+        if (actual) combinationsFound += actual.split(' | ').length;
+    }
+    console.log(`Compared ${comparable.length} windows (${combinationsFound} combinations): ${mismatches} mismatches.`);
+
+    const bruteForceMs = time(() => comparable.forEach(w => findValidCombinationsBruteForce(w)));
+    const connectedMs = time(() => comparable.forEach(w => Rules.findValidCombinations(w)));
+    const allWindowsMs = time(() => windows.forEach(w => Rules.findValidCombinations(w)));
+    console.log(`Bitmask finder:          ${bruteForceMs.toFixed(1)} ms for the ${comparable.length} comparable windows`);
+    console.log(`Connected-subset finder: ${connectedMs.toFixed(1)} ms for the same windows (${(bruteForceMs / connectedMs).toFixed(0)}x faster)`);
+    console.log(`Connected-subset finder: ${allWindowsMs.toFixed(1)} ms for all ${windows.length} windows`);
+
+    process.exitCode = mismatches === 0 ? 0 : 1;
+}
+
+main();
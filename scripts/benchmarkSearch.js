@@ -0,0 +1,203 @@
+/**
+ * @file scripts/benchmarkSearch.js
+ * Compares the search's node throughput on the compact Position (make/unmake in place) against
+ * the original object-board expansion, where every node deep-copies the board in
+ * simulateFullMove() and hydrates a new Check10Game.
+ *
+ * Both sides run the same fixed-depth alpha-beta, without a transposition table, over a seeded set
+ * of positions from random games. Since they generate moves in the same order and evaluate the
+ * same way, they must agree on every root value and visit exactly the same number of nodes;
+ * any difference means the two implementations disagree about the rules.
+ * Usage: node scripts/benchmarkSearch.js [depth=3] [games=4] [seed=8]
+ */
+
+const { Check10Game, Position, PIECE_NUMBER_MASK, PIECE_BLACK, PIECE_PROMOTED } = require('../gameLogic.js');
+
+const SAMPLE_EVERY_PLIES = 8;
+
+// Small seeded PRNG (mulberry32) so the positions are reproducible.
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Plays random games and keeps every few positions as a 'playing' game state.
+function buildPositions(games, random) {
+    const states = [];
+    for (let g = 0; g < games; g++) {
+        const game = new Check10Game();
+        game.initializeBoardData();
+        for (let ply = 0; !game.gameOver; ply++) {
+            if (ply % SAMPLE_EVERY_PLIES === 0) {
+                const { board, currentPlayer, whiteScore, blackScore } = game.getState();
+                states.push({ board, currentPlayer, whiteScore, blackScore });
+            }
+            const moves = game.getAllPossibleMovesForPlayer(game.currentPlayer);
+            const move = moves[Math.floor(random() * moves.length)];
+            const outcome = game.makeMove(move.fromRow, move.fromCol, move.toRow, move.toCol);
+            if (outcome.awaitingPromotionChoice) {
+                const choice = game.promotionChoices[Math.floor(random() * game.promotionChoices.length)];
+                game.choosePromotionCapture(choice.row, choice.col);
+            }
+        }
+    }
+    return states;
+}
+
+// --- Reference: the original object-board expansion ---
+
+function searchObjectBoard(game, depth, alpha, beta, isMaximizingPlayer, aiRootColor, counter) {
+    counter.nodes++;
+    if (!game.hasValidMoves(game.currentPlayer)) return scoreTerminalObjectBoard(game, aiRootColor);
+    if (depth === 0) return evaluateObjectBoard(game, aiRootColor);
+
+    let bestValue = isMaximizingPlayer ? -Infinity : Infinity;
+    for (const move of game.getAllSearchMovesForPlayer(game.currentPlayer)) {
+        const { tempBoard, aiScoreGain } = game.simulateFullMove(move.fromRow, move.fromCol, move.toRow, move.toCol, game.currentPlayer, game.board, move.promotionCapture);
+        const childGame = new Check10Game();
+        childGame.hydrateFromServerState({
+            board: tempBoard,
+            currentPlayer: game.currentPlayer === 'white' ? 'black' : 'white',
+            whiteScore: game.whiteScore + (game.currentPlayer === 'white' ? aiScoreGain : 0),
+            blackScore: game.blackScore + (game.currentPlayer === 'black' ? aiScoreGain : 0),
+        });
+        const value = searchObjectBoard(childGame, depth - 1, alpha, beta, !isMaximizingPlayer, aiRootColor, counter);
+        if (isMaximizingPlayer) {
+            bestValue = Math.max(bestValue, value);
+            alpha = Math.max(alpha, value);
+        } else {
+            bestValue = Math.min(bestValue, value);
+            beta = Math.min(beta, value);
+        }
+        if (beta <= alpha) break;
+    }
+    return bestValue;
+}
+
+function scoreTerminalObjectBoard(game, aiRootColor) {
+    const promo = game.calculatePromotedPieceValues();
+    const margin = (game.whiteScore + promo.whitePromotedValue) - (game.blackScore + promo.blackPromotedValue);
+    return aiRootColor === 'white' ? margin : -margin;
+}
+
+// The search's evaluation, with a row of advancement counted as 1 (see evaluatePosition()).
+function evaluateObjectBoard(game, aiRootColor) {
+    let score = aiRootColor === 'white' ? game.whiteScore - game.blackScore : game.blackScore - game.whiteScore;
+    for (let r = 0; r < 8; r++) {
+        for (let c = 0; c < 8; c++) {
+            const piece = game.board[r][c];
+            if (!piece) continue;
+            let pieceValue = piece.promoted ? piece.number * 0.5 : 0;
+            pieceValue += piece.color === 'white' ? 7 - r : r;
+            score += piece.color === aiRootColor ? pieceValue : -pieceValue;
+        }
+    }
+    return score;
+}
+
+// --- The compact Position with make/unmake ---
+
+function searchPosition(position, depth, alpha, beta, isMaximizingPlayer, aiRootColor, counter) {
+    counter.nodes++;
+    if (depth === 0) return position.hasMoves() ? evaluatePosition(position, aiRootColor) : scoreTerminalPosition(position, aiRootColor);
+    const moves = position.generateMoves();
+    if (moves.length === 0) return scoreTerminalPosition(position, aiRootColor);
+
+    let bestValue = isMaximizingPlayer ? -Infinity : Infinity;
+    for (const move of moves) {
+        position.makeMove(move);
+        const value = searchPosition(position, depth - 1, alpha, beta, !isMaximizingPlayer, aiRootColor, counter);
+        position.unmakeMove();
+        if (isMaximizingPlayer) {
+            bestValue = Math.max(bestValue, value);
+            alpha = Math.max(alpha, value);
+        } else {
+            bestValue = Math.min(bestValue, value);
+            beta = Math.min(beta, value);
+        }
+        if (beta <= alpha) break;
+    }
+    return bestValue;
+}
+
+function scoreTerminalPosition(position, aiRootColor) {
+    const promo = position.calculatePromotedPieceValues();
+    const margin = (position.whiteScore + promo.whitePromotedValue) - (position.blackScore + promo.blackPromotedValue);
+    return aiRootColor === 'white' ? margin : -margin;
+}
+
+// Same evaluation as evaluateObjectBoard(). Both count a row of advancement as 1 rather than the
+// search's 0.1, so the two sides add up exactly the same values and can be compared with ===.
+function evaluatePosition(position, aiRootColor) {
+    let score = aiRootColor === 'white' ? position.whiteScore - position.blackScore : position.blackScore - position.whiteScore;
+    const aiIsBlack = aiRootColor === 'black';
+    for (let square = 0; square < 64; square++) {
+        const code = position.squares[square];
+        if (!code) continue;
+        const isBlack = (code & PIECE_BLACK) !== 0;
+        let pieceValue = code & PIECE_PROMOTED ? (code & PIECE_NUMBER_MASK) * 0.5 : 0;
+        pieceValue += isBlack ? square >> 3 : 7 - (square >> 3);
+        score += isBlack === aiIsBlack ? pieceValue : -pieceValue;
+    }
+    return score;
+}
+
+function time(fn) {
+    const start = process.hrtime.bigint();
+    const result = fn();
+    return { result, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+function main() {
+    const depth = Number(process.argv[2]) || 3;
+    const games = Number(process.argv[3]) || 4;
+    const seed = Number(process.argv[4]) || 8;
+
+    const states = buildPositions(games, createRandom(seed));
+    console.log(`Searching ${states.length} positions from ${games} seeded random games to depth ${depth} (seed ${seed})...`);
+
+    let mismatches = 0;
+    const objectBoard = { nodes: 0, ms: 0 };
+    const compact = { nodes: 0, ms: 0 };
+
+    for (const state of states) {
+        const game = new Check10Game();
+        game.hydrateFromServerState(state);
+        const objectCounter = { nodes: 0 };
+        const reference = time(() => searchObjectBoard(game, depth, -Infinity, Infinity, true, state.currentPlayer, objectCounter));
+
+        const position = Position.fromGameState(state);
+        const positionCounter = { nodes: 0 };
+        const actual = time(() => searchPosition(position, depth, -Infinity, Infinity, true, state.currentPlayer, positionCounter));
+
+        const restored = JSON.stringify(position.toGameState()) === JSON.stringify(state);
+        if (reference.result !== actual.result || objectCounter.nodes !== positionCounter.nodes || !restored) {
+            mismatches++;
+            if (mismatches <= 5) {
+                console.log('MISMATCH', JSON.stringify(state));
+                console.log(`  object board: value ${reference.result}, ${objectCounter.nodes} nodes`);
+                console.log(`  position:     value ${actual.result}, ${positionCounter.nodes} nodes, restored: ${restored}`);
+            }
+        }
+
+        objectBoard.nodes += objectCounter.nodes;
+        objectBoard.ms += reference.ms;
+        compact.nodes += positionCounter.nodes;
+        compact.ms += actual.ms;
+    }
+
+    const nodesPerSecond = ({ nodes, ms }) => Math.round(nodes / (ms / 1000));
+    console.log(`${states.length} positions: ${mismatches} mismatches.`);
+    console.log(`Object board: ${objectBoard.nodes} nodes in ${objectBoard.ms.toFixed(0)} ms (${nodesPerSecond(objectBoard)} nodes/s)`);
+    console.log(`Position:     ${compact.nodes} nodes in ${compact.ms.toFixed(0)} ms (${nodesPerSecond(compact)} nodes/s, ${(nodesPerSecond(compact) / nodesPerSecond(objectBoard)).toFixed(1)}x)`);
+
+    process.exitCode = mismatches === 0 ? 0 : 1;
+}
+
+main();
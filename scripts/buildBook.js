@@ -0,0 +1,45 @@
+/**
+ * @file scripts/buildBook.js
+ * Builds the opening book (see openingBook.js) by searching the early tree from the standard start,
+ * and writes it where the server looks for it (book/openingBook.json by default).
+ *
+ * The engine is given in the format of scripts/runMatch.js; its weight profile (default unless
+ * weights=<profile> is given) is the one the book will be used with.
+ * Usage: node scripts/buildBook.js [plies=6] [engine="strong,time=1000"] [margin=0.5] [multiPv=3] [out=book/openingBook.json]
+ */
+
+const { buildOpeningBook, DEFAULT_BOOK_FILE } = require('../openingBook.js');
+const { parseEngineConfig } = require('../match.js');
+const { DEFAULT_WEIGHT_PROFILE } = require('../evaluation.js');
+
+async function main() {
+    const plies = Number(process.argv[2]) || 6;
+    const engineText = process.argv[3] || 'strong,time=1000';
+    const margin = process.argv[4] !== undefined ? Number(process.argv[4]) : 0.5;
+    const multiPv = Number(process.argv[5]) || 3;
+    const out = process.argv[6] || DEFAULT_BOOK_FILE;
+
+    const engine = parseEngineConfig(engineText);
+    const weightsMatch = /(?:^|,)weights=([^,]+)/.exec(engineText);
+    const evalProfile = weightsMatch ? weightsMatch[1] : DEFAULT_WEIGHT_PROFILE;
+    console.log(`Building a ${plies}-ply book with ${engine.name} (${multiPv} moves per position, margin ${margin}, '${evalProfile}' weights)...`);
+
+    const startTime = Date.now();
+    const book = await buildOpeningBook({
+        profile: engine.profile,
+        evalProfile,
+        plies,
+        multiPv,
+        margin,
+        onPosition: ({ ply, moves, searched, queued }) => {
+            console.log(`Position ${searched} (ply ${ply + 1}, ${queued} queued): ${moves.map(m => `${m.move} ${m.score} (${m.weight})`).join(', ')}`);
+        },
+    });
+    book.save(out);
+    console.log(`Wrote ${book.size} positions to ${out} in ${((Date.now() - startTime) / 1000).toFixed(0)}s.`);
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,42 @@
+/**
+ * @file scripts/buildPuzzles.js
+ * Generates combination puzzles (see puzzles.js) from engine games, and writes them where the
+ * server looks for them (puzzles/puzzles.json by default).
+ *
+ * Both engines are given in the format of scripts/runMatch.js: `engine` finds and checks the
+ * puzzles, `play` plays the games they are taken from.
+ * Usage: node scripts/buildPuzzles.js [count=50] [engine="strong,depth=5,time=2000"] [play="moderate,time=500"] [plies=3] [margin=3] [seed=1] [out=puzzles/puzzles.json]
+ */
+
+const { generatePuzzles, DEFAULT_PUZZLE_FILE } = require('../puzzles.js');
+const { parseEngineConfig } = require('../match.js');
+
+async function main() {
+    const count = Number(process.argv[2]) || 50;
+    const engine = parseEngineConfig(process.argv[3] || 'strong,depth=5,time=2000');
+    const play = parseEngineConfig(process.argv[4] || 'moderate,time=500');
+    const maxPlies = Number(process.argv[5]) || 3;
+    const margin = process.argv[6] !== undefined ? Number(process.argv[6]) : 3;
+    const seed = Number(process.argv[7]) || 1;
+    const out = process.argv[8] || DEFAULT_PUZZLE_FILE;
+    console.log(`Looking for ${count} puzzles of up to ${maxPlies} plies with ${engine.name} (margin ${margin}), in games of ${play.name}...`);
+
+    const startTime = Date.now();
+    const set = await generatePuzzles({
+        profile: engine.profile,
+        playProfile: play.profile,
+        count,
+        maxPlies,
+        margin,
+        seed,
+        onPuzzle: puzzle => console.log(`Puzzle: ${puzzle.position}  ${puzzle.solution.join(' ')} (+${puzzle.gain})`),
+        onGame: ({ game, positions, found }) => console.log(`Game ${game}: ${positions} positions searched, ${found} puzzles so far.`),
+    });
+    set.save(out);
+    console.log(`Wrote ${set.size} puzzles to ${out} in ${((Date.now() - startTime) / 1000).toFixed(0)}s.`);
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,60 @@
+/**
+ * @file scripts/runMatch.js
+ * Plays a match between two engine configurations (see match.js) and reports wins/draws/losses,
+ * the average score margin and the Elo difference with its 95% error bars, all from engine A's
+ * point of view.
+ *
+ * An engine is a strength profile from search.js with optional overrides of depth, time (ms per
+ * move), noise, blunder and evaluation weights, e.g. "strong,depth=4,time=500,weights=tuned".
+ * Usage: node scripts/runMatch.js <engineA> <engineB> [games=20] [seed=1] [openingPlies=4]
+ * Example: node scripts/runMatch.js "strong,depth=4,time=1000" "strong,depth=3,time=1000" 40
+ */
+
+const { parseEngineConfig, runMatch, DEFAULT_OPENING_PLIES } = require('../match.js');
+
+function formatElo({ elo, eloError }) {
+    if (!Number.isFinite(elo)) return `${elo > 0 ? '+' : '-'}∞ (every game went the same way; play more games)`;
+    const sign = elo >= 0 ? '+' : '';
+    return `${sign}${elo.toFixed(0)} ± ${Number.isFinite(eloError) ? eloError.toFixed(0) : '∞'}`;
+}
+
+async function main() {
+    const [textA, textB] = process.argv.slice(2, 4);
+    if (!textA || !textB) {
+        console.log('Usage: node scripts/runMatch.js <engineA> <engineB> [games=20] [seed=1] [openingPlies=4]');
+        process.exitCode = 1;
+        return;
+    }
+    const engineA = parseEngineConfig(textA);
+    const engineB = parseEngineConfig(textB);
+    const games = Number(process.argv[4]) || 20;
+    const seed = Number(process.argv[5]) || 1;
+    const openingPlies = process.argv[6] !== undefined ? Number(process.argv[6]) : DEFAULT_OPENING_PLIES;
+
+    console.log(`A: ${engineA.name} ${JSON.stringify(engineA.profile)}`);
+    console.log(`B: ${engineB.name} ${JSON.stringify(engineB.profile)}`);
+    console.log(`Playing ${games} games from ${openingPlies}-move random openings (seed ${seed}), alternating colours...`);
+
+    const startTime = Date.now();
+    const { summary } = await runMatch({
+        engineA,
+        engineB,
+        games,
+        seed,
+        openingPlies,
+        onGame: game => {
+            const result = { win: 'A wins', draw: 'draw', loss: 'B wins' }[game.result];
+            console.log(`Game ${game.game} (opening ${game.opening}, A plays ${game.aWhite ? 'white' : 'black'}): ${result} ${game.whiteScore}-${game.blackScore} in ${game.plies} moves`);
+        },
+    });
+
+    console.log(`\n${summary.games} games in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+    console.log(`A vs B: +${summary.wins} =${summary.draws} -${summary.losses} (${(summary.scoreRate * 100).toFixed(1)}%)`);
+    console.log(`Average score margin: ${summary.averageMargin >= 0 ? '+' : ''}${summary.averageMargin.toFixed(2)} points per game`);
+    console.log(`Elo difference: ${formatElo(summary)}`);
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,93 @@
+/**
+ * @file scripts/tuneWeights.js
+ * Fits the evaluation weights to games (see tuner.js) and writes them as a weight profile, which
+ * requests can then select with "evalProfile" and matches with "weights=<profile>".
+ *
+ * The games are self-played by an engine (see match.js for the engine format) and/or read from
+ * game records (.c10 files saved by the client or exported by the server); only finished games
+ * are used. Compare the result with the current weights before adopting it, e.g.:
+ *   node scripts/runMatch.js "strong,depth=3,time=500,weights=tuned" "strong,depth=3,time=500" 100
+ * Usage: node scripts/tuneWeights.js [--games 40] [--engine <engine>] [--seed 1] [--out weights/tuned.json] [record.c10 ...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseEngineConfig, runMatch } = require('../match.js');
+const { DEFAULT_WEIGHTS, WEIGHTS_DIR, writeWeightProfile } = require('../evaluation.js');
+const { samplesFromGame, samplesFromRecord, tuneWeights } = require('../tuner.js');
+
+// Shallow and a little noisy, so that self-play is quick and its games differ.
+const DEFAULT_SELF_PLAY_ENGINE = 'strong,depth=2,time=500,noise=0.5';
+
+function readArguments(args) {
+    const options = { games: 40, engine: DEFAULT_SELF_PLAY_ENGINE, seed: 1, out: path.join(WEIGHTS_DIR, 'tuned.json'), records: [] };
+    for (let i = 0; i < args.length; i++) {
+        const flag = args[i];
+        if (!flag.startsWith('--')) {
+            options.records.push(flag);
+            continue;
+        }
+        const value = args[++i];
+        if (value === undefined) throw new Error(`${flag} needs a value.`);
+        if (flag === '--games' || flag === '--seed') {
+            options[flag.slice(2)] = Number(value);
+            if (!Number.isInteger(options[flag.slice(2)]) || options[flag.slice(2)] < 0) throw new Error(`${flag} must be a whole number.`);
+        } else if (flag === '--engine' || flag === '--out') {
+            options[flag.slice(2)] = value;
+        } else {
+            throw new Error(`Unknown option ${flag}.`);
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const options = readArguments(process.argv.slice(2));
+    const samples = [];
+
+    for (const file of options.records) {
+        try {
+            samples.push(...samplesFromRecord(fs.readFileSync(file, 'utf8')));
+        } catch (err) {
+            console.log(`Skipping ${file}: ${err.message}`);
+        }
+    }
+    if (options.records.length) console.log(`${samples.length} positions from ${options.records.length} recorded games.`);
+
+    if (options.games > 0) {
+        const engine = parseEngineConfig(options.engine);
+        console.log(`Self-playing ${options.games} games with ${engine.name} (seed ${options.seed})...`);
+        let positions = 0;
+        await runMatch({
+            engineA: engine,
+            engineB: engine,
+            games: options.games,
+            seed: options.seed,
+            keepStates: true,
+            onGame: game => {
+                const winner = game.whiteScore === game.blackScore ? 'draw' : game.whiteScore > game.blackScore ? 'white' : 'black';
+                const gameSamples = samplesFromGame(game.states, winner);
+                samples.push(...gameSamples);
+                positions += gameSamples.length;
+                process.stdout.write(`\rGame ${game.game}: ${positions} positions`);
+            },
+        });
+        process.stdout.write('\n');
+    }
+
+    console.log(`Tuning on ${samples.length} positions...`);
+    const { weights, scale, initialError, error, passes } = tuneWeights(samples);
+    console.log(`Logistic scale ${scale.toFixed(2)}; error ${initialError.toFixed(5)} -> ${error.toFixed(5)} in ${passes} passes.`);
+    for (const [name, weight] of Object.entries(weights)) {
+        console.log(`  ${name.padEnd(20)} ${String(DEFAULT_WEIGHTS[name]).padStart(7)} -> ${weight}`);
+    }
+
+    const sources = [options.games && `${options.games} self-played games (${options.engine})`, options.records.length && `${options.records.length} recorded games`].filter(Boolean);
+    writeWeightProfile(options.out, weights, `Tuned on ${samples.length} positions from ${sources.join(' and ')}.`);
+    console.log(`Wrote ${options.out}.`);
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,545 @@
+/**
+ * @file search.js
+ * The AI search: iterative deepening alpha-beta with a transposition table.
+ *
+ * This module keeps its search state (time limit, stop flags, statistics) at module level.
+ * It is loaded by each search worker thread (see searchWorker.js), so every worker gets its own copy.
+ * The transposition table is shared: workers attach the pool's table with useTranspositionTable().
+ */
+
+const { evaluatePosition, getWeightsKey, DEFAULT_WEIGHTS } = require('./evaluation.js');
+const { calculateZobristKey } = require('./zobrist.js'); // Import Zobrist hashing utilities
+const { TranspositionTable } = require('./transpositionTable.js');
+const Rules = require('./rules.js');
+const GameRecord = require('./gameRecord.js'); // Move notation for principal variations
+
+// --- AI Configuration ---
+const MAX_SEARCH_DEPTH = 15; // A hard limit to prevent excessively long searches
+const AI_THINKING_TIME_MS = 10000; // AI will "think" for at most 10 seconds per move
+
+// Strength profiles selected by the client's "aiStrength".
+// - thinkingTimeMs / maxDepth: the search budget.
+// - scoreNoise: random +/- noise added to each root move's score, so close moves get mixed up.
+// - blunderChance: probability of ignoring the search and playing a random legal move.
+// - weights (optional): the evaluation weights by feature name (see evaluation.js). The server
+//   adds the weight profile a request selects; without it the default weights are used.
+const AI_STRENGTH_PROFILES = {
+    easy: { thinkingTimeMs: 1000, maxDepth: 2, scoreNoise: 4, blunderChance: 0.25 },
+    moderate: { thinkingTimeMs: 3000, maxDepth: 5, scoreNoise: 1.5, blunderChance: 0.05 },
+    strong: { thinkingTimeMs: AI_THINKING_TIME_MS, maxDepth: MAX_SEARCH_DEPTH, scoreNoise: 0, blunderChance: 0 },
+};
+const DEFAULT_AI_STRENGTH = 'strong'; // Used when a request does not name a strength
+
+// A search stops early once one move is clearly best: it has led for CLEAR_BEST_DEPTHS completed
+// depths in a row, at least CLEAR_BEST_MARGIN points ahead of the next best. Deeper searches would
+// only confirm it, so an obvious capture does not take the whole thinking time.
+const CLEAR_BEST_DEPTHS = 5;
+const CLEAR_BEST_MARGIN = 5;
+
+// Post-game analysis (see analysis.js) searches every position of a game, so it gets a smaller
+// budget per position than a real move, and no randomness.
+const ANALYSIS_PROFILE = { thinkingTimeMs: 2000, maxDepth: 4, scoreNoise: 0, blunderChance: 0 };
+
+// Playing on a clock (options.clock), the budget comes from the time left instead of the profile.
+// The time kept back covers the answer's way to the client and the search running a little over.
+const CLOCK_SAFETY_MS = 500;
+const MIN_CLOCK_BUDGET_MS = 50;
+const MAX_CLOCK_BUDGET_MS = 60000; // However much time is left, no one search holds a worker longer
+const DEFAULT_MOVES_TO_GO = 25; // Moves the time left is spread over, for a clock without a move count
+
+// Value of a won game (plus the final margin). Far above any heuristic evaluation.
+const WIN_SCORE = 10000;
+
+// Debug mode (DEBUG_ZOBRIST=1): recompute the Zobrist key from scratch at every node and fail
+// loudly if the incrementally updated key differs. Very slow; for checking hashing changes only.
+const VERIFY_ZOBRIST_KEYS = process.env.DEBUG_ZOBRIST === '1';
+
+// Set by alphaBetaSearch whenever a line is cut off by the depth limit rather than by the end of
+// the game. If an iteration finishes without setting it, deeper iterations cannot change anything.
+let searchReachedDepthLimit = false;
+
+// The search stops as soon as the profile's time budget runs out (or the caller cancels it), even
+// in the middle of a subtree. An iteration that was stopped is discarded and the previous depth's
+// result is used.
+let searchDeadline = Infinity;
+let searchTimedOut = false;
+let searchShouldStop = () => false;
+
+// The evaluation weights of the current search, and their key (see evaluation.js's
+// getWeightsKey()). Table keys are position keys XORed with it, so that values stored by searches
+// with other weights are not reused.
+let searchWeights = DEFAULT_WEIGHTS;
+let searchWeightsKey = 0n;
+
+// The transposition table. It is kept between searches, so later moves of a game reuse what
+// earlier searches found. Created on first use unless useTranspositionTable() provides one.
+let transpositionTable = null;
+
+// Statistics of the current (or last) search, see getLastSearchStats().
+let searchNodes = 0;
+let lastSearchStats = null;
+// The ranked root moves of the last multi-PV search, see getLastCandidates().
+let lastCandidates = null;
+
+// =================================================================
+//                  AI LOGIC (IDDFS + ALPHA-BETA + TT)
+// =================================================================
+
+/**
+ * Top-level "manager" function that implements Iterative Deepening.
+ * It calls the alpha-beta search in a loop, increasing the depth each time
+ * until the profile's time or depth limit is reached, then picks a move
+ * with the profile's randomness applied.
+ * A promotion with several possible captures is searched as one root move per capture,
+ * and the returned move then carries the chosen `promotionCapture`.
+ * @param {Position} position - The root position. It is searched in place and restored.
+ * @param {object} [profile] - One of AI_STRENGTH_PROFILES.
+ * @param {object} [options]
+ * @param {function(): (boolean|string)} [options.shouldStop] - Polled during the search; returning
+ *        true (or the reason, which becomes the statistics' stopReason, e.g. 'move-now') stops it,
+ *        and the best move from the last completed depth is returned.
+ * @param {number} [options.multiPv] - Also rank the best this many root moves, with their
+ *        principal variations (see getLastCandidates()). The profile's random move and score
+ *        noise are skipped, so that there is always a ranking and the move returned is its first.
+ * @param {function(object): void} [options.onDepth] - Called after each completed depth with
+ *        { depth, score, nodes, elapsedMs, move, notation }: the best move so far (in the client's
+ *        format and in record notation) and its value for the side to move.
+ * @param {object} [options.clock] - The side to move's clock, { remainingMs, incrementMs,
+ *        movesToGo }: the search's time then comes from it (see getClockBudgetMs()) instead of
+ *        the profile's thinkingTimeMs.
+ * @returns {object|null} The move in the client's format (see Position.toApiMove()).
+ */
+function findBestMoveWithAlphaBeta(position, profile = AI_STRENGTH_PROFILES[DEFAULT_AI_STRENGTH], options = {}) {
+    const possibleMoves = position.generateMoves();
+    lastSearchStats = null;
+    lastCandidates = null;
+    if (possibleMoves.length === 0) return null;
+    // Nothing to think about, unless the move's line was asked for.
+    if (possibleMoves.length === 1 && !options.multiPv) return position.toApiMove(possibleMoves[0]);
+
+    const candidates = possibleMoves.map(move => ({
+        move: position.toApiMove(move),
+        searchMove: move,
+        play: () => position.makeMove(move),
+    }));
+
+    // Progress reports name the best move in record notation too, for the player watching.
+    const onDepth = options.onDepth && (({ candidate, ...progress }) =>
+        options.onDepth({ ...progress, move: candidate.move, notation: formatSearchMove(position, candidate.searchMove) }));
+    const searchProfile = options.multiPv ? { ...profile, scoreNoise: 0 } : profile;
+    const { move, scoredMoves } = searchRootCandidates(position, candidates, searchProfile, { ...options, onDepth });
+    if (options.multiPv) lastCandidates = rankCandidates(position, scoredMoves || [], options.multiPv, lastSearchStats.depth);
+    return move;
+}
+
+/**
+ * Scores every move of a position, for post-game analysis. Unlike findBestMoveWithAlphaBeta(),
+ * a position with a single move is searched too, so that its move gets a value.
+ * @param {Position} position - The root position. It is searched in place and restored.
+ * @param {object} [profile] - Normally ANALYSIS_PROFILE; its randomness is ignored.
+ * @param {object} [options] - Same as findBestMoveWithAlphaBeta().
+ * @returns {{scoredMoves: Array<{move: object, value: number}>, depth: number}|null} The moves in
+ *          the client's format with their values for the side to move, best first, and the depth
+ *          they were searched to; null if there are no moves or not even depth 1 finished.
+ */
+function analyzePosition(position, profile = ANALYSIS_PROFILE, options = {}) {
+    const possibleMoves = position.generateMoves();
+    lastSearchStats = null;
+    lastCandidates = null;
+    if (possibleMoves.length === 0) return null;
+
+    const candidates = possibleMoves.map(move => ({
+        move: position.toApiMove(move),
+        searchMove: move,
+        play: () => position.makeMove(move),
+    }));
+
+    const { scoredMoves } = searchRootCandidates(position, candidates, { ...profile, scoreNoise: 0, blunderChance: 0 }, options);
+    if (!scoredMoves) return null;
+    return {
+        scoredMoves: scoredMoves.map(({ move, value }) => ({ move, value })).sort((a, b) => b.value - a.value),
+        depth: lastSearchStats.depth,
+    };
+}
+
+/**
+ * Chooses which opponent piece to remove from a 'choosing_promotion' state, by searching the
+ * position after each possible capture.
+ * @param {Position} position - The position after the promoting move, with the promoting side to move.
+ * @param {Array<{row: number, col: number}>} choices - The opponent pieces that may be removed.
+ * @param {number} promotionPoints - The points the promotion scores.
+ * @param {object} [profile] - One of AI_STRENGTH_PROFILES.
+ * @param {object} [options] - Same as findBestMoveWithAlphaBeta().
+ * @returns {{row: number, col: number}|null}
+ */
+function findBestPromotionCapture(position, choices, promotionPoints, profile = AI_STRENGTH_PROFILES[DEFAULT_AI_STRENGTH], options = {}) {
+    lastSearchStats = null;
+    lastCandidates = null;
+    if (!choices || choices.length === 0) return null;
+    if (choices.length === 1) return { row: choices[0].row, col: choices[0].col };
+
+    // As in the real game, the capture ends the turn without a combination check.
+    // These candidates have no searchMove: the position before the choice is not a normal
+    // position (the same board with the same side to move would have moves instead), so the
+    // root result is not stored in the transposition table.
+    const candidates = choices.map(choice => ({
+        move: { row: choice.row, col: choice.col },
+        play: () => position.makePromotionCapture(choice.row * 8 + choice.col, promotionPoints),
+    }));
+
+    return searchRootCandidates(position, candidates, profile, options).move;
+}
+
+/**
+ * How long to think with a clock: an even share of the time left over the moves still to play,
+ * plus most of the increment, and never more than the time left bar a safety margin (or a minute).
+ * @param {object} clock
+ * @param {number} clock.remainingMs - The side to move's time left.
+ * @param {number} [clock.incrementMs=0] - Time added after the move.
+ * @param {number} [clock.movesToGo=25] - 1 for a limit per move.
+ * @returns {number} Milliseconds.
+ */
+function getClockBudgetMs({ remainingMs, incrementMs = 0, movesToGo = DEFAULT_MOVES_TO_GO }) {
+    const available = remainingMs - Math.min(CLOCK_SAFETY_MS, remainingMs / 10);
+    const share = available / Math.max(1, movesToGo) + incrementMs * 0.75;
+    return Math.max(MIN_CLOCK_BUDGET_MS, Math.round(Math.min(available, share, MAX_CLOCK_BUDGET_MS)));
+}
+
+/**
+ * The iterative deepening loop over a fixed list of root candidates.
+ * @param {Position} position - The root position.
+ * @param {Array<{move: object, searchMove?: object, play: function()}>} candidates - `play` makes
+ *        the candidate's move on `position`; the search takes it back with unmakeMove().
+ *        Candidates with a `searchMove` are normal moves, and the root result is then stored.
+ * @param {object} profile
+ * @param {object} options
+ * @returns {{move: object, scoredMoves: Array<{move: object, value: number, candidate: object}>|null}}
+ *          The `move` of the chosen candidate, and every candidate with its value from the last
+ *          completed depth (null if no depth was completed).
+ */
+function searchRootCandidates(position, candidates, profile, options) {
+    const startTime = Date.now();
+    const playerColor = position.currentPlayer;
+
+    const table = getTranspositionTable();
+    table.newSearch();
+    searchNodes = 0;
+    let completedDepth = 0;
+    const depths = []; // { depth, score, nodes, elapsedMs } for each completed depth
+    const recordStats = stopReason => {
+        lastSearchStats = { depth: completedDepth, nodes: searchNodes, elapsedMs: Date.now() - startTime, stopReason, depths, transpositionTable: table.getStats() };
+    };
+    const thinkingTimeMs = options.clock ? getClockBudgetMs(options.clock) : profile.thinkingTimeMs;
+    searchDeadline = startTime + thinkingTimeMs;
+    searchTimedOut = false;
+    searchShouldStop = options.shouldStop || (() => false);
+    searchWeights = profile.weights || DEFAULT_WEIGHTS;
+    searchWeightsKey = getWeightsKey(searchWeights);
+
+    if (!options.multiPv && Math.random() < profile.blunderChance) {
+        recordStats('random-move'); // A deliberate inaccuracy
+        return { move: candidates[Math.floor(Math.random() * candidates.length)].move, scoredMoves: null };
+    }
+
+    // Start with the move an earlier search found best here, if any; otherwise with a random
+    // move in case we run out of time even on depth 1.
+    const isNormalPosition = candidates.every(c => c.searchMove);
+    const rootHash = position.hash ^ searchWeightsKey;
+    let bestCandidateSoFar = candidates[Math.floor(Math.random() * candidates.length)];
+    if (isNormalPosition && table.probe(rootHash, playerColor) && table.entry.bestMove) {
+        bestCandidateSoFar = candidates.find(c => sameSearchMove(c.searchMove, table.entry.bestMove)) || bestCandidateSoFar;
+    }
+    let bestValueSoFar = -Infinity;
+    let scoredMovesSoFar = null; // Root moves with their values from the last completed depth
+    let leadingCandidate = null; // The best move of the last completed depths, and for how many
+    let leadingDepths = 0;
+
+    // --- The Iterative Deepening Loop ---
+    let stopReason = 'max-depth';
+    for (let depth = 1; depth <= profile.maxDepth; depth++) {
+        searchReachedDepthLimit = false;
+        
+        // Prioritize the best move from the previous iteration to improve alpha-beta pruning.
+        const candidatesToSearch = [bestCandidateSoFar, ...candidates.filter(c => c !== bestCandidateSoFar)];
+
+        let bestCandidateForDepth = null;
+        let bestValueForDepth = -Infinity;
+        const scoredMovesForDepth = [];
+
+        for (const candidate of candidatesToSearch) {
+            if (searchTimedOut || searchShouldStop() || Date.now() - startTime > thinkingTimeMs) {
+                searchTimedOut = true;
+                break;
+            }
+
+            candidate.play();
+            const moveValue = alphaBetaSearch(position, depth - 1, -Infinity, Infinity, false, playerColor);
+            position.unmakeMove();
+
+            scoredMovesForDepth.push({ move: candidate.move, value: moveValue, candidate });
+            if (moveValue > bestValueForDepth) {
+                bestValueForDepth = moveValue;
+                bestCandidateForDepth = candidate;
+            }
+        }
+
+        if (searchTimedOut) {
+            // Stopped during this depth: the results of the one before are used.
+            const stopped = searchShouldStop();
+            recordStats(!stopped ? 'time-limit' : typeof stopped === 'string' ? stopped : 'cancelled');
+            return { move: scoredMovesSoFar ? pickMoveForProfile(scoredMovesSoFar, profile) : bestCandidateSoFar.move, scoredMoves: scoredMovesSoFar };
+        }
+
+        bestCandidateSoFar = bestCandidateForDepth;
+        bestValueSoFar = bestValueForDepth;
+        scoredMovesSoFar = scoredMovesForDepth;
+        completedDepth = depth;
+        depths.push({ depth, score: bestValueSoFar, nodes: searchNodes, elapsedMs: Date.now() - startTime });
+        if (options.onDepth) options.onDepth({ ...depths[depths.length - 1], score: Math.round(bestValueSoFar * 100) / 100, candidate: bestCandidateSoFar });
+        // Every root move was searched with a full window, so the value is exact.
+        if (isNormalPosition) table.store(rootHash, playerColor, depth, bestValueSoFar, 'EXACT', bestCandidateSoFar.searchMove);
+
+        if (Date.now() - startTime > thinkingTimeMs) {
+            stopReason = 'time-limit';
+            break;
+        }
+        if (!searchReachedDepthLimit) {
+            stopReason = 'decided'; // Every line ends the game by this depth, so deeper cannot change the result
+            break;
+        }
+        leadingDepths = bestCandidateSoFar === leadingCandidate ? leadingDepths + 1 : 1;
+        leadingCandidate = bestCandidateSoFar;
+        if (leadingDepths >= CLEAR_BEST_DEPTHS && getLead(scoredMovesSoFar) >= CLEAR_BEST_MARGIN) {
+            stopReason = 'clear-best';
+            break;
+        }
+    }
+
+    recordStats(stopReason);
+    return { move: pickMoveForProfile(scoredMovesSoFar, profile), scoredMoves: scoredMovesSoFar };
+}
+
+// How far the best of the scored root moves is ahead of the next best.
+function getLead(scoredMoves) {
+    let best = -Infinity, second = -Infinity;
+    for (const { value } of scoredMoves) {
+        if (value > best) [best, second] = [value, best];
+        else if (value > second) second = value;
+    }
+    return best - second;
+}
+
+/**
+ * @returns {object|null} Statistics of the last search, or null if the last call had nothing to
+ *          search (no moves or a single move): { depth, nodes, elapsedMs, stopReason, depths,
+ *          transpositionTable }. stopReason is 'time-limit', 'max-depth', 'decided' (every line
+ *          ends the game, so searching deeper changes nothing), 'clear-best' (one move stayed
+ *          well ahead of the others, see CLEAR_BEST_DEPTHS), 'cancelled', 'move-now' (the
+ *          player asked for the best move so far) or 'random-move' (a deliberate inaccuracy,
+ *          without a search); depths lists { depth, score, nodes, elapsedMs } after each
+ *          completed depth.
+ */
+function getLastSearchStats() {
+    return lastSearchStats;
+}
+
+/**
+ * @returns {Array<object>|null} The root moves ranked by the last findBestMoveWithAlphaBeta() call
+ *          with options.multiPv, best first, or null if that option was not given. Each is the move
+ *          in the client's format plus { notation, score, immediateGain, pv }: its record notation,
+ *          its search value for the side to move, the points it scores straight away (as in
+ *          Check10Game.simulateFullMove()'s aiScoreGain), and the expected line of play in notation.
+ */
+function getLastCandidates() {
+    return lastCandidates;
+}
+
+/**
+ * Builds the multi-PV ranking from the root moves of the last completed depth. Each line follows
+ * the best moves the transposition table holds after the root move, as far as the search went.
+ */
+function rankCandidates(position, scoredMoves, count, depth) {
+    const mover = position.currentPlayer;
+    const moverScore = () => (mover === 'white' ? position.whiteScore : position.blackScore);
+    return [...scoredMoves].sort((a, b) => b.value - a.value).slice(0, count).map(({ candidate, value }) => {
+        const scoreBefore = moverScore();
+        const pv = [];
+        let immediateGain = 0;
+        let move = candidate.searchMove;
+        while (move && pv.length < Math.max(depth, 1)) {
+            pv.push(formatSearchMove(position, move));
+            position.makeMove(move);
+            if (pv.length === 1) immediateGain = moverScore() - scoreBefore;
+            move = getTableMove(position);
+        }
+        for (let i = 0; i < pv.length; i++) position.unmakeMove();
+        return { ...candidate.move, notation: pv[0], score: Math.round(value * 100) / 100, immediateGain, pv };
+    });
+}
+
+// The transposition table's best move for the position, if it is still a legal move there.
+function getTableMove(position) {
+    const table = getTranspositionTable();
+    if (!table.probe(position.hash ^ searchWeightsKey, position.currentPlayer) || !table.entry.bestMove) return null;
+    const tableMove = table.entry.bestMove;
+    return position.generateMoves().find(move => sameSearchMove(move, tableMove)) || null;
+}
+
+// A search move in record notation (see gameRecord.js), captures included.
+function formatSearchMove(position, move) {
+    const state = { ...Rules.createInitialState(), ...position.toGameState() };
+    return GameRecord.formatMove(Rules.getMoveEvents(state, position.toApiMove(move)).events, position.size);
+}
+
+/**
+ * Makes the search use the given table, e.g. the pool's shared table inside a worker.
+ * @param {TranspositionTable} table
+ */
+function useTranspositionTable(table) {
+    transpositionTable = table;
+}
+
+function getTranspositionTable() {
+    if (!transpositionTable) transpositionTable = TranspositionTable.create();
+    return transpositionTable;
+}
+
+function sameSearchMove(a, b) {
+    return a.from === b.from && a.to === b.to && a.promotionCapture === b.promotionCapture;
+}
+
+/**
+ * Chooses among the root moves of the last completed depth. Strong profiles take the best score;
+ * weaker ones add random noise to each score first, so they sometimes prefer a worse move.
+ * @param {Array<{move: object, value: number}>} scoredMoves
+ * @param {object} profile
+ */
+function pickMoveForProfile(scoredMoves, profile) {
+    let chosen = null;
+    let chosenValue = -Infinity;
+    for (const { move, value } of scoredMoves) {
+        const noisyValue = value + (Math.random() * 2 - 1) * profile.scoreNoise;
+        if (noisyValue > chosenValue) {
+            chosenValue = noisyValue;
+            chosen = move;
+        }
+    }
+    return chosen;
+}
+
+
+/**
+ * The core recursive Alpha-Beta search function with Transposition Table integration.
+ * Moves are made and taken back on the one shared `position`, whose `hash` is the table key.
+ */
+function alphaBetaSearch(position, depth, alpha, beta, isMaximizingPlayer, aiRootColor) {
+    if (searchTimedOut || Date.now() > searchDeadline || searchShouldStop()) {
+        searchTimedOut = true;
+        return 0; // The caller discards everything from this iteration
+    }
+    if (VERIFY_ZOBRIST_KEYS) verifyZobristKey(position);
+
+    searchNodes++;
+    const currentHash = position.hash ^ searchWeightsKey;
+    // The bounds as given by the caller. alpha and beta change below (table hits, cutoffs), but
+    // the kind of result this node produces must be judged against the original window.
+    const originalAlpha = alpha;
+    const originalBeta = beta;
+    let tableMove = null;
+    if (transpositionTable.probe(currentHash, aiRootColor)) {
+        const tableEntry = transpositionTable.entry;
+        tableMove = tableEntry.bestMove;
+        if (tableEntry.depth >= depth) {
+            // The stored result may itself have been cut off by a depth limit.
+            searchReachedDepthLimit = true;
+            if (tableEntry.flag === 'EXACT') return tableEntry.value;
+            if (tableEntry.flag === 'LOWERBOUND') alpha = Math.max(alpha, tableEntry.value);
+            else if (tableEntry.flag === 'UPPERBOUND') beta = Math.min(beta, tableEntry.value);
+            if (alpha >= beta) return tableEntry.value;
+        }
+    }
+
+    if (depth === 0) {
+        if (!position.hasMoves()) return scoreTerminalPosition(position, aiRootColor);
+        searchReachedDepthLimit = true;
+        return evaluatePosition(position, aiRootColor, searchWeights);
+    }
+    const possibleMoves = position.generateMoves();
+    if (possibleMoves.length === 0) {
+        return scoreTerminalPosition(position, aiRootColor);
+    }
+
+    // Search the best move from the table first: it is the most likely to cause a cutoff.
+    if (tableMove) {
+        const index = possibleMoves.findIndex(move => sameSearchMove(move, tableMove));
+        if (index > 0) possibleMoves.unshift(possibleMoves.splice(index, 1)[0]);
+    }
+
+    let bestValue = isMaximizingPlayer ? -Infinity : Infinity;
+    let bestMove = null;
+    for (const move of possibleMoves) {
+        position.makeMove(move);
+        const eval = alphaBetaSearch(position, depth - 1, alpha, beta, !isMaximizingPlayer, aiRootColor);
+        position.unmakeMove();
+
+        if (isMaximizingPlayer ? eval > bestValue : eval < bestValue) {
+            bestValue = eval;
+            bestMove = move;
+        }
+        if (isMaximizingPlayer) alpha = Math.max(alpha, eval);
+        else beta = Math.min(beta, eval);
+        if (beta <= alpha) break;
+    }
+
+    if (searchTimedOut) return bestValue; // Incomplete result, must not be stored
+
+    let flag = 'EXACT';
+    if (bestValue <= originalAlpha) flag = 'UPPERBOUND';
+    else if (bestValue >= originalBeta) flag = 'LOWERBOUND';
+    // A fail-low node has no reliable best move for the side to move.
+    const moveToStore = (isMaximizingPlayer ? flag === 'UPPERBOUND' : flag === 'LOWERBOUND') ? null : bestMove;
+    transpositionTable.store(currentHash, aiRootColor, depth, bestValue, flag, moveToStore);
+
+    return bestValue;
+}
+
+/**
+ * Debug check for VERIFY_ZOBRIST_KEYS: the incremental key must match a full recomputation.
+ */
+function verifyZobristKey(position) {
+    const expected = calculateZobristKey(position.toBoard(), position.currentPlayer, position.whiteScore, position.blackScore);
+    if (position.hash !== expected) {
+        throw new Error(`Zobrist key mismatch: incremental ${position.hash.toString(16)}, recomputed ${expected.toString(16)} ` +
+            `for ${JSON.stringify(position.toGameState())}`);
+    }
+}
+
+/**
+ * Scores a finished game (the side to move has no moves) with the real end-of-game rule:
+ * each side's promoted pieces are added to its score, and the higher final score wins.
+ * Wins and losses are offset by WIN_SCORE so they outweigh any heuristic evaluation, and the
+ * final margin is kept so the engine still prefers bigger wins and smaller losses.
+ */
+function scoreTerminalPosition(position, aiRootColor) {
+    const promo = position.calculatePromotedPieceValues();
+    const finalWhite = position.whiteScore + promo.whitePromotedValue;
+    const finalBlack = position.blackScore + promo.blackPromotedValue;
+    const margin = aiRootColor === 'white' ? finalWhite - finalBlack : finalBlack - finalWhite;
+
+    if (margin > 0) return WIN_SCORE + margin;
+    if (margin < 0) return -WIN_SCORE + margin;
+    return 0; // Draw
+}
+
+module.exports = {
+    findBestMoveWithAlphaBeta,
+    findBestPromotionCapture,
+    analyzePosition,
+    getLastSearchStats,
+    getLastCandidates,
+    getClockBudgetMs,
+    useTranspositionTable,
+    AI_STRENGTH_PROFILES,
+    DEFAULT_AI_STRENGTH,
+    ANALYSIS_PROFILE,
+};
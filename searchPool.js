@@ -0,0 +1,243 @@
+/**
+ * @file searchPool.js
+ * A fixed pool of worker threads that run AI searches off the main event loop.
+ *
+ * Requests beyond the number of workers wait in a bounded FIFO queue; when the queue is full,
+ * new requests are rejected straight away instead of piling up. Every request can be cancelled
+ * with an AbortSignal: a queued request is dropped, and a running search is told to stop through
+ * a shared flag that the worker polls.
+ *
+ * The pool also owns the transposition table, which all workers share (see transpositionTable.js).
+ */
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { TranspositionTable, DEFAULT_SIZE_MB } = require('./transpositionTable.js');
+const { Logger } = require('./logger.js');
+
+const DEFAULT_POOL_SIZE = Math.max(1, os.availableParallelism() - 1); // Leave a core for HTTP
+const DEFAULT_MAX_QUEUE_LENGTH = 16;
+
+/**
+ * Creates an Error with a machine-readable code, so HTTP handlers can map it to a status.
+ * @param {string} code - 'SEARCH_QUEUE_FULL', 'SEARCH_CANCELLED' or 'SEARCH_WORKER_FAILED'.
+ * @param {string} message
+ */
+function searchError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+class SearchPool {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.size] - Number of worker threads.
+     * @param {number} [options.maxQueueLength] - Requests that may wait for a free worker.
+     * @param {number} [options.hashSizeMb] - Memory for the shared transposition table.
+     * @param {boolean} [options.silent] - Discard the workers' console output, e.g. when many
+     *        searches run from the command line.
+     * @param {Logger} [options.log] - Where worker crashes are logged.
+     * @param {function(object): void} [options.onWorkerCrash] - Called with { jobId, task } (both
+     *        null if the worker was idle) when a worker crashes, e.g. to count crashes.
+     */
+    constructor({ size = DEFAULT_POOL_SIZE, maxQueueLength = DEFAULT_MAX_QUEUE_LENGTH, hashSizeMb = DEFAULT_SIZE_MB, silent = false, log = new Logger(), onWorkerCrash = () => {} } = {}) {
+        this.size = size;
+        this.silent = silent;
+        this.log = log;
+        this.onWorkerCrash = onWorkerCrash;
+        this.maxQueueLength = maxQueueLength;
+        this.transpositionTable = TranspositionTable.create(hashSizeMb);
+        this.workers = []; // { worker, job } where job is the running job or null
+        this.queue = [];
+        this.nextJobId = 1;
+
+        for (let i = 0; i < size; i++) this.workers.push(this.spawnWorker());
+    }
+
+    spawnWorker() {
+        const worker = new Worker(path.join(__dirname, 'searchWorker.js'), {
+            workerData: { transpositionTable: this.transpositionTable.buffer },
+            stdout: this.silent,
+        });
+        if (this.silent) worker.stdout.resume(); // Read and drop it, so it does not pile up
+        const slot = { worker, job: null };
+
+        slot.worker.on('message', message => {
+            const job = slot.job;
+            if (!job || job.id !== message.id) return;
+            if (message.progress) {
+                job.onProgress(message.progress);
+                return;
+            }
+            this.finishJob(slot);
+            if (message.error) job.reject(searchError('SEARCH_WORKER_FAILED', message.error));
+            else if (message.cancelled) job.reject(searchError('SEARCH_CANCELLED', 'The search was cancelled.'));
+            else job.resolve({ result: message.result, stats: message.stats, candidates: message.candidates });
+        });
+
+        // A crashed worker fails its current job and is replaced, so the pool keeps its size.
+        slot.worker.on('error', err => {
+            const job = slot.job;
+            const crash = { jobId: job ? job.id : null, task: job ? job.task : null };
+            this.log.error('search worker crashed', { ...crash, error: err });
+            this.onWorkerCrash(crash);
+            slot.job = null;
+            if (job) {
+                this.releaseSignal(job);
+                job.reject(searchError('SEARCH_WORKER_FAILED', err.message));
+            }
+        });
+        slot.worker.on('exit', () => {
+            const index = this.workers.indexOf(slot);
+            if (index === -1) return; // Closed on purpose
+            this.workers[index] = this.spawnWorker();
+            this.dispatch();
+        });
+
+        return slot;
+    }
+
+    /**
+     * Searches for the best move in a worker thread.
+     * @param {object} gameState - The game state in the format the client sends.
+     * @param {object} profile - A strength profile from search.js.
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Aborting it cancels the search.
+     * @param {number} [options.multiPv] - Also rank this many root moves (see search.js's
+     *        findBestMoveWithAlphaBeta()).
+     * @param {object} [options.clock] - The side to move's clock, which sets the search's time
+     *        (see findBestMoveWithAlphaBeta()). Time spent waiting in the queue comes off it.
+     * @param {function(object): void} [options.onProgress] - Called after each completed depth with
+     *        the best move so far (see the onDepth option of findBestMoveWithAlphaBeta()).
+     * @param {AbortSignal} [options.moveNowSignal] - Aborting it ends the search early with the
+     *        best move found so far, instead of cancelling it.
+     * @returns {Promise<{result: object|null, stats: object|null, candidates: Array|null}>} The best
+     *          move (null if there are no moves), the search statistics from search.js's
+     *          getLastSearchStats() and the ranked moves from its getLastCandidates().
+     */
+    search(gameState, profile, options) {
+        return this.run('best-move', gameState, profile, options);
+    }
+
+    /**
+     * Chooses the best promotion capture for a 'choosing_promotion' state in a worker thread.
+     * @returns {Promise<{result: {row: number, col: number}|null, stats: object|null}>}
+     */
+    choosePromotion(gameState, profile, options) {
+        return this.run('best-promotion', gameState, profile, options);
+    }
+
+    /**
+     * Scores every move of a position for post-game analysis in a worker thread.
+     * @returns {Promise<{result: {scoredMoves: Array, depth: number}|null, stats: object|null}>}
+     *          See search.js's analyzePosition().
+     */
+    analyze(gameState, profile, options) {
+        return this.run('analyze', gameState, profile, options);
+    }
+
+    /**
+     * Queues a task for the workers. See searchWorker.js for the task names.
+     */
+    run(task, gameState, profile, { signal, multiPv, clock, onProgress, moveNowSignal } = {}) {
+        if (signal && signal.aborted) {
+            return Promise.reject(searchError('SEARCH_CANCELLED', 'The search was cancelled.'));
+        }
+        const idleSlot = this.workers.find(slot => !slot.job);
+        if (!idleSlot && this.queue.length >= this.maxQueueLength) {
+            return Promise.reject(searchError('SEARCH_QUEUE_FULL', 'The AI is busy. Please try again shortly.'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = {
+                id: this.nextJobId++,
+                task,
+                gameState,
+                profile,
+                multiPv,
+                clock,
+                queuedAt: Date.now(),
+                onProgress,
+                cancelFlag: new Int32Array(new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT)),
+                resolve,
+                reject,
+                signal,
+                moveNowSignal,
+            };
+
+            if (signal) {
+                job.onAbort = () => this.cancel(job);
+                signal.addEventListener('abort', job.onAbort, { once: true });
+            }
+            if (moveNowSignal) {
+                // A queued job keeps the flag, and its search stops as soon as it starts.
+                job.onMoveNow = () => Atomics.compareExchange(job.cancelFlag, 0, 0, 2);
+                if (moveNowSignal.aborted) job.onMoveNow();
+                else moveNowSignal.addEventListener('abort', job.onMoveNow, { once: true });
+            }
+
+            this.queue.push(job);
+            this.dispatch();
+        });
+    }
+
+    cancel(job) {
+        const queueIndex = this.queue.indexOf(job);
+        if (queueIndex !== -1) {
+            this.queue.splice(queueIndex, 1);
+            this.releaseSignal(job);
+            job.reject(searchError('SEARCH_CANCELLED', 'The search was cancelled.'));
+            return;
+        }
+        // Running: the worker notices the flag, stops and replies with cancelled: true.
+        Atomics.store(job.cancelFlag, 0, 1);
+    }
+
+    dispatch() {
+        for (const slot of this.workers) {
+            if (this.queue.length === 0) return;
+            if (slot.job) continue;
+            const job = this.queue.shift();
+            slot.job = job;
+            slot.worker.postMessage({
+                id: job.id,
+                task: job.task,
+                gameState: job.gameState,
+                profile: job.profile,
+                multiPv: job.multiPv,
+                clock: job.clock && { ...job.clock, remainingMs: job.clock.remainingMs - (Date.now() - job.queuedAt) },
+                progress: !!job.onProgress,
+                cancelBuffer: job.cancelFlag.buffer,
+            });
+        }
+    }
+
+    finishJob(slot) {
+        this.releaseSignal(slot.job);
+        slot.job = null;
+        this.dispatch();
+    }
+
+    releaseSignal(job) {
+        if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+        if (job.moveNowSignal) job.moveNowSignal.removeEventListener('abort', job.onMoveNow);
+    }
+
+    getStats() {
+        return {
+            workers: this.workers.length,
+            busy: this.workers.filter(slot => slot.job).length,
+            queued: this.queue.length,
+        };
+    }
+
+    async close() {
+        const slots = this.workers;
+        this.workers = [];
+        await Promise.all(slots.map(slot => slot.worker.terminate()));
+    }
+}
+
+module.exports = { SearchPool };
@@ -0,0 +1,41 @@
+/**
+ * @file searchWorker.js
+ * Worker thread entry point for the AI search. Each worker loads its own copy of search.js,
+ * and all of them share the pool's transposition table (workerData.transpositionTable).
+ *
+ * Messages in:  { id, task, gameState, profile, multiPv, clock, progress, cancelBuffer }
+ * Messages out: { id, progress } after each depth of a 'best-move' search (if progress was asked
+ *               for), then { id, result, stats, candidates, cancelled } or { id, error }
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { Position } = require('./gameLogic.js');
+const { TranspositionTable } = require('./transpositionTable.js');
+const { findBestMoveWithAlphaBeta, findBestPromotionCapture, analyzePosition, getLastSearchStats, getLastCandidates, useTranspositionTable } = require('./search.js');
+
+useTranspositionTable(new TranspositionTable(workerData.transpositionTable));
+
+// What the pool writes to cancelBuffer: 1 cancels the search, 2 ends it with the best move so far.
+const STOP_REASONS = { 1: 'cancelled', 2: 'move-now' };
+
+const TASKS = {
+    'best-move': (gameState, profile, options) => findBestMoveWithAlphaBeta(Position.fromGameState(gameState), profile, options),
+    'best-promotion': (gameState, profile, options) =>
+        findBestPromotionCapture(Position.fromGameState(gameState), gameState.promotionChoices, gameState.promotionPoints, profile, options),
+    'analyze': (gameState, profile, options) => analyzePosition(Position.fromGameState(gameState), profile, options),
+};
+
+parentPort.on('message', ({ id, task, gameState, profile, multiPv, clock, progress, cancelBuffer }) => {
+    // The pool sets cancelFlag[0] from the main thread when the request is abandoned (1) or the
+    // player wants the move now (2).
+    const cancelFlag = new Int32Array(cancelBuffer);
+    const shouldStop = () => STOP_REASONS[Atomics.load(cancelFlag, 0)] || false;
+    const onDepth = progress ? update => parentPort.postMessage({ id, progress: update }) : undefined;
+
+    try {
+        const result = TASKS[task](gameState, profile, { shouldStop, multiPv, clock, onDepth });
+        parentPort.postMessage({ id, result, stats: getLastSearchStats(), candidates: getLastCandidates(), cancelled: Atomics.load(cancelFlag, 0) === 1 });
+    } catch (err) {
+        parentPort.postMessage({ id, error: err.stack || String(err) });
+    }
+});
@@ -1,259 +1,649 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path'); // Added for serving static files
-const { Check10Game } = require('./gameLogic.js'); // Import our headless game class
-const { calculateZobristKey, ZOBRIST, getPieceIndex } = require('./zobrist.js'); // Import Zobrist hashing utilities
+const crypto = require('crypto'); // Request IDs
+const { AI_STRENGTH_PROFILES, DEFAULT_AI_STRENGTH, ANALYSIS_PROFILE } = require('./search.js'); // AI strength profiles
+const { SearchPool } = require('./searchPool.js'); // Runs searches in worker threads
+const { GameSessionStore, serializeSession, getSessionRecord } = require('./gameSessions.js'); // Server-authoritative game sessions
+const Rules = require('./rules.js'); // Game rules and variants
+const GameRecord = require('./gameRecord.js'); // Move notation and game records
+const Analysis = require('./analysis.js'); // Post-game analysis
+const { GameRoomStore } = require('./gameRooms.js'); // Online human-vs-human rooms
+const Evaluation = require('./evaluation.js'); // Evaluation weight profiles
+const { OpeningBook, DEFAULT_BOOK_FILE } = require('./openingBook.js'); // Precomputed opening moves
+const { PuzzleSet, DEFAULT_PUZZLE_FILE } = require('./puzzles.js'); // Combination puzzles
+const { readGameState, readClock } = require('./stateValidation.js'); // Checks the states sent to the AI
+const { RateLimiter, ConcurrencyLimiter, rateLimit, concurrencyLimit } = require('./requestLimits.js'); // Limits on the AI endpoints
+const { Logger } = require('./logger.js'); // Structured JSON logs
+const { createEngineMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics.js'); // Prometheus metrics
 
 const app = express();
 const PORT = process.env.PORT || 3000; // Use environment variable for port, crucial for deployment
+const log = new Logger(); // One JSON object per line; LOG_LEVEL=debug adds each search depth
+
+// Canonical game state for games played through the session API.
+const gameSessions = new GameSessionStore();
+const gameRooms = new GameRoomStore(gameSessions);
+
+// Evaluation weight profiles (weights/*.json), selected by a request's "evalProfile".
+const weightProfiles = Evaluation.loadWeightProfiles();
+log.info('loaded evaluation weight profiles', { profiles: Object.keys(weightProfiles) });
+
+// The opening book (built by scripts/buildBook.js), or null to always search.
+let openingBook = null;
+try {
+    openingBook = OpeningBook.load(process.env.OPENING_BOOK || DEFAULT_BOOK_FILE);
+    log.info('loaded opening book', { positions: openingBook.size, evalProfile: openingBook.evalProfile });
+} catch (err) {
+    log.warn('no opening book, the AI will search every move', { reason: err.message });
+}
+
+// The combination puzzles (generated by scripts/buildPuzzles.js); an empty set if there are none.
+let puzzleSet = new PuzzleSet();
+try {
+    puzzleSet = PuzzleSet.load(process.env.PUZZLES || DEFAULT_PUZZLE_FILE);
+    log.info('loaded puzzles', { puzzles: puzzleSet.size });
+} catch (err) {
+    log.warn('no puzzle set, puzzle mode has no puzzles', { reason: err.message });
+}
+
+// AI searches run in worker threads so a long search never blocks other requests.
+// The workers share one transposition table of SEARCH_HASH_MB megabytes.
+const searchPool = new SearchPool({
+    size: Number(process.env.SEARCH_WORKERS) || undefined,
+    maxQueueLength: Number(process.env.SEARCH_QUEUE_LIMIT) || undefined,
+    hashSizeMb: Number(process.env.SEARCH_HASH_MB) || undefined,
+    log,
+    onWorkerCrash: () => engineMetrics.recordWorkerCrash(),
+});
+
+// The searching endpoints (AI moves, promotion choices, hints and analyses) are limited per client
+// to AI_RATE_LIMIT requests a minute (in bursts of up to AI_RATE_BURST), and to AI_MAX_CONCURRENT
+// requests running at once, AI_MAX_CONCURRENT_PER_CLIENT of them from one client. Over a limit,
+// they answer 429 with Retry-After.
+const aiRateLimiter = new RateLimiter({
+    perMinute: Number(process.env.AI_RATE_LIMIT) || 120,
+    burst: Number(process.env.AI_RATE_BURST) || 20,
+});
+const aiConcurrencyLimiter = new ConcurrencyLimiter({
+    max: Number(process.env.AI_MAX_CONCURRENT) || searchPool.size * 2,
+    perClient: Number(process.env.AI_MAX_CONCURRENT_PER_CLIENT) || 2,
+});
 
-// --- AI Configuration ---
-const MAX_SEARCH_DEPTH = 15; // A hard limit to prevent excessively long searches
-const AI_THINKING_TIME_MS = 10000; // AI will "think" for 10 seconds per move
+// Search latency, depth, nodes, speed, table hit rate and cutoffs, served at /metrics.
+const engineMetrics = createEngineMetrics({ getPoolStats: () => searchPool.getStats() });
 
-// Initialize the Transposition Table. This will store our calculated results.
-const transpositionTable = new Map();
+const onLimited = limit => (req, retryAfter) => {
+    req.log.warn('request limited', { limit, ip: req.ip, path: req.path, retryAfter });
+    engineMetrics.recordLimited(limit);
+};
+const aiRequestLimits = [
+    rateLimit(aiRateLimiter, onLimited('rate')),
+    concurrencyLimit(aiConcurrencyLimiter, undefined, onLimited('concurrency')),
+];
 
 // --- Middleware ---
 app.use(cors());
-app.use(express.json());
+// Every request gets an ID (the client's X-Request-Id, if it sent a usable one), which is sent back
+// and written with each of the request's log lines. API requests are logged when they end.
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+app.use((req, res, next) => {
+    const clientId = req.get('X-Request-Id');
+    req.id = clientId && REQUEST_ID_PATTERN.test(clientId) ? clientId : crypto.randomUUID();
+    req.log = log.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+    if (req.path.startsWith('/api/')) {
+        const startTime = Date.now();
+        res.on('finish', () => req.log.info('request', { method: req.method, path: req.path, status: res.statusCode, ms: Date.now() - startTime }));
+    }
+    next();
+});
+// A whole game's gameHistory (one board per move) can be sent for analysis, hence its larger limit.
+// Every other request is one game state at most. (A body parsed by the first parser is skipped by
+// the second.)
+app.use('/api/analyze', express.json({ limit: process.env.ANALYSIS_BODY_LIMIT || '2mb' }));
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '32kb' }));
 // --- NEW LINES TO SERVE THE FRONTEND ---
 
 app.use(express.static(path.join(__dirname, 'public')));
+// The game rules, shared with the browser (see rules.js).
+app.get('/rules.js', (req, res) => res.sendFile(path.join(__dirname, 'rules.js')));
+app.get('/gameRecord.js', (req, res) => res.sendFile(path.join(__dirname, 'gameRecord.js')));
+// The rules conformance suite can be run in a browser at /test/rules.html, outside production.
+if (process.env.NODE_ENV !== 'production') {
+    app.use('/test', express.static(path.join(__dirname, 'test')));
+}
+
+
+// =================================================================
+//                     HEALTH AND METRICS
+// =================================================================
 
+// Liveness: the process is up and answering.
+app.get('/healthz', (req, res) => {
+    res.status(200).json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// Readiness: the server is listening and the search pool has all its workers and room in its
+// queue, so an AI request would be served.
+let listening = false;
+app.get('/readyz', (req, res) => {
+    const pool = searchPool.getStats();
+    const reason = !listening ? 'starting'
+        : pool.workers < searchPool.size ? 'search workers are restarting'
+        : pool.queued >= searchPool.maxQueueLength ? 'the search queue is full'
+        : null;
+    res.status(reason ? 503 : 200).json({ status: reason ? 'not ready' : 'ready', ...(reason && { reason }), pool });
+});
 
+// The engine's metrics in the Prometheus text format (see metrics.js).
+app.get('/metrics', (req, res) => {
+    res.status(200).type(METRICS_CONTENT_TYPE).send(engineMetrics.registry.render());
+});
 
 // =================================================================
 //                     MAIN API ENDPOINT
 // =================================================================
-app.post('/api/get-best-move', (req, res) => {
-    console.log("-----------------------------------------");
-    console.log(`Received request for best move.`);
-    const startTime = Date.now();
-
-    // Clear the transposition table for this new, independent search.
-    transpositionTable.clear();
 
+// Resolves the request's aiStrength and evalProfile to a search profile with its evaluation
+// weights, or answers 400 and returns null.
+function findProfileOr400(req, res) {
     const gameState = req.body;
+    const aiStrength = gameState.aiStrength || DEFAULT_AI_STRENGTH;
+    const profile = Object.hasOwn(AI_STRENGTH_PROFILES, aiStrength) ? AI_STRENGTH_PROFILES[aiStrength] : null;
+    if (!profile) {
+        res.status(400).json({ error: `Unknown aiStrength '${aiStrength}'. Use one of: ${Object.keys(AI_STRENGTH_PROFILES).join(', ')}.` });
+        return null;
+    }
+    const evalProfile = gameState.evalProfile || Evaluation.DEFAULT_WEIGHT_PROFILE;
+    const weights = Object.hasOwn(weightProfiles, evalProfile) ? weightProfiles[evalProfile] : null;
+    if (!weights) {
+        res.status(400).json({ error: `Unknown evalProfile '${evalProfile}'. Use one of: ${Object.keys(weightProfiles).join(', ')}.` });
+        return null;
+    }
+    req.log.debug('search profile', { aiStrength, evalProfile });
+    return { ...profile, weights };
+}
 
-    if (!gameState || !gameState.board || !gameState.currentPlayer) {
-        return res.status(400).json({ error: 'Invalid game state provided.' });
+// Reads the request's game state, its board checked against its variant (see stateValidation.js),
+// or answers 400 and returns null.
+function readGameStateOr400(body, res, options) {
+    try {
+        return readGameState(body, options);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+        return null;
     }
+}
 
-    const game = new Check10Game();
-    game.hydrateFromServerState(gameState);
+const MAX_MULTI_PV = 10;
 
-    const bestMove = findBestMoveWithAlphaBeta(game);
+// Reads the request's optional multiPv (how many ranked moves to return), or answers 400 and
+// returns null. Returns 0 when no ranking was asked for.
+function findMultiPvOr400(gameState, res) {
+    if (gameState.multiPv === undefined) return 0;
+    const multiPv = gameState.multiPv;
+    if (!Number.isInteger(multiPv) || multiPv < 1 || multiPv > MAX_MULTI_PV) {
+        res.status(400).json({ error: `multiPv must be a whole number from 1 to ${MAX_MULTI_PV}.` });
+        return null;
+    }
+    return multiPv;
+}
 
-    const endTime = Date.now();
-    console.log(`Final AI calculation took ${endTime - startTime}ms. TT size: ${transpositionTable.size}`);
-    
-    if (bestMove) {
-        console.log("AI chose final move:", bestMove);
-        res.status(200).json(bestMove);
-    } else {
-        console.log("AI found no valid moves.");
-        res.status(200).json({ noMove: true });
+// Reads the request's optional clock (the AI's time left in a game on time), or answers 400 and
+// returns undefined. Returns null when the game has no clock.
+function readClockOr400(body, res) {
+    try {
+        return readClock(body.clock);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+        return undefined;
     }
-});
+}
 
-// =================================================================
-//                  AI LOGIC (IDDFS + ALPHA-BETA + TT)
-// =================================================================
+function answerErrorAsJson(res) {
+    return (status, error, retryAfter) => {
+        if (retryAfter) res.set('Retry-After', String(retryAfter));
+        res.status(status).json({ error });
+    };
+}
+
+const SEARCH_OUTCOMES = { SEARCH_CANCELLED: 'cancelled', SEARCH_QUEUE_FULL: 'rejected' };
 
 /**
- * Top-level "manager" function that implements Iterative Deepening.
- * It calls the alpha-beta search in a loop, increasing the depth each time
- * until a time limit is reached.
+ * Runs one search on the pool, and records it in the metrics and the log: its time, depth, nodes,
+ * speed, table hit rate and why it stopped.
+ * @param {object} req - The request the search is for.
+ * @param {string} task - 'best-move', 'best-promotion' or 'analyze'.
+ * @param {function(): Promise<{result: *, stats: object|null}>} search - Starts the search.
+ * @returns {Promise<{result: *, stats: object|null}>} What the search returned.
  */
-function findBestMoveWithAlphaBeta(game) {
+async function observeSearch(req, task, search) {
     const startTime = Date.now();
-    const playerColor = game.currentPlayer;
-    
-    let bestMoveSoFar = null;
-    let bestValueSoFar = -Infinity;
-    
-    const possibleMoves = game.getAllPossibleMovesForPlayer(playerColor);
-    if (possibleMoves.length === 0) return null;
-
-    // Start with a random move in case we run out of time even on depth 1
-    bestMoveSoFar = possibleMoves[Math.floor(Math.random() * possibleMoves.length)];
-
-    // --- The Iterative Deepening Loop ---
-    for (let depth = 1; depth <= MAX_SEARCH_DEPTH; depth++) {
-        console.log(`- Starting search at depth: ${depth}`);
-        
-        // Prioritize the best move from the previous iteration to improve alpha-beta pruning.
-        const movesToSearch = [...possibleMoves];
-        const bestMoveIndex = movesToSearch.findIndex(m => 
-            m.fromRow === bestMoveSoFar.fromRow && m.fromCol === bestMoveSoFar.fromCol &&
-            m.toRow === bestMoveSoFar.toRow && m.toCol === bestMoveSoFar.toCol
-        );
-        if (bestMoveIndex > -1) {
-            const prioritizedMove = movesToSearch.splice(bestMoveIndex, 1)[0];
-            movesToSearch.unshift(prioritizedMove);
-        }
-
-        let currentBestMoveForDepth = null;
-        let bestValueForDepth = -Infinity;
-        
-        const rootHash = calculateZobristKey(game.board, game.currentPlayer);
-
-        for (const move of movesToSearch) {
-            if (Date.now() - startTime > AI_THINKING_TIME_MS) {
-                console.log(`-- Time limit reached during depth ${depth}. Using results from depth ${depth - 1}.`);
-                return bestMoveSoFar; // Return the best move from the PREVIOUS completed depth
-            }
-
-            const { tempBoard, aiScoreGain, leadsToChoiceForThisPlayer } = game.simulateFullMove(move.fromRow, move.fromCol, move.toRow, move.toCol, playerColor);
-            
-            let moveValue;
-            if (leadsToChoiceForThisPlayer) {
-                moveValue = aiScoreGain;
-            } else {
-                let nextHash = rootHash;
-                nextHash ^= ZOBRIST.table[getPieceIndex(move.piece)][move.fromRow * 8 + move.fromCol];
-                nextHash ^= ZOBRIST.table[getPieceIndex(move.piece)][move.toRow * 8 + move.toCol];
-                nextHash ^= ZOBRIST.blackToMove;
-
-                const childGame = new Check10Game();
-                const opponentColor = playerColor === 'white' ? 'black' : 'white';
-                childGame.hydrateFromServerState({
-                    board: tempBoard, currentPlayer: opponentColor,
-                    whiteScore: game.whiteScore + (playerColor === 'white' ? aiScoreGain : 0),
-                    blackScore: game.blackScore + (playerColor === 'black' ? aiScoreGain : 0),
-                });
-                
-                moveValue = aiScoreGain + alphaBetaSearch(childGame, depth - 1, -Infinity, Infinity, false, playerColor, nextHash);
-            }
-
-            if (moveValue > bestValueForDepth) {
-                bestValueForDepth = moveValue;
-                currentBestMoveForDepth = move;
-            }
-        }
+    let outcome;
+    try {
+        outcome = await search();
+    } catch (err) {
+        engineMetrics.recordSearch(task, SEARCH_OUTCOMES[err.code] || 'failed', (Date.now() - startTime) / 1000, null);
+        throw err;
+    }
+    const ms = Date.now() - startTime;
+    const stats = outcome.stats;
+    engineMetrics.recordSearch(task, 'ok', ms / 1000, stats);
+
+    // One line per search; an analysis searches every position, so its lines are debug lines.
+    const level = task === 'analyze' ? 'debug' : 'info';
+    if (!req.log.isEnabled(level)) return outcome;
+    if (stats) {
+        for (const entry of stats.depths) req.log.debug('search depth', { task, ...entry });
+    }
+    req.log.log(level, 'search finished', {
+        task,
+        ms,
+        ...(stats && {
+            depth: stats.depth,
+            nodes: stats.nodes,
+            nodesPerSecond: stats.elapsedMs > 0 ? Math.round(stats.nodes / (stats.elapsedMs / 1000)) : null,
+            stopReason: stats.stopReason,
+            ttHitRate: stats.transpositionTable.hitRate,
+        }),
+    });
+    return outcome;
+}
 
-        if (Date.now() - startTime > AI_THINKING_TIME_MS) {
-            console.log(`-- Time limit reached after completing depth ${depth}. Using these results.`);
-            bestMoveSoFar = currentBestMoveForDepth;
-            bestValueSoFar = bestValueForDepth;
-            break;
+/**
+ * Runs a search-pool task on behalf of a request. The search is cancelled if the client goes
+ * away (undo, new game, closed tab) before we answer.
+ * @param {object} req - The Express request.
+ * @param {object} res - The Express response.
+ * @param {function(AbortSignal): Promise} startSearch - Starts the task with the given signal.
+ * @param {function(number, string, number=): void} [answerError] - Answers a failed search with
+ *        the status, error message and seconds to wait before retrying (if any); as JSON by default.
+ * @returns {Promise<{result: *, stats: object|null}|null>} The task result and search statistics,
+ *          or null if the error was already answered.
+ */
+async function runSearchTask(req, res, startSearch, answerError = answerErrorAsJson(res)) {
+    const startTime = Date.now();
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) abortController.abort();
+    });
+
+    try {
+        return await startSearch(abortController.signal);
+    } catch (err) {
+        if (err.code === 'SEARCH_CANCELLED') {
+            req.log.info('search cancelled by the client', { ms: Date.now() - startTime });
+        } else if (err.code === 'SEARCH_QUEUE_FULL') {
+            req.log.warn('search rejected, the queue is full', { pool: searchPool.getStats() });
+            answerError(503, err.message, 2);
+        } else {
+            req.log.error('search failed', { error: err });
+            answerError(500, 'The AI search failed.');
         }
-        
-        bestMoveSoFar = currentBestMoveForDepth;
-        bestValueSoFar = bestValueForDepth;
-        console.log(`- Completed depth ${depth}. Best move so far:`, {move: bestMoveSoFar, score: bestValueSoFar});
+        return null;
     }
+}
 
-    return bestMoveSoFar;
+// Reads a best-move request: its game state, search profile, multiPv and clock, or answers 400
+// and returns null.
+function readBestMoveRequestOr400(req, res) {
+    const gameState = readGameStateOr400(req.body, res);
+    if (!gameState) return null;
+    const profile = findProfileOr400(req, res);
+    if (!profile) return null;
+    const multiPv = findMultiPvOr400(req.body, res);
+    if (multiPv === null) return null;
+    const clock = readClockOr400(req.body, res);
+    if (clock === undefined) return null;
+    return { gameState, profile, multiPv, clock };
 }
 
+// In a book position the AI answers with a book move at once. Hints (multiPv) still search, as
+// they need the ranked candidates, and so do requests with weights the book was not built for.
+// The book holds the strong engine's moves, so profiles with score noise or blunders (easy and
+// moderate) search too, and stay beatable in the opening.
+// Variant positions have keys of their own, so the book has no moves for them.
+// Returns the answer with the book move, or null to search.
+function findBookAnswer(req, { gameState, profile, multiPv }) {
+    if (multiPv || !openingBook || profile.weights !== weightProfiles[openingBook.evalProfile]) return null;
+    if (profile.scoreNoise > 0 || profile.blunderChance > 0) return null;
+    const bookMove = openingBook.pickMove(gameState);
+    if (!bookMove) return null;
+    engineMetrics.recordBookMove();
+    req.log.info('book move', { move: bookMove.notation });
+    return { ...bookMove, book: true, searchStats: null };
+}
 
-/**
- * The core recursive Alpha-Beta search function with Transposition Table integration.
- */
-function alphaBetaSearch(game, depth, alpha, beta, isMaximizingPlayer, aiRootColor, currentHash) {
-    const originalAlpha = alpha;
-    const tableEntry = transpositionTable.get(currentHash);
-    if (tableEntry && tableEntry.depth >= depth) {
-        if (tableEntry.flag === 'EXACT') return tableEntry.value;
-        if (tableEntry.flag === 'LOWERBOUND') alpha = Math.max(alpha, tableEntry.value);
-        else if (tableEntry.flag === 'UPPERBOUND') beta = Math.min(beta, tableEntry.value);
-        if (alpha >= beta) return tableEntry.value;
+// The answer to a best-move request from its search.
+function getBestMoveAnswer(req, search, multiPv) {
+    const bestMove = search.result;
+    // { depth, nodes, elapsedMs, stopReason, depths, transpositionTable: { hits, misses, hitRate, ... } },
+    // or null if there was nothing to search.
+    const searchStats = search.stats;
+    if (bestMove) return { ...bestMove, searchStats, ...(multiPv && { candidates: search.candidates }) };
+    req.log.info('the AI has no moves');
+    return { noMove: true, searchStats, ...(multiPv && { candidates: [] }) };
+}
+
+// Expects { board, currentPlayer, whiteScore, blackScore, variant?, aiStrength?, evalProfile?, multiPv?, clock? }
+// and answers with the move to play. variant holds the game's house rules (see rules.js), and
+// evalProfile names a weight profile in weights/. In a game on time, clock is the AI's
+// { remainingMs, incrementMs?, movesToGo? } and sets how long it thinks. With
+// multiPv, `candidates` also lists the best multiPv moves, best first, each with its notation,
+// score, immediateGain and principal variation `pv` (see search.js). A move from the opening book
+// comes with `book: true`, its `notation` and no searchStats.
+app.post('/api/get-best-move', aiRequestLimits, async (req, res) => {
+    const request = readBestMoveRequestOr400(req, res);
+    if (!request) return;
+    const bookAnswer = findBookAnswer(req, request);
+    if (bookAnswer) return res.status(200).json(bookAnswer);
+
+    const { gameState, profile, multiPv, clock } = request;
+    const search = await runSearchTask(req, res, signal => observeSearch(req, 'best-move', () => searchPool.search(gameState, profile, { signal, multiPv, clock })));
+    if (!search) return;
+    res.status(200).json(getBestMoveAnswer(req, search, multiPv));
+});
+
+// Streaming searches that can still be told to move now, by search ID.
+const liveSearches = new Map(); // searchId -> AbortController whose abort means "move now"
+
+// The same request as /api/get-best-move, answered as a stream of server-sent events while the AI
+// thinks:
+//   event: started   data: { searchId }  - for POST /api/searches/:searchId/move-now
+//   event: progress  data: { depth, move, notation, score, nodes, elapsedMs } after each depth;
+//                    score is the best move's value for the side to move
+//   event: result    data: the answer /api/get-best-move would give
+//   event: error     data: { status, error, retryAfter? }
+// A book move is answered with a result event straight away.
+app.post('/api/get-best-move/stream', aiRequestLimits, async (req, res) => {
+    const request = readBestMoveRequestOr400(req, res);
+    if (!request) return;
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    const bookAnswer = findBookAnswer(req, request);
+    if (bookAnswer) {
+        send('result', bookAnswer);
+        return res.end();
     }
 
-    if (depth === 0 || game.gameOver || !game.hasValidMoves(game.currentPlayer)) {
-        return evaluateBoard(game, aiRootColor);
+    const { gameState, profile, multiPv, clock } = request;
+    const searchId = crypto.randomUUID();
+    const moveNow = new AbortController();
+    liveSearches.set(searchId, moveNow);
+    send('started', { searchId });
+    const answerError = (status, error, retryAfter) => send('error', { status, error, ...(retryAfter && { retryAfter }) });
+    try {
+        const search = await runSearchTask(req, res, signal => observeSearch(req, 'best-move', () => searchPool.search(gameState, profile, {
+            signal,
+            multiPv,
+            clock,
+            moveNowSignal: moveNow.signal,
+            onProgress: progress => send('progress', progress),
+        })), answerError);
+        if (search) send('result', getBestMoveAnswer(req, search, multiPv));
+    } finally {
+        liveSearches.delete(searchId);
+        res.end();
     }
+});
 
-    const possibleMoves = game.getAllPossibleMovesForPlayer(game.currentPlayer);
-    let bestValue;
-
-    if (isMaximizingPlayer) {
-        bestValue = -Infinity;
-        for (const move of possibleMoves) {
-            let nextHash = currentHash;
-            nextHash ^= ZOBRIST.table[getPieceIndex(move.piece)][move.fromRow * 8 + move.fromCol];
-            nextHash ^= ZOBRIST.table[getPieceIndex(move.piece)][move.toRow * 8 + move.toCol];
-            nextHash ^= ZOBRIST.blackToMove;
-
-            const { tempBoard, aiScoreGain } = game.simulateFullMove(move.fromRow, move.fromCol, move.toRow, move.toCol, game.currentPlayer);
-            const childGame = new Check10Game();
-            childGame.hydrateFromServerState({
-                board: tempBoard,
-                currentPlayer: game.currentPlayer === 'white' ? 'black' : 'white',
-                whiteScore: game.whiteScore + (game.currentPlayer === 'white' ? aiScoreGain : 0),
-                blackScore: game.blackScore + (game.currentPlayer === 'black' ? aiScoreGain : 0),
-            });
-            
-            const eval = aiScoreGain + alphaBetaSearch(childGame, depth - 1, alpha, beta, false, aiRootColor, nextHash);
-            bestValue = Math.max(bestValue, eval);
-            alpha = Math.max(alpha, eval);
-            
-            if (beta <= alpha) break;
-        }
-    } else { // Minimizing Player
-        bestValue = Infinity;
-        for (const move of possibleMoves) {
-            let nextHash = currentHash;
-            nextHash ^= ZOBRIST.table[getPieceIndex(move.piece)][move.fromRow * 8 + move.fromCol];
-            nextHash ^= ZOBRIST.table[getPieceIndex(move.piece)][move.toRow * 8 + move.toCol];
-            nextHash ^= ZOBRIST.blackToMove;
-
-            const { tempBoard, aiScoreGain } = game.simulateFullMove(move.fromRow, move.fromCol, move.toRow, move.toCol, game.currentPlayer);
-            const childGame = new Check10Game();
-            childGame.hydrateFromServerState({
-                board: tempBoard,
-                currentPlayer: game.currentPlayer === 'white' ? 'black' : 'white',
-                whiteScore: game.whiteScore + (game.currentPlayer === 'white' ? aiScoreGain : 0),
-                blackScore: game.blackScore + (game.currentPlayer === 'black' ? aiScoreGain : 0),
-            });
-
-            const eval = -aiScoreGain + alphaBetaSearch(childGame, depth - 1, alpha, beta, true, aiRootColor, nextHash);
-            bestValue = Math.min(bestValue, eval);
-            beta = Math.min(beta, eval);
-            
-            if (beta <= alpha) break;
-        }
+// Ends a streaming search early: it answers with the best move found so far.
+app.post('/api/searches/:searchId/move-now', (req, res) => {
+    const moveNow = liveSearches.get(req.params.searchId);
+    if (!moveNow) return res.status(404).json({ error: 'No search is running with this ID.' });
+    req.log.info('move now', { searchId: req.params.searchId });
+    moveNow.abort();
+    res.status(202).json({ searchId: req.params.searchId });
+});
+
+// Picks which opponent piece to remove when the AI's promotion matches several pieces.
+// Expects the client's 'choosing_promotion' state, including promotionChoices and promotionPoints,
+// and its clock as for /api/get-best-move.
+app.post('/api/get-best-promotion', aiRequestLimits, async (req, res) => {
+    const gameState = readGameStateOr400(req.body, res, { promotion: true });
+    if (!gameState) return;
+    const profile = findProfileOr400(req, res);
+    if (!profile) return;
+    const clock = readClockOr400(req.body, res);
+    if (clock === undefined) return;
+
+    const search = await runSearchTask(req, res, signal => observeSearch(req, 'best-promotion', () => searchPool.choosePromotion(gameState, profile, { signal, clock })));
+    if (!search) return;
+
+    res.status(200).json(search.result);
+});
+
+// Analyzes a game, sent as { record }, { moves, position?, variant? } or { gameHistory, variant? } (see analysis.js):
+// for every move, the engine's preferred move, the evaluation before and after the move, and a
+// blunder/mistake/inaccuracy label. Each position is searched with ANALYSIS_PROFILE.
+app.post('/api/analyze', aiRequestLimits, async (req, res) => {
+    const startTime = Date.now();
+    let plies;
+    try {
+        plies = Analysis.getAnalysisPlies(Analysis.readGame(req.body));
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
     }
+    req.log.info('analysis started', { moves: plies.length });
+
+    const search = await runSearchTask(req, res, async signal => {
+        const analyze = async state => (await observeSearch(req, 'analyze', () => searchPool.analyze(state, ANALYSIS_PROFILE, { signal }))).result;
+        // One position at a time: the concurrency limit counts the analysis as one request, so it
+        // must not hold more than one worker, however long the game.
+        return { result: await Analysis.analyzeGame(plies, analyze) };
+    });
+    if (!search) return;
+
+    req.log.info('analysis finished', { moves: plies.length, ms: Date.now() - startTime, summary: search.result.summary });
+    res.status(200).json(search.result);
+});
 
-    let flag = 'EXACT';
-    if (bestValue <= originalAlpha) flag = 'UPPERBOUND';
-    else if (bestValue >= beta) flag = 'LOWERBOUND';
-    transpositionTable.set(currentHash, { value: bestValue, depth: depth, flag: flag });
-    
-    return bestValue;
+// =================================================================
+//                  GAME SESSION API (SERVER-AUTHORITATIVE)
+// =================================================================
+
+// Checks that the request's row and column numbers are on the session's board, whatever its
+// variant's size, or answers 400 and returns false.
+function checkCoordinatesOr400(session, values, names, res) {
+    const size = Rules.getVariant(session.game).boardSize;
+    if (values.every(value => Number.isInteger(value) && value >= 0 && value < size)) return true;
+    res.status(400).json({ error: `${names} must be integers from 0 to ${size - 1}.` });
+    return false;
 }
 
-/**
- * Evaluates a static board position and returns a score from the AI's perspective.
- */
-function evaluateBoard(game, aiRootColor) {
-    let score = 0;
-    const opponentColor = aiRootColor === 'white' ? 'black' : 'white';
-    const aiScore = aiRootColor === 'white' ? game.whiteScore : game.blackScore;
-    const opponentScore = opponentColor === 'white' ? game.whiteScore : game.blackScore;
-    score += (aiScore - opponentScore);
-
-    for (let r = 0; r < 8; r++) {
-        for (let c = 0; c < 8; c++) {
-            const piece = game.board[r][c];
-            if (piece) {
-                let pieceValue = 0;
-                if (piece.promoted) pieceValue += piece.number * 0.5;
-                if (piece.color === 'white') pieceValue += (7 - r) * 0.1;
-                else pieceValue += r * 0.1;
-                if (piece.color === aiRootColor) score += pieceValue;
-                else score -= pieceValue;
-            }
-        }
+// Looks up the session named in the URL, or answers 404 and returns null.
+function findSessionOr404(req, res) {
+    const session = gameSessions.get(req.params.id);
+    if (!session) res.status(404).json({ error: 'Game not found.' });
+    return session;
+}
+
+// Starts a game, with the house rules of an optional { variant } (a name from Rules.VARIANTS or
+// an object of rules).
+app.post('/api/games', (req, res) => {
+    let session;
+    try {
+        session = gameSessions.create(req.body && req.body.variant);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    req.log.info('created game session', { sessionId: session.id });
+    res.status(201).json(serializeSession(session));
+});
+
+// Creates a session from a game record, sent as text/plain or as JSON { record: "<text>" }.
+app.post('/api/games/import', express.text({ type: 'text/plain' }), (req, res) => {
+    const text = typeof req.body === 'string' ? req.body : req.body && req.body.record;
+    let session;
+    try {
+        session = gameSessions.importRecord(GameRecord.parseRecord(text));
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    req.log.info('imported game session', { sessionId: session.id, moves: session.notation.length });
+    res.status(201).json(serializeSession(session));
+});
+
+app.get('/api/games/:id', (req, res) => {
+    const session = findSessionOr404(req, res);
+    if (!session) return;
+    res.status(200).json(serializeSession(session));
+});
+
+// The session as a game record (see gameRecord.js).
+app.get('/api/games/:id/record', (req, res) => {
+    const session = findSessionOr404(req, res);
+    if (!session) return;
+    res.status(200).type('text/plain').send(GameRecord.formatRecord(getSessionRecord(session)));
+});
+
+app.post('/api/games/:id/moves', (req, res) => {
+    const session = findSessionOr404(req, res);
+    if (!session) return;
+
+    const { fromRow, fromCol, toRow, toCol } = req.body || {};
+    if (!checkCoordinatesOr400(session, [fromRow, fromCol, toRow, toCol], 'fromRow, fromCol, toRow and toCol', res)) return;
+
+    const outcome = gameSessions.applyMove(session, fromRow, fromCol, toRow, toCol);
+    if (!outcome.valid) {
+        return res.status(409).json({ error: outcome.reason, game: serializeSession(session) });
     }
-    return score;
+    res.status(200).json({ outcome, game: serializeSession(session) });
+});
+
+app.post('/api/games/:id/promotion', (req, res) => {
+    const session = findSessionOr404(req, res);
+    if (!session) return;
+
+    const { row, col } = req.body || {};
+    if (!checkCoordinatesOr400(session, [row, col], 'row and col', res)) return;
+
+    const outcome = gameSessions.applyPromotionChoice(session, row, col);
+    if (!outcome.valid) {
+        return res.status(409).json({ error: outcome.reason, game: serializeSession(session) });
+    }
+    res.status(200).json({ outcome, game: serializeSession(session) });
+});
+
+// =================================================================
+//                  PUZZLES
+// =================================================================
+
+// Every puzzle, with its solution: the client checks the player's moves itself (see puzzles.js
+// for the format).
+app.get('/api/puzzles', (req, res) => {
+    res.status(200).json({ puzzles: puzzleSet.puzzles });
+});
+
+app.get('/api/puzzles/:id', (req, res) => {
+    const puzzle = puzzleSet.get(req.params.id);
+    if (!puzzle) return res.status(404).json({ error: 'Puzzle not found.' });
+    res.status(200).json(puzzle);
+});
+
+// =================================================================
+//                  ONLINE ROOMS (HUMAN VS HUMAN)
+// =================================================================
+
+// Looks up the room named in the URL, or answers 404 and returns null.
+function findRoomOr404(req, res) {
+    const room = gameRooms.get(req.params.code);
+    if (!room) res.status(404).json({ error: 'Room not found. Check the join code.' });
+    return room;
 }
 
+app.post('/api/rooms', (req, res) => {
+    const color = (req.body && req.body.color) || 'white';
+    if (color !== 'white' && color !== 'black') {
+        return res.status(400).json({ error: "color must be 'white' or 'black'." });
+    }
+    let created;
+    try {
+        created = gameRooms.create(color, req.body && req.body.variant);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    const { room, token } = created;
+    req.log.info('created room', { room: room.code });
+    res.status(201).json({ code: room.code, token, role: color, ...gameRooms.describe(room) });
+});
+
+app.post('/api/rooms/:code/join', (req, res) => {
+    const room = findRoomOr404(req, res);
+    if (!room) return;
+
+    // Rejoining with a known token keeps the player's seat.
+    const existingRole = gameRooms.getRole(room, req.body && req.body.token);
+    if (existingRole !== 'spectator') {
+        return res.status(200).json({ token: req.body.token, role: existingRole, ...gameRooms.describe(room) });
+    }
+    if (req.body && req.body.spectate) {
+        return res.status(200).json({ token: null, role: 'spectator', ...gameRooms.describe(room) });
+    }
+
+    const seat = gameRooms.join(room);
+    if (!seat) {
+        return res.status(409).json({ error: 'This room is full. You can still watch as a spectator.' });
+    }
+    res.status(200).json({ token: seat.token, role: seat.color, ...gameRooms.describe(room) });
+});
+
+app.get('/api/rooms/:code/events', (req, res) => {
+    const room = findRoomOr404(req, res);
+    if (!room) return;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+    gameRooms.addClient(room, res, gameRooms.getRole(room, req.query.token));
+});
+
+app.post('/api/rooms/:code/moves', (req, res) => {
+    const room = findRoomOr404(req, res);
+    if (!room) return;
+
+    const { token, fromRow, fromCol, toRow, toCol } = req.body || {};
+    if (!checkCoordinatesOr400(room.session, [fromRow, fromCol, toRow, toCol], 'fromRow, fromCol, toRow and toCol', res)) return;
+
+    const outcome = gameRooms.playMove(room, token, fromRow, fromCol, toRow, toCol);
+    if (!outcome.valid) return res.status(409).json({ error: outcome.reason });
+    res.status(200).json({ outcome });
+});
+
+app.post('/api/rooms/:code/promotion', (req, res) => {
+    const room = findRoomOr404(req, res);
+    if (!room) return;
+
+    const { token, row, col } = req.body || {};
+    if (!checkCoordinatesOr400(room.session, [row, col], 'row and col', res)) return;
+
+    const outcome = gameRooms.choosePromotion(room, token, row, col);
+    if (!outcome.valid) return res.status(409).json({ error: outcome.reason });
+    res.status(200).json({ outcome });
+});
+
+// Body parser errors (a body over the size limit, malformed JSON) as JSON, like every other error.
+app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+    if (status === 500) req.log.error('request failed', { error: err });
+    const error = err.type === 'entity.too.large' ? `The request body is larger than ${err.limit} bytes.`
+        : err.type === 'entity.parse.failed' ? 'The request body is not valid JSON.'
+        : status === 500 ? 'The request failed.' : err.message;
+    res.status(status).json({ error });
+});
+
 // =================================================================
 //                     SERVER STARTUP
 // =================================================================
 app.listen(PORT, () => {
-    console.log(`Check10 AI Server running on http://localhost:${PORT}`);
+    listening = true;
+    log.info('server listening', { url: `http://localhost:${PORT}`, searchWorkers: searchPool.size });
 });
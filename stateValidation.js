@@ -0,0 +1,147 @@
+/**
+ * @file stateValidation.js
+ * Checks the game states that clients send to the AI endpoints, before anything is searched.
+ *
+ * The search trusts its position: a board of the wrong size, a piece numbered 40 or a colour it
+ * does not know can crash it, and a board crowded with pieces makes the combination search
+ * (Rules.findValidCombinations()) explode. readGameState() turns a request body into a clean rule
+ * state or throws an Error that says what is wrong with it, for a 400 answer; readClock() does the
+ * same for the AI's clock.
+ */
+
+const Rules = require('./rules.js');
+
+const COLORS = ['white', 'black'];
+const MAX_CLOCK_MS = 3 * 60 * 60 * 1000;
+const MAX_MOVES_TO_GO = 100;
+
+// A square of the request's board: null or a piece, checked and copied.
+function readSquare(square, where, size) {
+    if (square === null) return null;
+    if (typeof square !== 'object' || Array.isArray(square)) throw new Error(`${where} must be a piece or null.`);
+    if (!COLORS.includes(square.color)) throw new Error(`${where}.color must be 'white' or 'black'.`);
+    if (!Number.isInteger(square.number) || square.number < 1 || square.number > size) {
+        throw new Error(`${where}.number must be a whole number from 1 to ${size}.`);
+    }
+    if (square.promoted !== undefined && typeof square.promoted !== 'boolean') throw new Error(`${where}.promoted must be true or false.`);
+    return { color: square.color, number: square.number, promoted: square.promoted === true };
+}
+
+function readBoard(board, variant) {
+    const size = variant.boardSize;
+    if (!Array.isArray(board) || board.length !== size || !board.every(row => Array.isArray(row) && row.length === size)) {
+        throw new Error(`The board must be ${size}x${size} for this variant.`);
+    }
+    const copy = board.map((row, r) => row.map((square, c) => readSquare(square, `board[${r}][${c}]`, size)));
+    // Each side starts with two full rows and never gains a piece.
+    const maxPieces = 2 * size;
+    for (const color of COLORS) {
+        const count = copy.reduce((sum, row) => sum + row.filter(piece => piece && piece.color === color).length, 0);
+        if (count > maxPieces) throw new Error(`The board has ${count} ${color} pieces; a side has at most ${maxPieces}.`);
+    }
+    return copy;
+}
+
+// A side scores at most the value of the opponent's pieces: two rows of 1 to n, 72 on 8x8. A
+// higher score could not happen, and the Zobrist keys (zobrist.js) would hash it like the highest
+// real one, so the transposition table would mix up their values.
+function getMaxScore(variant) {
+    return variant.boardSize * (variant.boardSize + 1);
+}
+
+function readScore(value, name, variant) {
+    if (value === undefined) return 0;
+    const max = getMaxScore(variant);
+    if (!Number.isInteger(value) || value < 0 || value > max) throw new Error(`${name} must be a whole number from 0 to ${max}.`);
+    return value;
+}
+
+// The pieces a 'choosing_promotion' state may capture: the opponent's unpromoted pieces with the
+// promotion's number, each at most once.
+function readPromotionChoices(choices, board, player, points) {
+    if (!Array.isArray(choices) || choices.length === 0) throw new Error('promotionChoices must be a non-empty array.');
+    const size = board.length;
+    const seen = new Set();
+    return choices.map((choice, i) => {
+        const where = `promotionChoices[${i}]`;
+        if (!choice || ![choice.row, choice.col].every(n => Number.isInteger(n) && n >= 0 && n < size)) {
+            throw new Error(`${where} needs a row and col from 0 to ${size - 1}.`);
+        }
+        const piece = board[choice.row][choice.col];
+        if (!piece || piece.color === player || piece.promoted || piece.number !== points) {
+            throw new Error(`${where} must be an unpromoted opponent piece with number ${points}.`);
+        }
+        const key = choice.row * size + choice.col;
+        if (seen.has(key)) throw new Error(`${where} repeats a square.`);
+        seen.add(key);
+        return { row: choice.row, col: choice.col, piece: { ...piece } };
+    });
+}
+
+/**
+ * Reads the game state of an AI request.
+ * @param {object} body - { board, currentPlayer, whiteScore?, blackScore?, variant?, gameOver?,
+ *        gameState?, promotionChoices?, promotionPoints? }
+ * @param {object} [options]
+ * @param {boolean} [options.promotion=false] - The state must be a 'choosing_promotion' state.
+ * @returns {object} The rule fields of the state (see Rules.cloneState()), copied; `variant` is
+ *          the resolved variant, or left out for the standard rules.
+ * @throws {Error} If the state is malformed.
+ */
+function readGameState(body, { promotion = false } = {}) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('The request body must be a game state object.');
+    const variant = Rules.resolveVariant(body.variant);
+    const board = readBoard(body.board, variant);
+    if (!COLORS.includes(body.currentPlayer)) throw new Error("currentPlayer must be 'white' or 'black'.");
+    if (body.gameOver !== undefined && typeof body.gameOver !== 'boolean') throw new Error('gameOver must be true or false.');
+
+    const gameState = body.gameState === undefined ? 'playing' : body.gameState;
+    if (gameState !== 'playing' && gameState !== 'choosing_promotion') throw new Error("gameState must be 'playing' or 'choosing_promotion'.");
+    if (promotion && gameState !== 'choosing_promotion') throw new Error("A 'choosing_promotion' game state with promotionChoices is required.");
+
+    let promotionChoices = null, promotionPoints = 0;
+    if (gameState === 'choosing_promotion') {
+        promotionPoints = body.promotionPoints;
+        if (!Number.isInteger(promotionPoints) || promotionPoints < 1 || promotionPoints > variant.boardSize) {
+            throw new Error(`promotionPoints must be a whole number from 1 to ${variant.boardSize}.`);
+        }
+        promotionChoices = readPromotionChoices(body.promotionChoices, board, body.currentPlayer, promotionPoints);
+    }
+
+    return {
+        board,
+        currentPlayer: body.currentPlayer,
+        whiteScore: readScore(body.whiteScore, 'whiteScore', variant),
+        blackScore: readScore(body.blackScore, 'blackScore', variant),
+        gameOver: body.gameOver === true,
+        gameState,
+        promotionChoices,
+        promotionPoints,
+        ...(variant !== Rules.STANDARD_VARIANT && { variant }),
+    };
+}
+
+function readClockField(clock, name, min, max) {
+    const value = clock[name];
+    if (!Number.isInteger(value) || value < min || value > max) throw new Error(`clock.${name} must be a whole number from ${min} to ${max}.`);
+    return value;
+}
+
+/**
+ * Reads the AI's clock from a request, for a game played on time (see search.js's
+ * getClockBudgetMs()).
+ * @param {object} [clock] - { remainingMs, incrementMs?, movesToGo? }
+ * @returns {object|null} The clock, copied, or null if the request has none.
+ * @throws {Error} If the clock is malformed.
+ */
+function readClock(clock) {
+    if (clock === undefined || clock === null) return null;
+    if (typeof clock !== 'object' || Array.isArray(clock)) throw new Error('clock must be an object with remainingMs.');
+    return {
+        remainingMs: readClockField(clock, 'remainingMs', 0, MAX_CLOCK_MS),
+        ...(clock.incrementMs !== undefined && { incrementMs: readClockField(clock, 'incrementMs', 0, MAX_CLOCK_MS) }),
+        ...(clock.movesToGo !== undefined && { movesToGo: readClockField(clock, 'movesToGo', 1, MAX_MOVES_TO_GO) }),
+    };
+}
+
+module.exports = { readGameState, readClock, getMaxScore };
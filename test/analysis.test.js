@@ -0,0 +1,90 @@
+/**
+ * @file test/analysis.test.js
+ * Checks post-game analysis (analysis.js): reading games from the client's gameHistory, and
+ * labelling moves with a real, shallow search.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Rules = require('../rules.js');
+const GameRecord = require('../gameRecord.js');
+const Analysis = require('../analysis.js');
+const { Position } = require('../gameLogic.js');
+const { analyzePosition } = require('../search.js');
+
+const SHALLOW_PROFILE = { thinkingTimeMs: 60000, maxDepth: 2, scoreNoise: 0, blunderChance: 0 };
+
+// White to move: the c3 three can join the d5 seven (3 + 7 = 10) and capture it. Anything else
+// lets the seven come down and capture the three instead.
+const COMBINATION_POSITION = 'b1-------/--------/--------/---b7----/--------/--w3-----/-------w1/-------- w 0 0';
+
+const analyze = record => Analysis.analyzeGame(
+    Analysis.getAnalysisPlies(record),
+    async state => analyzePosition(Position.fromGameState(state), SHALLOW_PROFILE),
+);
+
+// Plays the first legal move (or promotion choice) each turn, saving a snapshot after every step
+// the way the client's saveGameState() does.
+function playGameHistory(plies) {
+    const state = Rules.createInitialState();
+    const gameHistory = [Rules.cloneState(state)];
+    for (let i = 0; i < plies && !state.gameOver; i++) {
+        if (state.gameState === 'choosing_promotion') {
+            Rules.applyPromotionChoice(state, state.promotionChoices[0].row, state.promotionChoices[0].col);
+        } else {
+            Rules.applyMove(state, Rules.getAllMoves(state.board, state.currentPlayer)[i % 3]);
+        }
+        gameHistory.push({ ...Rules.cloneState(state), selectedPiece: null, selectedPosition: null });
+    }
+    return { state, gameHistory };
+}
+
+test('the moves of a game are worked out from its gameHistory', () => {
+    const { state, gameHistory } = playGameHistory(40);
+    const record = Analysis.recordFromGameHistory([gameHistory[0], ...gameHistory]); // Repeats are skipped
+    assert.deepEqual(record.tags, {});
+    assert.deepEqual(GameRecord.replayRecord(record).state.board, state.board);
+
+    const broken = gameHistory.filter((_, i) => i !== 3);
+    assert.throws(() => Analysis.recordFromGameHistory(broken), /gameHistory\[3\] does not follow from the state before it/);
+    assert.throws(() => Analysis.recordFromGameHistory([{ board: [[]] }]), /needs an 8x8 board/);
+});
+
+test('a game can be sent as a record, a move list or a gameHistory', () => {
+    assert.deepEqual(Analysis.readGame({ record: '1. c2-c3 f7-f6 *' }).moves, ['c2-c3', 'f7-f6']);
+    assert.deepEqual(Analysis.readGame({ moves: ['h2-h3'], position: COMBINATION_POSITION }), { tags: { Position: COMBINATION_POSITION }, moves: ['h2-h3'] });
+    assert.throws(() => Analysis.readGame({ moves: ['h2h3'] }), /is not a move/);
+    assert.throws(() => Analysis.readGame({}), /Send the game as/);
+    assert.throws(() => Analysis.getAnalysisPlies({ tags: {}, moves: [] }), /no moves to analyze/);
+});
+
+test('a move that gives away a combination is a blunder', async () => {
+    const report = await analyze({ tags: { Position: COMBINATION_POSITION }, moves: ['h2-h3'] });
+    const [entry] = report.moves;
+    assert.equal(entry.player, 'white');
+    assert.equal(entry.move, 'h2-h3');
+    assert.match(entry.bestMove, /^c3-[cd]4xd5$/);
+    assert.ok(entry.evalBefore > entry.evalAfter);
+    assert.ok(entry.loss >= 6, `loss ${entry.loss}`);
+    assert.equal(entry.label, 'blunder');
+    assert.equal(entry.depth, 2);
+    assert.deepEqual(report.summary.white, { inaccuracies: 0, mistakes: 0, blunders: 1, averageLoss: entry.loss });
+});
+
+test('the best move loses nothing', async () => {
+    const report = await analyze({ tags: { Position: COMBINATION_POSITION }, moves: ['c3-d4xd5', 'a8-a7'] });
+    assert.equal(report.moves.length, 2);
+    assert.equal(report.moves[0].loss, 0);
+    assert.equal(report.moves[0].label, null);
+    assert.equal(report.moves[1].player, 'black');
+    assert.equal(report.moves[1].moveNumber, 1);
+    assert.ok(report.moves[0].evalAfter > 0, 'evaluations are from white\'s point of view');
+});
+
+test('moves are labelled by how much they give away', () => {
+    assert.equal(Analysis.labelMove(0.5, 0), null);
+    assert.equal(Analysis.labelMove(1, 0), 'inaccuracy');
+    assert.equal(Analysis.labelMove(3, 0), 'mistake');
+    assert.equal(Analysis.labelMove(6, 0), 'blunder');
+    assert.equal(Analysis.labelMove(20, 10005), 'inaccuracy', 'a smaller win is still a win');
+});
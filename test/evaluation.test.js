@@ -0,0 +1,87 @@
+/**
+ * @file test/evaluation.test.js
+ * Checks the evaluation features and weight profiles of evaluation.js, and that the search keeps
+ * the values of different weight profiles apart.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const GameRecord = require('../gameRecord.js');
+const { Position } = require('../gameLogic.js');
+const Evaluation = require('../evaluation.js');
+const { TranspositionTable } = require('../transpositionTable.js');
+const { analyzePosition, useTranspositionTable } = require('../search.js');
+
+const positionOf = text => Position.fromGameState(GameRecord.parsePosition(text));
+const featuresOf = text => Object.fromEntries(Evaluation.FEATURES.map((name, i) => [name, Evaluation.getFeatures(positionOf(text))[i]]));
+
+// White's c3 three can join the d5 seven, and the seven can come down next to the three.
+const COMBINATION_POSITION = 'b1-------/--------/--------/---b7----/--------/--w3-----/-------w1/-------- w 0 0';
+// White's d7 five can be promoted on d8 next move.
+const PROMOTION_POSITION = '-------b1/---w5----/--------/--------/b5------b5/--------/--------/w2------- w 3 1';
+
+test('pieces that one move could capture in a pair are threats', () => {
+    // White threatens the seven (7), black threatens the three (3).
+    assert.deepEqual(featuresOf(COMBINATION_POSITION), { promoted: 0, advancement: 0, combinationThreats: 4, safePromotions: 0, mobility: 0 });
+});
+
+test('a piece one step from the far row is a safe promotion unless it is threatened', () => {
+    assert.deepEqual(featuresOf(PROMOTION_POSITION), { promoted: 0, advancement: -2, combinationThreats: 0, safePromotions: 5, mobility: -1 });
+    // The e8 five can step down next to the d7 five, and the d7 five up next to it.
+    const threatened = featuresOf(PROMOTION_POSITION.replace('-------b1', '----b5--b1'));
+    assert.equal(threatened.safePromotions, 0);
+    assert.equal(threatened.combinationThreats, 0);
+});
+
+test('the default weights value promoted pieces and advancement only', () => {
+    const position = positionOf(PROMOTION_POSITION.replace('w2-------', 'w2------W3'));
+    // The 3 - 1 points, plus the weighted promoted pieces and advancement.
+    const [promoted, advancement] = Evaluation.getFeatures(position);
+    const expected = 2 + 0.5 * promoted + 0.1 * advancement;
+    assert.ok(Math.abs(Evaluation.evaluatePosition(position, 'white') - expected) < 1e-9);
+    assert.ok(Math.abs(Evaluation.evaluatePosition(position, 'black') + expected) < 1e-9);
+    assert.equal(Evaluation.evaluatePosition(position, 'white', { mobility: 1 }), 2 + Evaluation.getFeatures(position)[4]);
+    assert.throws(() => Evaluation.evaluatePosition(position, 'white', { material: 1 }), /Unknown evaluation feature 'material'/);
+});
+
+test('weight profiles are read from weights/ and keyed for the transposition table', () => {
+    const profiles = Evaluation.loadWeightProfiles();
+    assert.deepEqual(profiles.default, { ...Evaluation.DEFAULT_WEIGHTS });
+    assert.equal(Evaluation.getWeightsKey(profiles.default), 0n, 'the default weights keep the plain position keys');
+
+    const other = { ...Evaluation.DEFAULT_WEIGHTS, mobility: 0.2 };
+    const key = Evaluation.getWeightsKey(other);
+    assert.notEqual(key, 0n);
+    assert.equal(Evaluation.getWeightsKey({ ...other }), key, 'the same weights give the same key in every worker');
+    assert.notEqual(Evaluation.getWeightsKey({ ...other, mobility: 0.3 }), key);
+
+    const file = path.join(os.tmpdir(), `check10-weights-${process.pid}.json`);
+    try {
+        Evaluation.writeWeightProfile(file, other, 'A test profile.');
+        assert.deepEqual(Evaluation.findWeightProfile(file), other);
+        fs.writeFileSync(file, JSON.stringify({ weights: { mobility: 'high' } }));
+        assert.throws(() => Evaluation.readWeightProfile(file), /The weight of 'mobility' must be a number/);
+        for (const name of ['constructor', 'toString', 'mobilty']) {
+            fs.writeFileSync(file, JSON.stringify({ weights: { [name]: 1 } }));
+            assert.throws(() => Evaluation.readWeightProfile(file), new RegExp(`Unknown evaluation feature '${name}'`));
+        }
+    } finally {
+        fs.rmSync(file, { force: true });
+    }
+});
+
+test('searches with other weights do not reuse each other\'s table entries', () => {
+    const profile = { thinkingTimeMs: 60000, maxDepth: 3, scoreNoise: 0, blunderChance: 0 };
+    const weighted = { ...profile, weights: { ...Evaluation.DEFAULT_WEIGHTS, mobility: 2 } };
+    const values = result => result.scoredMoves.map(({ move, value }) => `${move.fromRow}${move.fromCol}${move.toRow}${move.toCol}:${value}`).sort();
+
+    useTranspositionTable(TranspositionTable.create(1));
+    const fresh = values(analyzePosition(positionOf(PROMOTION_POSITION), weighted));
+
+    useTranspositionTable(TranspositionTable.create(1));
+    analyzePosition(positionOf(PROMOTION_POSITION), profile); // Fills the table with default values
+    assert.deepEqual(values(analyzePosition(positionOf(PROMOTION_POSITION), weighted)), fresh);
+});
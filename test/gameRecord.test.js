@@ -0,0 +1,217 @@
+/**
+ * @file test/gameRecord.test.js
+ * Checks the move notation and game records of gameRecord.js: records of seeded random games must
+ * replay exactly, and records that do not match the rules must be rejected.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Rules = require('../rules.js');
+const GameRecord = require('../gameRecord.js');
+
+const GAMES = 6;
+
+// White to move: the d7 five promotes on d8, where it matches the black fives on a4 and h4.
+const PROMOTION_POSITION = '-------b1/---w5----/--------/--------/b5------b5/--------/--------/w2------- w 0 0';
+
+// Small seeded PRNG (mulberry32) so the games are reproducible.
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Plays a random game, writing down each move the way the client and the server do.
+function playRandomGame(random, variant) {
+    const state = Rules.createInitialState(variant, random);
+    const initialState = Rules.cloneState(state);
+    const size = state.board.length;
+    const moves = [];
+    while (!state.gameOver) {
+        if (state.gameState === 'choosing_promotion') {
+            const choice = state.promotionChoices[Math.floor(random() * state.promotionChoices.length)];
+            moves[moves.length - 1] += GameRecord.formatMove(Rules.applyPromotionChoice(state, choice.row, choice.col).events, size);
+            continue;
+        }
+        const legalMoves = Rules.getAllMoves(state.board, state.currentPlayer);
+        moves.push(GameRecord.formatMove(Rules.applyMove(state, legalMoves[Math.floor(random() * legalMoves.length)]).events, size));
+    }
+    return { initialState, state, moves };
+}
+
+test('squares use the coordinates drawn around the board', () => {
+    assert.equal(GameRecord.squareName(0, 0), 'a8');
+    assert.equal(GameRecord.squareName(7, 7), 'h1');
+    assert.deepEqual(GameRecord.parseSquare('c3'), { row: 5, col: 2 });
+    assert.throws(() => GameRecord.parseSquare('i9'), /not a square/);
+});
+
+test('moves are parsed with their promotion and combination captures', () => {
+    assert.deepEqual(GameRecord.parseMove('c4-d5xe6xd6'), {
+        fromRow: 4, fromCol: 2, toRow: 3, toCol: 3, promoted: false, promotionCapture: null,
+        captures: [{ row: 2, col: 4 }, { row: 2, col: 3 }],
+    });
+    assert.deepEqual(GameRecord.parseMove('d7-d8=h4'), {
+        fromRow: 1, fromCol: 3, toRow: 0, toCol: 3, promoted: true, promotionCapture: { row: 4, col: 7 }, captures: [],
+    });
+    assert.equal(GameRecord.parseMove('d7-d8=').promotionCapture, null);
+    for (const text of ['c2c3', 'c2-c9', 'd7-d8=h4=', 'c4-d5x']) {
+        assert.throws(() => GameRecord.parseMove(text), /is not a move/, text);
+    }
+});
+
+test('records of random games replay exactly', () => {
+    const random = createRandom(12);
+    for (let g = 0; g < GAMES; g++) {
+        const { state, moves } = playRandomGame(random);
+        const text = GameRecord.formatRecord({
+            tags: { Event: 'Check 10 game', White: 'Human', Black: 'AI', AIStrength: 'easy', ...GameRecord.getResultTags(state) },
+            moves,
+        });
+        const record = GameRecord.parseRecord(text);
+        assert.deepEqual(record.moves, moves);
+        assert.equal(GameRecord.formatRecord(record), text);
+
+        const replay = GameRecord.replayRecord(record);
+        assert.deepEqual(replay.state, Rules.cloneState(state));
+        assert.equal(replay.states.length, moves.length + 1);
+        assert.notEqual(GameRecord.getResult(replay.state), '*');
+    }
+});
+
+test('a record is written with tags, numbered moves and the result', () => {
+    const text = GameRecord.formatRecord({ tags: { White: 'Human', Black: 'AI "easy"', Result: '*' }, moves: ['c2-c3', 'f7-f6', 'd2-d3'] });
+    assert.equal(text, '[White "Human"]\n[Black "AI \\"easy\\""]\n[Result "*"]\n\n1. c2-c3 f7-f6 2. d2-d3 *\n');
+    assert.equal(GameRecord.parseRecord(text).tags.Black, 'AI "easy"');
+
+    const blackFirst = GameRecord.formatRecord({ tags: { Position: PROMOTION_POSITION.replace(' w ', ' b ') }, moves: ['h8-h7'] });
+    assert.match(blackFirst, /\n1\.\.\. h8-h7 \*\n$/);
+});
+
+test('the players\' tags of hotseat and AI-vs-AI games are written in order and read back', () => {
+    const hotseat = { White: 'Human', Black: 'Human', BoardFlip: 'auto', Result: '*' };
+    const hotseatText = GameRecord.formatRecord({ tags: { Result: '*', BoardFlip: 'auto', Black: 'Human', White: 'Human' }, moves: [] });
+    assert.match(hotseatText, /^\[White "Human"\]\n\[Black "Human"\]\n\[BoardFlip "auto"\]\n\[Result "\*"\]\n/);
+    assert.deepEqual(GameRecord.parseRecord(hotseatText).tags, hotseat);
+
+    const aiVsAi = GameRecord.formatRecord({ tags: { BlackAIStrength: 'strong', WhiteAIStrength: 'easy', White: 'AI', Black: 'AI' }, moves: [] });
+    assert.match(aiVsAi, /^\[White "AI"\]\n\[Black "AI"\]\n\[WhiteAIStrength "easy"\]\n\[BlackAIStrength "strong"\]\n/);
+});
+
+test('hand-written records may leave out move numbers and add comments', () => {
+    const record = GameRecord.parseRecord('c2-c3 {a quiet start} f7-f6 ; black answers\n2.d2-d3');
+    assert.deepEqual(record.moves, ['c2-c3', 'f7-f6', 'd2-d3']);
+    assert.deepEqual(record.tags, {});
+    assert.equal(GameRecord.replayRecord(record).state.currentPlayer, 'black');
+});
+
+test('unreadable records are rejected', () => {
+    assert.throws(() => GameRecord.parseRecord(''), /empty/);
+    assert.throws(() => GameRecord.parseRecord('[White Human]\n\n1. c2-c3'), /Cannot read the tag/);
+    assert.throws(() => GameRecord.parseRecord('1. c2-c3 zz'), /'zz' is not a move/);
+    assert.throws(() => GameRecord.parseRecord('1. c2-c3 * f7-f6'), /comes after the result/);
+    assert.throws(() => GameRecord.parseRecord('[Result "1-0"]\n\n1. c2-c3 0-1'), /Result tag says 1-0/);
+    assert.throws(() => GameRecord.parseRecord('[Result "2-0"]\n\n1. c2-c3'), /Unknown result/);
+});
+
+test('records that do not match the rules are rejected with the first wrong move', () => {
+    const replay = text => GameRecord.replayRecord(GameRecord.parseRecord(text));
+    assert.throws(() => replay('1. c2-c3 f7-f6 2. c3-c8'), /^Error: Move 3 \(c3-c8\): That piece cannot move there\.$/);
+    assert.throws(() => replay('1. c2-c3xd7'), /Move 1 \(c2-c3xd7\): the rules play this move as c2-c3\./);
+    assert.throws(() => replay('[Result "1-0"]\n\n1. c2-c3'), /Result tag says 1-0 but the moves give \*/);
+    assert.throws(() => replay('[Score "3-0"]\n\n1. c2-c3'), /Score tag says 3-0 but the moves give 0-0/);
+});
+
+test('a promotion with several matches names the captured piece', () => {
+    const replay = moves => GameRecord.replayRecord({ tags: { Position: PROMOTION_POSITION }, moves });
+
+    const chosen = replay(['d7-d8=h4']).state;
+    assert.equal(chosen.board[4][7], null);
+    assert.deepEqual(chosen.board[4][0], { color: 'black', number: 5, promoted: false });
+    assert.equal(chosen.whiteScore, 5);
+
+    // A record may end while the capture is still to be chosen.
+    const waiting = replay(['d7-d8=']).state;
+    assert.equal(waiting.gameState, 'choosing_promotion');
+    assert.throws(() => replay(['d7-d8=', 'h8-h7']), /Move 1 needs the square of its promotion capture/);
+    assert.throws(() => replay(['d7-d8=b4']), /Choose an opponent piece with number 5/);
+    assert.throws(() => replay(['d7-d8']), /the rules play this move as d7-d8=/);
+});
+
+test('a game on the clock keeps its time control, its clock times and a loss on time', () => {
+    assert.deepEqual(GameRecord.parseTimeControl('300+5'), { baseMs: 300000, incrementMs: 5000 });
+    assert.deepEqual(GameRecord.parseTimeControl('60'), { baseMs: 60000, incrementMs: 0 });
+    assert.deepEqual(GameRecord.parseTimeControl('10/move'), { perMoveMs: 10000 });
+    assert.equal(GameRecord.formatTimeControl({ baseMs: 180000, incrementMs: 2000 }), '180+2');
+    assert.equal(GameRecord.formatTimeControl({ perMoveMs: 30000 }), '30/move');
+    assert.equal(GameRecord.formatTimeControl(null), undefined);
+    assert.throws(() => GameRecord.parseTimeControl('5 minutes'), /Cannot read the time control '5 minutes'/);
+    assert.throws(() => GameRecord.parseTimeControl('0+5'), /Cannot read the time control/);
+    assert.equal(GameRecord.formatClock(298240), '0:04:58.2');
+    assert.equal(GameRecord.formatClock(3725000), '1:02:05.0');
+
+    // Black is to move after three moves, and runs out of time.
+    const moves = ['c2-c3', 'f7-f6', 'd2-d3'];
+    const state = GameRecord.replayRecord({ tags: {}, moves }).state;
+    Rules.loseOnTime(state, 'black');
+    const tags = { TimeControl: '60+1', ...GameRecord.getResultTags(state) };
+    assert.deepEqual(tags, { TimeControl: '60+1', Score: '0-0', Result: '1-0', Termination: 'time forfeit' });
+    const text = GameRecord.formatRecord({ tags, moves, clocks: [59500, 58000, null] });
+    assert.match(text, /\n1\. c2-c3 \{\[%clk 0:00:59\.5\]\} f7-f6 \{\[%clk 0:00:58\.0\]\} 2\. d2-d3 1-0\n$/);
+
+    const record = GameRecord.parseRecord(text);
+    assert.deepEqual(record.moves, moves);
+    assert.deepEqual(record.clocks, [59500, 58000, null]);
+    const replayed = GameRecord.replayRecord(record).state;
+    assert.deepEqual([replayed.gameOver, replayed.timeoutFor, GameRecord.getResult(replayed)], [true, 'black', '1-0']);
+
+    assert.equal(GameRecord.parseRecord('1. c2-c3 {no clock here} f7-f6').clocks, undefined);
+    assert.throws(() => GameRecord.replayRecord({ tags: { Termination: 'time forfeit', Result: '0-1' }, moves }), /Result tag says 0-1 but the moves give 1-0/);
+    assert.throws(() => GameRecord.replayRecord({ tags: { TimeControl: 'blitz' }, moves }), /Cannot read the time control 'blitz'/);
+});
+
+test('positions are written on one line and read back', () => {
+    const state = GameRecord.parsePosition(PROMOTION_POSITION);
+    assert.deepEqual(state.board[1][3], { color: 'white', number: 5, promoted: false });
+    assert.equal(GameRecord.formatPosition(state), PROMOTION_POSITION);
+
+    const start = GameRecord.formatPosition(Rules.createInitialState());
+    assert.equal(start, 'b8b7b6b5b4b3b2b1/b1b2b3b4b5b6b7b8/--------/--------/--------/--------/w8w7w6w5w4w3w2w1/w1w2w3w4w5w6w7w8 w 0 0');
+    assert.deepEqual(GameRecord.parsePosition(start), Rules.createInitialState());
+
+    assert.throws(() => GameRecord.parsePosition('-------- w 0 0'), /should be 8 rows/);
+    assert.throws(() => GameRecord.parsePosition(PROMOTION_POSITION.replace('w2-------', 'w2------')), /rank 1 should be 8 squares/);
+    assert.throws(() => GameRecord.formatPosition(GameRecord.replayRecord({ tags: { Position: PROMOTION_POSITION }, moves: ['d7-d8='] }).state), /promotion choice/);
+});
+
+test('variant games are recorded with their rules and replay under them', () => {
+    assert.equal(GameRecord.formatVariant(), undefined, 'the standard rules need no tag');
+    assert.equal(GameRecord.formatVariant('check12'), 'targetSum=12');
+    const variant = Rules.resolveVariant({ boardSize: 6, targetSum: 12, layout: 'random' });
+    assert.equal(GameRecord.formatVariant(variant), 'boardSize=6 targetSum=12 layout=random');
+    assert.deepEqual(GameRecord.parseVariant('boardSize=6 targetSum=12 layout=random'), variant);
+    assert.deepEqual(GameRecord.parseVariant('small'), Rules.resolveVariant('small'));
+    assert.throws(() => GameRecord.parseVariant('targetSum=12 sum'), /Cannot read the variant rule 'sum'/);
+    assert.throws(() => GameRecord.parseVariant('boardSize=9'), /boardSize must be a whole number from 5 to 8/);
+
+    assert.equal(GameRecord.squareName(5, 5, 6), 'f1');
+    assert.deepEqual(GameRecord.parseSquare('a6', 6), { row: 0, col: 0 });
+    assert.throws(() => GameRecord.parseSquare('g1', 6), /not a square of the 6x6 board/);
+
+    const { initialState, state, moves } = playRandomGame(createRandom(5), variant);
+    const start = GameRecord.formatPosition(initialState);
+    assert.equal(start.split('/').length, 6);
+    const text = GameRecord.formatRecord({ tags: { Variant: GameRecord.formatVariant(variant), Position: start, ...GameRecord.getResultTags(state) }, moves });
+    const replayed = GameRecord.replayRecord(GameRecord.parseRecord(text));
+    assert.deepEqual(replayed.state.board, state.board);
+    assert.deepEqual(replayed.state.variant, variant);
+
+    assert.throws(() => GameRecord.replayRecord({ tags: { Variant: 'layout=random' }, moves: [] }), /random layout needs a Position tag/);
+    assert.throws(() => GameRecord.replayRecord({ tags: { Variant: 'boardSize=6' }, moves: ['h2-h3'] }), /Move 1 \(h2-h3\): 'h2' is not a square of the 6x6 board/);
+    assert.throws(() => GameRecord.parsePosition(start), /should be 8 rows/, 'a 6x6 position is not a standard one');
+});
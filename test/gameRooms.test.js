@@ -0,0 +1,70 @@
+/**
+ * @file test/gameRooms.test.js
+ * Checks the online rooms (gameRooms.js): seats and turns, moves pushed to everyone in the room,
+ * and rooms and their sessions kept for as long as they are played.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { GameSessionStore } = require('../gameSessions.js');
+const { GameRoomStore } = require('../gameRooms.js');
+
+// Stands in for an event stream's response: keeps the events written to it.
+function createStream() {
+    const res = new EventEmitter();
+    res.events = [];
+    res.write = chunk => {
+        const match = /event: (\S+)\ndata: (.*)\n\n/.exec(chunk);
+        if (match) res.events.push({ type: match[1], data: JSON.parse(match[2]) });
+    };
+    return res;
+}
+
+test('players take turns in a room and everyone sees the moves', () => {
+    const rooms = new GameRoomStore(new GameSessionStore());
+    const { room, token: whiteToken } = rooms.create('white');
+    assert.equal(rooms.get(room.code.toLowerCase()), room);
+    assert.equal(rooms.getRole(room, whiteToken), 'white');
+
+    assert.match(rooms.playMove(room, whiteToken, 6, 2, 5, 2).reason, /Waiting for an opponent/);
+    const { color, token: blackToken } = rooms.join(room);
+    assert.equal(color, 'black');
+    assert.equal(rooms.join(room), null, 'both seats are taken');
+
+    const watcher = createStream();
+    rooms.addClient(room, watcher, 'spectator');
+    assert.equal(watcher.events[0].type, 'snapshot');
+    assert.deepEqual(watcher.events[0].data.players, { white: { connected: false }, black: { connected: false } });
+
+    assert.match(rooms.playMove(room, 'nobody', 6, 2, 5, 2).reason, /Spectators cannot make moves/);
+    assert.match(rooms.playMove(room, blackToken, 1, 2, 2, 2).reason, /opponent's turn/);
+    assert.equal(rooms.playMove(room, whiteToken, 6, 2, 5, 5).valid, false);
+    assert.equal(rooms.playMove(room, whiteToken, 6, 2, 5, 2).valid, true);
+
+    const move = watcher.events.find(event => event.type === 'move');
+    assert.equal(move.data.player, 'white');
+    assert.equal(move.data.game.currentPlayer, 'black');
+    assert.deepEqual(room.session.notation, ['c2-c3']);
+
+    watcher.emit('close');
+    assert.equal(room.clients.size, 0);
+});
+
+test('a room that is being played keeps its session', () => {
+    const sessions = new GameSessionStore({ ttlMs: 1000 });
+    const rooms = new GameRoomStore(sessions, { ttlMs: 1000 });
+    const { room, token: whiteToken } = rooms.create('white');
+    rooms.join(room);
+
+    room.session.updatedAt -= 5000;
+    room.updatedAt -= 5000;
+    rooms.playMove(room, whiteToken, 6, 2, 5, 2);
+    sessions.sweep();
+    assert.equal(sessions.get(room.session.id), room.session);
+
+    // Abandoned: nobody connected and no moves for longer than the time to live.
+    room.updatedAt -= 5000;
+    rooms.sweep();
+    assert.equal(rooms.get(room.code), null);
+});
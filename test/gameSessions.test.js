@@ -0,0 +1,71 @@
+/**
+ * @file test/gameSessions.test.js
+ * Checks the server's game sessions (gameSessions.js): moves are played by the rules and written
+ * down in record notation, idle sessions are swept, and a record imported as a session carries on
+ * where it ended.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Rules = require('../rules.js');
+const GameRecord = require('../gameRecord.js');
+const { GameSessionStore, serializeSession, getSessionRecord } = require('../gameSessions.js');
+
+test('a session is played by the rules, written down and kept while it is played', () => {
+    const store = new GameSessionStore({ ttlMs: 1000 });
+    const session = store.create();
+    assert.equal(store.get(session.id), session);
+
+    const rejected = store.applyMove(session, 6, 2, 3, 2);
+    assert.equal(rejected.valid, false);
+    assert.equal(store.applyMove(session, 6, 2, 5, 2).valid, true);
+    assert.deepEqual(session.notation, ['c2-c3']);
+    assert.deepEqual(session.moves, [{ type: 'move', player: 'white', fromRow: 6, fromCol: 2, toRow: 5, toCol: 2, pointsScored: 0 }]);
+    assert.equal(serializeSession(session).currentPlayer, 'black');
+
+    // A move counts as activity, as a look-up does.
+    session.updatedAt -= 5000;
+    store.applyMove(session, 1, 2, 2, 2);
+    store.sweep();
+    assert.equal(store.get(session.id), session);
+    session.updatedAt -= 5000;
+    store.sweep();
+    assert.equal(store.get(session.id), null);
+});
+
+test('a promotion choice completes its move in the record and counts as activity', () => {
+    // White to move: the d7 five promotes on d8, where it matches the black fives on a4 and h4.
+    const state = GameRecord.parsePosition('-------b1/---w5----/--------/--------/b5------b5/--------/--------/w2------- w 0 0');
+    const store = new GameSessionStore();
+    const session = store.create();
+    session.game.hydrateFromServerState(Rules.cloneState(state));
+    session.initialState = Rules.cloneState(state);
+
+    assert.equal(store.applyMove(session, 1, 3, 0, 3).awaitingPromotionChoice, true);
+    session.updatedAt = 0;
+    assert.equal(store.applyPromotionChoice(session, 2, 2).valid, false);
+    assert.equal(session.updatedAt, 0, 'a rejected choice changes nothing');
+    assert.equal(store.applyPromotionChoice(session, 4, 7).valid, true);
+    assert.ok(session.updatedAt > 0);
+    assert.deepEqual(session.notation, ['d7-d8=h4']);
+});
+
+test('an imported game that was lost on time stays lost', () => {
+    const store = new GameSessionStore();
+    const moves = ['c2-c3', 'f7-f6', 'd2-d3'];
+    const lost = GameRecord.replayRecord({ tags: {}, moves }).state;
+    Rules.loseOnTime(lost, 'black');
+    const text = GameRecord.formatRecord({ tags: { TimeControl: '60+1', ...GameRecord.getResultTags(lost) }, moves });
+
+    const session = store.importRecord(GameRecord.parseRecord(text));
+    const game = serializeSession(session);
+    assert.equal(game.gameOver, true);
+    assert.equal(game.timeoutFor, 'black');
+    assert.equal(game.winner, 'white');
+    assert.equal(store.applyMove(session, 1, 2, 2, 2).valid, false, 'the game cannot be played on');
+    assert.equal(GameRecord.formatRecord(getSessionRecord(session)).match(/\[Termination "time forfeit"\]/g).length, 1);
+
+    const open = store.importRecord(GameRecord.parseRecord(GameRecord.formatRecord({ tags: {}, moves })));
+    assert.equal(open.game.gameOver, false);
+    assert.equal(store.applyMove(open, 1, 2, 2, 2).valid, true);
+});
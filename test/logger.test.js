@@ -0,0 +1,30 @@
+/**
+ * @file test/logger.test.js
+ * Checks the structured log lines of logger.js.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Logger } = require('../logger.js');
+
+test('log lines are JSON objects with the logger\'s fields, above its level', () => {
+    const lines = [];
+    const log = new Logger({ level: 'info', write: line => lines.push(JSON.parse(line)) });
+    const requestLog = log.child({ requestId: 'abc' });
+
+    requestLog.debug('search depth', { depth: 1 });
+    requestLog.info('search finished', { depth: 7 });
+    log.error('search failed', { error: Object.assign(new Error('worker crashed'), { code: 'SEARCH_WORKER_FAILED' }) });
+
+    assert.equal(lines.length, 2, 'debug lines are left out');
+    assert.equal(lines[0].msg, 'search finished');
+    assert.equal(lines[0].level, 'info');
+    assert.equal(lines[0].requestId, 'abc');
+    assert.equal(lines[0].depth, 7);
+    assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+    assert.equal(lines[1].requestId, undefined);
+    assert.equal(lines[1].error.message, 'worker crashed');
+    assert.equal(lines[1].error.code, 'SEARCH_WORKER_FAILED');
+
+    assert.throws(() => new Logger({ level: 'loud' }), /Unknown log level 'loud'/);
+});
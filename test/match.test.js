@@ -0,0 +1,68 @@
+/**
+ * @file test/match.test.js
+ * Checks the engine-vs-engine match runner (match.js): engine configurations, the statistics it
+ * reports, and a short real match between a searching engine and a random one.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Match = require('../match.js');
+const { AI_STRENGTH_PROFILES } = require('../search.js');
+
+const games = (wins, draws, losses, margin = 0) => [
+    ...Array(wins).fill({ result: 'win', margin }),
+    ...Array(draws).fill({ result: 'draw', margin: 0 }),
+    ...Array(losses).fill({ result: 'loss', margin: -margin }),
+];
+
+test('engine configurations are a profile name with overrides', () => {
+    assert.deepEqual(Match.parseEngineConfig('moderate').profile, AI_STRENGTH_PROFILES.moderate);
+    assert.deepEqual(Match.parseEngineConfig('easy,depth=3,time=250').profile, { ...AI_STRENGTH_PROFILES.easy, maxDepth: 3, thinkingTimeMs: 250 });
+    assert.deepEqual(Match.parseEngineConfig('noise=0.5').profile, { ...AI_STRENGTH_PROFILES.strong, scoreNoise: 0.5 });
+    assert.throws(() => Match.parseEngineConfig('brilliant'), /Unknown profile 'brilliant'/);
+    assert.throws(() => Match.parseEngineConfig('strong,width=3'), /Cannot read 'width=3'/);
+    assert.throws(() => Match.parseEngineConfig('strong,depth=deep'), /'depth' must be a non-negative number/);
+});
+
+test('the Elo difference follows the score, with error bars that shrink with more games', () => {
+    assert.equal(Match.eloDifference(0.5), 0);
+    assert.ok(Math.abs(Match.eloDifference(0.75) - 190.85) < 0.01);
+    assert.equal(Match.eloDifference(1), Infinity);
+
+    const even = Match.summarizeMatch(games(5, 2, 5, 3));
+    assert.deepEqual({ ...even, eloError: undefined }, { games: 12, wins: 5, draws: 2, losses: 5, scoreRate: 0.5, averageMargin: 0, elo: 0, eloError: undefined });
+    assert.ok(even.eloError > 0);
+
+    const small = Match.summarizeMatch(games(6, 2, 2, 4));
+    const large = Match.summarizeMatch(games(60, 20, 20, 4));
+    assert.equal(small.elo, large.elo);
+    assert.ok(small.elo > 0);
+    assert.ok(large.eloError < small.eloError);
+    assert.equal(large.averageMargin, 1.6);
+
+    assert.equal(Match.summarizeMatch(games(4, 0, 0)).eloError, Infinity);
+});
+
+test('openings are random but reproducible', () => {
+    const random = seed => { let x = seed; return () => (x = (x * 16807) % 2147483647) / 2147483647; };
+    const opening = Match.createRandomOpening(6, random(5));
+    assert.deepEqual(Match.createRandomOpening(6, random(5)), opening);
+    assert.notDeepEqual(Match.createRandomOpening(6, random(6)), opening);
+    assert.equal(opening.gameOver, false);
+    assert.equal(opening.currentPlayer, 'white');
+});
+
+test('a searching engine beats a random one, with colours alternated', async () => {
+    const { games: played, summary } = await Match.runMatch({
+        engineA: Match.parseEngineConfig('strong,depth=2,time=1000'),
+        engineB: Match.parseEngineConfig('easy,depth=1,blunder=1'),
+        games: 3,
+        seed: 4,
+    });
+    assert.equal(played.length, 4, 'games are played in pairs');
+    assert.deepEqual(played.map(g => g.aWhite), [true, false, true, false]);
+    assert.deepEqual(played.map(g => g.opening), [1, 1, 2, 2]);
+    for (const game of played) assert.equal(game.margin, game.aWhite ? game.whiteScore - game.blackScore : game.blackScore - game.whiteScore);
+    assert.ok(summary.wins >= 3, JSON.stringify(summary));
+    assert.ok(summary.averageMargin > 0);
+});
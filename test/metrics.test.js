@@ -0,0 +1,62 @@
+/**
+ * @file test/metrics.test.js
+ * Checks the Prometheus text output of metrics.js and the engine metrics a search records.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Registry, createEngineMetrics } = require('../metrics.js');
+
+test('metrics render in the Prometheus text format', () => {
+    const registry = new Registry();
+    const counter = registry.counter('things_total', 'Things.');
+    counter.inc({ kind: 'a "quoted"\nthing' });
+    counter.inc({ kind: 'a "quoted"\nthing' }, 2);
+    const histogram = registry.histogram('size', 'Sizes.', [1, 10]);
+    histogram.observe({}, 0.5);
+    histogram.observe({}, 5);
+    histogram.observe({}, 50);
+
+    assert.equal(registry.render(), [
+        '# HELP things_total Things.',
+        '# TYPE things_total counter',
+        'things_total{kind="a \\"quoted\\"\\nthing"} 3',
+        '# HELP size Sizes.',
+        '# TYPE size histogram',
+        'size_bucket{le="1"} 1',
+        'size_bucket{le="10"} 2',
+        'size_bucket{le="+Inf"} 3',
+        'size_sum 55.5',
+        'size_count 3',
+        '',
+    ].join('\n'));
+    assert.throws(() => registry.counter('size', 'Again.'), /already registered/);
+});
+
+test('a search is recorded with its depth, nodes, speed, hit rate and stop reason', () => {
+    const metrics = createEngineMetrics({ getPoolStats: () => ({ workers: 2, busy: 1, queued: 0 }) });
+    metrics.recordSearch('best-move', 'ok', 1.5, {
+        depth: 6, nodes: 300000, elapsedMs: 1500, stopReason: 'time-limit', depths: [],
+        transpositionTable: { probes: 100, hits: 40, misses: 60, hitRate: 0.4 },
+    });
+    metrics.recordSearch('best-move', 'cancelled', 0.2, null);
+    metrics.recordLimited('rate');
+    metrics.recordWorkerCrash();
+    const text = metrics.registry.render();
+
+    for (const line of [
+        'check10_searches_total{task="best-move",outcome="ok"} 1',
+        'check10_searches_total{task="best-move",outcome="cancelled"} 1',
+        'check10_search_duration_seconds_count{task="best-move"} 2',
+        'check10_search_depth_bucket{task="best-move",le="5"} 0',
+        'check10_search_depth_bucket{task="best-move",le="6"} 1',
+        'check10_search_nodes_per_second_bucket{task="best-move",le="200000"} 1',
+        'check10_transposition_table_probes_total{result="hit"} 40',
+        'check10_search_stops_total{task="best-move",reason="time-limit"} 1',
+        'check10_requests_limited_total{limit="rate"} 1',
+        'check10_search_worker_crashes_total 1',
+        'check10_search_pool{state="busy"} 1',
+    ]) {
+        assert.ok(text.split('\n').includes(line), `missing: ${line}`);
+    }
+});
@@ -0,0 +1,76 @@
+/**
+ * @file test/openingBook.test.js
+ * Checks the opening book (openingBook.js): position keys, weighted picks of legal book moves,
+ * saving and loading, and building a small book by search.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const Rules = require('../rules.js');
+const { OpeningBook, buildOpeningBook, getBookKey } = require('../openingBook.js');
+
+const START_KEY = getBookKey(Rules.createInitialState());
+
+test('book keys are the same in every process', () => {
+    // The Zobrist keys are seeded, so a book built in one process is valid in another.
+    assert.equal(START_KEY, '67ac330359822d67');
+    const state = Rules.createInitialState();
+    Rules.applyMove(state, Rules.getAllMoves(state.board, state.currentPlayer)[0]);
+    assert.notEqual(getBookKey(state), START_KEY);
+});
+
+test('book moves are picked in proportion to their weights, and only if they are legal', () => {
+    const book = new OpeningBook({ positions: { [START_KEY]: [
+        { move: 'c2-c3', weight: 75, score: 0.1 },
+        { move: 'e2-e3', weight: 25, score: 0 },
+        { move: 'a1-a5', weight: 1000, score: 9 }, // Not a move in this position
+    ] } });
+    const start = Rules.createInitialState();
+
+    const first = book.pickMove(start, () => 0.5);
+    assert.equal(first.notation, 'c2-c3');
+    assert.deepEqual([first.fromRow, first.fromCol, first.toRow, first.toCol], [6, 2, 5, 2]);
+    assert.equal(first.piece.color, 'white');
+    assert.equal(book.pickMove(start, () => 0.8).notation, 'e2-e3');
+    assert.ok(Rules.getMoveEvents(start, first).valid);
+
+    assert.equal(book.pickMove({ ...start, currentPlayer: 'black' }), null, 'another position');
+    assert.equal(book.pickMove({ ...start, gameOver: true }), null);
+});
+
+test('a saved book loads with the same moves', () => {
+    const file = path.join(os.tmpdir(), `check10-book-${process.pid}.json`);
+    try {
+        const book = new OpeningBook({ evalProfile: 'tuned', built: { plies: 1 }, positions: { [START_KEY]: [{ move: 'c2-c3', weight: 100, score: 0.1 }] } });
+        book.save(file);
+        const loaded = OpeningBook.load(file);
+        assert.equal(loaded.evalProfile, 'tuned');
+        assert.equal(loaded.size, 1);
+        assert.deepEqual(loaded.getMoves(Rules.createInitialState()), book.positions[START_KEY]);
+        assert.deepEqual(loaded.info, { built: { plies: 1 } });
+
+        fs.writeFileSync(file, JSON.stringify({ version: 2, positions: {} }));
+        assert.throws(() => OpeningBook.load(file), /is not a version 1 opening book/);
+    } finally {
+        fs.rmSync(file, { force: true });
+    }
+    assert.throws(() => OpeningBook.load(file), /Cannot read opening book/);
+});
+
+test('building a book searches the start and the positions after its book moves', async () => {
+    const profile = { thinkingTimeMs: 200, maxDepth: 2, scoreNoise: 0, blunderChance: 0 };
+    const book = await buildOpeningBook({ profile, plies: 2, multiPv: 2, margin: 0.5 });
+    const startMoves = book.getMoves(Rules.createInitialState());
+    assert.ok(startMoves.length >= 1 && startMoves.length <= 2);
+    assert.equal(startMoves[0].weight, 100, 'the best move has the full weight');
+    assert.equal(book.size, 1 + startMoves.length);
+
+    for (const entry of startMoves) {
+        const state = Rules.createInitialState();
+        Rules.applyMove(state, new OpeningBook({ positions: { [START_KEY]: [entry] } }).pickMove(state));
+        assert.ok(book.getMoves(state).length >= 1, `a reply to ${entry.move} is in the book`);
+    }
+});
@@ -0,0 +1,97 @@
+/**
+ * @file test/position.test.js
+ * Checks that the search's compact Position (gameLogic.js) plays by the same rules as rules.js:
+ * in positions from seeded random games, every move must lead to the same board, scores and side
+ * to move, and unmakeMove() must restore the position exactly. The same goes for variants.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Rules = require('../rules.js');
+const { Position } = require('../gameLogic.js');
+const { calculateZobristKey, getVariantKey } = require('../zobrist.js');
+
+const GAMES = 6;
+
+// Small seeded PRNG (mulberry32) so the games are reproducible.
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Every move the search considers: a promotion with several targets is one move per target.
+function countSearchMoves(state) {
+    let count = 0;
+    for (const move of Rules.getAllMoves(state.board, state.currentPlayer)) {
+        const promotes = !move.piece.promoted && Rules.isPromotionRow(state.currentPlayer, move.toRow, state.board.length);
+        count += promotes ? Math.max(1, Rules.findPromotionTargets(state.board, move.piece).length) : 1;
+    }
+    return count;
+}
+
+// Plays random games under the variant, checking every move of every position; returns the
+// number of moves checked.
+function checkRandomGames(random, games, variant) {
+    let checked = 0;
+    for (let g = 0; g < games; g++) {
+        const state = Rules.createInitialState(variant, random);
+        while (!state.gameOver) {
+            const position = Position.fromGameState(state);
+            const before = JSON.stringify(position.toGameState());
+            const moves = position.generateMoves();
+            assert.equal(moves.length, countSearchMoves(state));
+
+            for (const move of moves) {
+                const result = Rules.getMoveEvents(state, position.toApiMove(move));
+                assert.ok(result.valid, result.reason);
+                const { pointsScored } = Rules.summarizeEvents(result.events);
+
+                position.makeMove(move);
+                assert.deepEqual(position.toBoard(), result.state.board);
+                assert.equal(position.currentPlayer, result.state.currentPlayer);
+                assert.equal(position.whiteScore, state.whiteScore + (state.currentPlayer === 'white' ? pointsScored : 0));
+                assert.equal(position.blackScore, state.blackScore + (state.currentPlayer === 'black' ? pointsScored : 0));
+                assert.equal(position.hasMoves(), !result.state.gameOver);
+                assert.equal(position.hash, calculateZobristKey(position.toBoard(), position.currentPlayer, position.whiteScore, position.blackScore, state.variant));
+                position.unmakeMove();
+                assert.equal(JSON.stringify(position.toGameState()), before);
+                checked++;
+            }
+
+            // Continue the game with a random move, choosing a promotion capture at random too.
+            const legalMoves = Rules.getAllMoves(state.board, state.currentPlayer);
+            Rules.applyMove(state, legalMoves[Math.floor(random() * legalMoves.length)]);
+            if (state.gameState === 'choosing_promotion') {
+                const choice = state.promotionChoices[Math.floor(random() * state.promotionChoices.length)];
+                Rules.applyPromotionChoice(state, choice.row, choice.col);
+            }
+        }
+    }
+    return checked;
+}
+
+test('Position plays every move like Rules.applyMove() in random games', () => {
+    const checked = checkRandomGames(createRandom(11), GAMES);
+    assert.ok(checked > 1000, `only ${checked} moves were checked`);
+});
+
+test('Position plays by the rules of variants, and their positions have keys of their own', () => {
+    const random = createRandom(12);
+    for (const variant of [{ boardSize: 6, targetSum: 12 }, { boardSize: 5, scanRadius: 1, maxCombinationSize: 3 }, 'random']) {
+        const checked = checkRandomGames(random, 2, variant);
+        assert.ok(checked > 100, `only ${checked} moves were checked in ${JSON.stringify(variant)}`);
+    }
+
+    assert.equal(getVariantKey(), 0n, 'standard positions keep their keys');
+    assert.equal(getVariantKey('random'), 0n, 'the layout is in the board already');
+    const start = Rules.createInitialState();
+    const check12 = Position.fromGameState({ ...start, variant: Rules.resolveVariant('check12') });
+    assert.notEqual(check12.hash, Position.fromGameState(start).hash);
+    assert.equal(check12.hash, calculateZobristKey(start.board, 'white', 0, 0, 'check12'));
+});
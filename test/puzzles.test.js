@@ -0,0 +1,72 @@
+/**
+ * @file test/puzzles.test.js
+ * Checks the combination puzzles (puzzles.js): finding a puzzle by search, turning down positions
+ * without one clear solution, saving and loading sets, and the shipped set itself.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const Rules = require('../rules.js');
+const GameRecord = require('../gameRecord.js');
+const { SearchPool } = require('../searchPool.js');
+const { PuzzleSet, findPuzzle, getPuzzleId, DEFAULT_PUZZLE_FILE } = require('../puzzles.js');
+
+const PROFILE = { thinkingTimeMs: 5000, maxDepth: 3, scoreNoise: 0, blunderChance: 0 };
+
+// White to move: the c3 three can join the d5 seven (3 + 7 = 10) and capture it, but only from d4,
+// as the eight blocks c4.
+const COMBINATION_POSITION = 'b1-------/--------/--------/---b7----/--w8-----/--w3-----/-------w1/-------- w 0 0';
+
+test('a combination that only one move finds is a puzzle, and the start is not', async () => {
+    const pool = new SearchPool({ size: 1, silent: true });
+    try {
+        const state = GameRecord.parsePosition(COMBINATION_POSITION);
+        const puzzle = await findPuzzle(pool, state, PROFILE);
+        assert.equal(puzzle.id, getPuzzleId(state));
+        assert.equal(puzzle.position, COMBINATION_POSITION);
+        assert.deepEqual(puzzle.solution, ['c3-d4xd5']);
+        assert.equal(puzzle.gain, 7);
+
+        assert.equal(await findPuzzle(pool, Rules.createInitialState(), PROFILE), null);
+        assert.equal(await findPuzzle(pool, state, PROFILE, { margin: 1000 }), null, 'not far enough ahead');
+    } finally {
+        await pool.close();
+    }
+});
+
+test('a saved puzzle set loads with the same puzzles', () => {
+    const file = path.join(os.tmpdir(), `check10-puzzles-${process.pid}.json`);
+    try {
+        const puzzle = { id: 'abc', position: COMBINATION_POSITION, solution: ['c3-d4xd5'], gain: 7, score: 6.5 };
+        new PuzzleSet({ generated: { maxPlies: 1 }, puzzles: [puzzle] }).save(file);
+        const loaded = PuzzleSet.load(file);
+        assert.equal(loaded.size, 1);
+        assert.deepEqual(loaded.get('abc'), puzzle);
+        assert.equal(loaded.get('xyz'), null);
+        assert.deepEqual(loaded.info, { generated: { maxPlies: 1 } });
+
+        fs.writeFileSync(file, JSON.stringify({ version: 2, puzzles: [] }));
+        assert.throws(() => PuzzleSet.load(file), /is not a version 1 puzzle set/);
+    } finally {
+        fs.rmSync(file, { force: true });
+    }
+    assert.throws(() => PuzzleSet.load(file), /Cannot read puzzle set/);
+});
+
+test('every shipped puzzle replays and ends with its scoring move', () => {
+    const set = PuzzleSet.load(DEFAULT_PUZZLE_FILE);
+    assert.ok(set.size > 0);
+    assert.equal(new Set(set.puzzles.map(p => p.id)).size, set.size, 'no puzzle is repeated');
+    for (const puzzle of set.puzzles) {
+        const { states, events } = GameRecord.replayRecord({ tags: { Position: puzzle.position }, moves: puzzle.solution });
+        assert.equal(puzzle.id, getPuzzleId(states[0]));
+        const solver = states[0].currentPlayer;
+        const last = Rules.summarizeEvents(events[events.length - 1]);
+        assert.equal(states[states.length - 2].currentPlayer, solver, `${puzzle.id} ends with the solver's move`);
+        assert.equal(last.pointsScored, puzzle.gain, `${puzzle.id} scores its gain`);
+        assert.ok(last.combinations.length > 0 || last.promotionCapture, `${puzzle.id} ends with a combination or promotion capture`);
+    }
+});
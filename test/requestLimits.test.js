@@ -0,0 +1,47 @@
+/**
+ * @file test/requestLimits.test.js
+ * Checks the rate and concurrency limits of the AI endpoints (requestLimits.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter, ConcurrencyLimiter } = require('../requestLimits.js');
+
+test('a client may make a burst of requests, then one per token it gets back', () => {
+    let now = 0;
+    const limiter = new RateLimiter({ perMinute: 6, burst: 2, now: () => now });
+    assert.equal(limiter.take('a'), 0);
+    assert.equal(limiter.take('a'), 0);
+    assert.equal(limiter.take('a'), 10, 'a token comes back every 10 seconds');
+    assert.equal(limiter.take('b'), 0, 'other clients have buckets of their own');
+
+    now += 4000;
+    assert.equal(limiter.take('a'), 6);
+    now += 6000;
+    assert.equal(limiter.take('a'), 0);
+    assert.equal(limiter.take('a'), 10);
+
+    now += 60 * 60 * 1000;
+    limiter.take('c');
+    assert.deepEqual([...limiter.buckets.keys()], ['c'], 'idle clients are forgotten');
+});
+
+test('requests wait once the server or the client has too many running', () => {
+    const limiter = new ConcurrencyLimiter({ max: 3, perClient: 2 });
+    const a1 = limiter.acquire('a');
+    const a2 = limiter.acquire('a');
+    assert.ok(a1 && a2);
+    assert.equal(limiter.acquire('a'), null, 'the client has two running');
+    const b1 = limiter.acquire('b');
+    assert.ok(b1);
+    assert.equal(limiter.acquire('c'), null, 'the server has three running');
+
+    a1();
+    a1(); // Ending a request twice frees one slot only
+    assert.equal(limiter.active, 2);
+    assert.ok(limiter.acquire('c'));
+    assert.equal(limiter.acquire('a'), null);
+    b1();
+    assert.ok(limiter.acquire('a'));
+    assert.equal(limiter.activeByClient.get('a'), 2);
+});
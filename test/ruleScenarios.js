@@ -0,0 +1,619 @@
+/**
+ * @file test/ruleScenarios.js
+ * The rules conformance suite: scenarios that rules.js must pass wherever it runs.
+ *
+ * Each scenario is { name, run(Rules, assert) }, where `assert` provides equal(), deepEqual() and
+ * ok() with the semantics of Node's assert/strict. test/rules.test.js runs them under Node
+ * (npm test) and test/rules.html runs them in a browser, against the same /rules.js the game loads.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.Check10RuleScenarios = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Builds a board from rows of squares separated by spaces (8 of 8 on the standard board): '.' is empty, 'w3' a white 3,
+     * 'b5' a black 5, and an upper-case letter ('W3', 'B5') marks a promoted piece.
+     * @param {string[]} rows
+     * @returns {Array<Array<object|null>>}
+     */
+    function parseBoard(rows) {
+        return rows.map(row => row.trim().split(/\s+/).map(square => {
+            if (square === '.') return null;
+            const color = square[0].toLowerCase() === 'w' ? 'white' : 'black';
+            return { color, number: Number(square.slice(1)), promoted: square[0] === square[0].toUpperCase() };
+        }));
+    }
+
+    function makeState(rows, fields = {}) {
+        return {
+            board: parseBoard(rows), currentPlayer: 'white', whiteScore: 0, blackScore: 0,
+            gameOver: false, gameState: 'playing', promotionChoices: null, promotionPoints: 0,
+            ...fields,
+        };
+    }
+
+    const types = events => events.map(event => event.type);
+    const squares = items => items.map(item => `${item.row},${item.col}`).sort();
+    const piece = (color, number, promoted = false) => ({ color, number, promoted });
+    const move = (fromRow, fromCol, toRow, toCol, extra = {}) => ({ fromRow, fromCol, toRow, toCol, ...extra });
+
+    // A white promotion on d8 (row 1 to row 0), with a spare black piece in the far corner so
+    // that black can still move afterwards.
+    const PROMOTION_BOARD = [
+        '. . b3 . b2 . . b1',
+        '. . . w5 . . . .',
+        '. . . . . . . .',
+        '. . . . . . . .',
+        '. . . . . . . .',
+        '. . . . . . . .',
+        '. . . . . . . .',
+        '. . . . . . . .',
+    ];
+
+    const scenarios = [
+        {
+            name: 'the game starts with both sides on their two back rows and white to move',
+            run(Rules, assert) {
+                const state = Rules.createInitialState();
+                assert.equal(state.currentPlayer, 'white');
+                assert.deepEqual([state.whiteScore, state.blackScore, state.gameOver, state.gameState], [0, 0, false, 'playing']);
+                assert.deepEqual(state.board[0].map(p => p.number), [8, 7, 6, 5, 4, 3, 2, 1]);
+                assert.deepEqual(state.board[1].map(p => p.number), [1, 2, 3, 4, 5, 6, 7, 8]);
+                assert.deepEqual(state.board[6].map(p => p.number), [8, 7, 6, 5, 4, 3, 2, 1]);
+                assert.deepEqual(state.board[7].map(p => p.number), [1, 2, 3, 4, 5, 6, 7, 8]);
+                assert.ok(state.board[0].concat(state.board[1]).every(p => p.color === 'black' && !p.promoted));
+                assert.ok(state.board[6].concat(state.board[7]).every(p => p.color === 'white' && !p.promoted));
+                assert.ok(state.board.slice(2, 6).every(row => row.every(square => square === null)));
+            },
+        },
+        {
+            name: 'a piece moves one row forward, straight or diagonally, onto an empty square',
+            run(Rules, assert) {
+                const { board } = makeState([
+                    '. . . . . . . .',
+                    '. b1 . . . . . .',
+                    '. . . . . . . .',
+                    '. . b2 . . . . .',
+                    '. . . w5 . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                ]);
+                assert.deepEqual(Rules.getValidMoves(board, 4, 3), [{ row: 3, col: 3 }, { row: 3, col: 4 }]);
+                assert.deepEqual(Rules.getValidMoves(board, 1, 1), [{ row: 2, col: 1 }, { row: 2, col: 0 }, { row: 2, col: 2 }]);
+                assert.equal(Rules.isValidMove(board, 4, 3, 5, 3), false, 'white cannot move backwards');
+                assert.equal(Rules.isValidMove(board, 4, 3, 3, 2), false, 'a piece cannot move onto another');
+                assert.equal(Rules.isValidMove(board, 4, 3, 2, 3), false, 'a piece moves one row at a time');
+                assert.deepEqual(Rules.getValidMoves(board, 5, 5), [], 'an empty square has no moves');
+            },
+        },
+        {
+            name: 'pieces cannot leave the board, so a piece on the far row is stuck',
+            run(Rules, assert) {
+                const { board } = makeState([
+                    '. . . . . W5 . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    'w4 . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . B3 . . . .',
+                ]);
+                assert.deepEqual(Rules.getValidMoves(board, 4, 0), [{ row: 3, col: 0 }, { row: 3, col: 1 }]);
+                assert.deepEqual(Rules.getValidMoves(board, 0, 5), []);
+                assert.deepEqual(Rules.getValidMoves(board, 7, 3), []);
+                assert.equal(Rules.hasValidMoves(board, 'white'), true);
+                assert.equal(Rules.hasValidMoves(board, 'black'), false);
+            },
+        },
+        {
+            name: 'a move that breaks the rules is rejected and changes nothing',
+            run(Rules, assert) {
+                const state = Rules.createInitialState();
+                const before = Rules.cloneState(state);
+                const rejected = [
+                    [move(1, 0, 2, 0), "It is white's turn."],
+                    [move(4, 4, 3, 4), 'There is no piece on the starting square.'],
+                    [move(6, 0, 4, 0), 'That piece cannot move there.'],
+                    [move(6, 0, 5, 3), 'That piece cannot move there.'],
+                ];
+                for (const [attempt, reason] of rejected) {
+                    const result = Rules.applyMove(state, attempt);
+                    assert.deepEqual([result.valid, result.reason, result.events], [false, reason, []]);
+                }
+                assert.deepEqual(Rules.cloneState(state), before);
+
+                assert.equal(Rules.applyMove({ ...Rules.createInitialState(), gameOver: true }, move(6, 0, 5, 0)).reason, 'The game is over.');
+                assert.equal(Rules.applyMove({ ...Rules.createInitialState(), gameState: 'choosing_promotion' }, move(6, 0, 5, 0)).reason,
+                    'A promotion capture must be chosen before the next move.');
+            },
+        },
+        {
+            name: 'getMoveEvents() works on a copy and leaves the state alone',
+            run(Rules, assert) {
+                const state = Rules.createInitialState();
+                const before = Rules.cloneState(state);
+                const result = Rules.getMoveEvents(state, move(6, 3, 5, 3));
+                assert.equal(result.valid, true);
+                assert.deepEqual(Rules.cloneState(state), before);
+                assert.equal(result.state.currentPlayer, 'black');
+                assert.deepEqual(result.state.board[5][3], piece('white', 5));
+                assert.equal(result.state.board[6][3], null);
+            },
+        },
+        {
+            name: 'a quiet move emits moved and turn',
+            run(Rules, assert) {
+                const state = Rules.createInitialState();
+                const { valid, events } = Rules.applyMove(state, move(6, 3, 5, 3));
+                assert.equal(valid, true);
+                assert.deepEqual(events, [
+                    { type: 'moved', player: 'white', from: { row: 6, col: 3 }, to: { row: 5, col: 3 }, piece: piece('white', 5) },
+                    { type: 'turn', player: 'black' },
+                ]);
+                assert.equal(state.currentPlayer, 'black');
+            },
+        },
+        {
+            name: 'a move that forms a combination captures the opponent pieces in it',
+            run(Rules, assert) {
+                const state = makeState([
+                    '. . . . . . . b1',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . b6 . . . .',
+                    '. . . . . . . .',
+                    '. . . w4 . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                ]);
+                const { events } = Rules.applyMove(state, move(5, 3, 4, 3));
+                assert.deepEqual(types(events), ['moved', 'combination', 'capture', 'points', 'turn']);
+                assert.deepEqual(squares(events[1].pieces), ['3,3', '4,3']);
+                assert.deepEqual(events[2], { type: 'capture', player: 'white', row: 3, col: 3, piece: piece('black', 6) });
+                assert.deepEqual(events[3], { type: 'points', player: 'white', points: 6 });
+                assert.equal(state.board[3][3], null);
+                assert.deepEqual(state.board[4][3], piece('white', 4), "the mover's own pieces stay");
+                assert.deepEqual([state.whiteScore, state.blackScore, state.currentPlayer], [6, 0, 'black']);
+            },
+        },
+        {
+            name: 'black captures white pieces the same way',
+            run(Rules, assert) {
+                const state = makeState([
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . b6 . . . .',
+                    '. . . . . . . .',
+                    '. . . w4 . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    'w1 . . . . . . .',
+                ], { currentPlayer: 'black' });
+                const { events } = Rules.applyMove(state, move(2, 3, 3, 3));
+                assert.deepEqual(types(events), ['moved', 'combination', 'capture', 'points', 'turn']);
+                assert.deepEqual([events[2].row, events[2].col], [4, 3]);
+                assert.deepEqual([state.whiteScore, state.blackScore, state.currentPlayer], [0, 4, 'white']);
+            },
+        },
+        {
+            name: 'a combination needs both colours',
+            run(Rules, assert) {
+                const state = makeState([
+                    '. . . . . . . b1',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . w6 . . . .',
+                    '. . . . . . . .',
+                    '. . . w4 . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                ]);
+                assert.deepEqual(types(Rules.applyMove(state, move(5, 3, 4, 3)).events), ['moved', 'turn']);
+                assert.equal(state.whiteScore, 0);
+            },
+        },
+        {
+            name: 'a combination must add up to exactly ten',
+            run(Rules, assert) {
+                const state = makeState([
+                    '. . . . . . . b1',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . b5 b7 . . .',
+                    '. . . . . . . .',
+                    '. . . w4 . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                ]);
+                assert.deepEqual(types(Rules.applyMove(state, move(5, 3, 4, 3)).events), ['moved', 'turn']);
+            },
+        },
+        {
+            name: 'a combination must be connected',
+            run(Rules, assert) {
+                const state = makeState([
+                    '. . . . . . . b1',
+                    '. . . . . . . .',
+                    '. . . b6 . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . w4 . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                ]);
+                assert.deepEqual(types(Rules.applyMove(state, move(5, 3, 4, 3)).events), ['moved', 'turn']);
+            },
+        },
+        {
+            name: 'a combination can be a larger connected group, and all its opponent pieces are captured',
+            run(Rules, assert) {
+                const state = makeState([
+                    '. . . . . . . b1',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . b3 b5 . . .',
+                    '. . . . . . . .',
+                    '. . . w2 . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                ]);
+                const { events } = Rules.applyMove(state, move(5, 3, 4, 3));
+                assert.deepEqual(types(events), ['moved', 'combination', 'capture', 'capture', 'points', 'turn']);
+                assert.deepEqual(squares(events[1].pieces), ['3,3', '3,4', '4,3']);
+                assert.deepEqual(squares(events.filter(e => e.type === 'capture')), ['3,3', '3,4']);
+                assert.equal(state.whiteScore, 8);
+            },
+        },
+        {
+            name: 'an opponent piece in two combinations is captured and scored once',
+            run(Rules, assert) {
+                const state = makeState([
+                    '. . . . . . . b1',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . b6 w4 . . .',
+                    '. . . . . . . .',
+                    '. . . w4 . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                ]);
+                const { events } = Rules.applyMove(state, move(5, 3, 4, 3));
+                assert.deepEqual(types(events), ['moved', 'combination', 'combination', 'capture', 'points', 'turn']);
+                assert.equal(state.whiteScore, 6);
+            },
+        },
+        {
+            name: 'every combination in the 7x7 window around the moved piece counts, and nothing outside it',
+            run(Rules, assert) {
+                const rows = [
+                    'b1 . . . . . . .',
+                    '. . . . . . . .',
+                    'w1 . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . w1 . .',
+                    '. . . . . . . b7',
+                    '. . . . . . . w3',
+                ];
+                const far = makeState(rows);
+                assert.deepEqual(types(Rules.applyMove(far, move(2, 0, 1, 0)).events), ['moved', 'turn']);
+
+                const near = makeState(rows);
+                const { events } = Rules.applyMove(near, move(5, 5, 4, 5));
+                assert.deepEqual(types(events), ['moved', 'combination', 'capture', 'points', 'turn']);
+                assert.deepEqual(squares(events[1].pieces), ['6,7', '7,7'], 'the moved piece need not be part of it');
+                assert.equal(near.whiteScore, 7);
+            },
+        },
+        {
+            name: 'a piece that reaches the far row is promoted',
+            run(Rules, assert) {
+                const state = makeState(PROMOTION_BOARD.map((row, r) => (r === 0 ? '. . . . . . . b1' : row)));
+                const { events } = Rules.applyMove(state, move(1, 3, 0, 3));
+                assert.deepEqual(types(events), ['moved', 'promoted', 'turn']);
+                assert.deepEqual(events[1], { type: 'promoted', row: 0, col: 3, piece: piece('white', 5, true) });
+                assert.deepEqual(state.board[0][3], piece('white', 5, true));
+            },
+        },
+        {
+            name: 'promotion captures the only unpromoted opponent piece with the same number',
+            run(Rules, assert) {
+                const state = makeState([
+                    '. . . . . . . b1',
+                    '. . . w5 . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . b5',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . B5',
+                ]);
+                const { events } = Rules.applyMove(state, move(1, 3, 0, 3));
+                assert.deepEqual(types(events), ['moved', 'promoted', 'promotion-capture', 'points', 'turn']);
+                assert.deepEqual(events[2], {
+                    type: 'promotion-capture', player: 'white', row: 4, col: 7, piece: piece('black', 5), points: 5, chosen: false,
+                });
+                assert.equal(state.board[4][7], null);
+                assert.deepEqual(state.board[7][7], piece('black', 5, true), 'a promoted piece cannot be captured by promotion');
+                assert.equal(state.whiteScore, 5);
+            },
+        },
+        {
+            name: 'with several matching pieces the game waits for the player to choose',
+            run(Rules, assert) {
+                const state = makeState([
+                    '. . . . . . . b1',
+                    '. . . w5 . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . b5 b5',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                ]);
+                const { events } = Rules.applyMove(state, move(1, 3, 0, 3));
+                assert.deepEqual(types(events), ['moved', 'promoted', 'promotion-choice']);
+                assert.deepEqual([state.gameState, state.currentPlayer, state.promotionPoints], ['choosing_promotion', 'white', 5]);
+                assert.deepEqual(state.promotionChoices, [
+                    { row: 4, col: 6, piece: piece('black', 5) },
+                    { row: 4, col: 7, piece: piece('black', 5) },
+                ]);
+                assert.equal(Rules.applyMove(state, move(4, 6, 5, 6)).valid, false, 'no move until the choice is made');
+
+                const wrong = Rules.applyPromotionChoice(state, 0, 7);
+                assert.deepEqual([wrong.valid, wrong.reason], [false, 'Choose an opponent piece with number 5.']);
+
+                const choice = Rules.applyPromotionChoice(state, 4, 7);
+                assert.deepEqual(types(choice.events), ['promotion-capture', 'points', 'turn']);
+                assert.equal(choice.events[0].chosen, true);
+                assert.deepEqual(state.board[4][6], piece('black', 5));
+                assert.equal(state.board[4][7], null);
+                assert.deepEqual([state.gameState, state.promotionChoices, state.promotionPoints], ['playing', null, 0]);
+                assert.deepEqual([state.whiteScore, state.currentPlayer], [5, 'black']);
+                assert.equal(Rules.applyPromotionChoice(state, 4, 6).reason, 'There is no promotion capture to choose.');
+            },
+        },
+        {
+            name: 'a chosen promotion capture ends the turn without looking for combinations',
+            run(Rules, assert) {
+                // The promoted 5 lands next to a black 5: that pair would be a combination.
+                const rows = [
+                    '. . b5 . . . . b1',
+                    '. . . w5 . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . b5',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                ];
+                const state = makeState(rows);
+                assert.deepEqual(types(Rules.applyMove(state, move(1, 3, 0, 3)).events), ['moved', 'promoted', 'promotion-choice']);
+                assert.deepEqual(squares(state.promotionChoices), ['0,2', '4,7']);
+                assert.deepEqual(types(Rules.applyPromotionChoice(state, 4, 7).events), ['promotion-capture', 'points', 'turn']);
+                assert.deepEqual(state.board[0][2], piece('black', 5));
+                assert.equal(state.whiteScore, 5);
+
+                // A move can carry its choice, as the AI's moves do.
+                const planned = makeState(rows);
+                const { events } = Rules.applyMove(planned, move(1, 3, 0, 3, { promotionCapture: { row: 4, col: 7 } }));
+                assert.deepEqual(types(events), ['moved', 'promoted', 'promotion-capture', 'points', 'turn']);
+                assert.deepEqual(Rules.cloneState(planned), Rules.cloneState(state));
+
+                const wrong = Rules.applyMove(makeState(rows), move(1, 3, 0, 3, { promotionCapture: { row: 0, col: 7 } }));
+                assert.deepEqual([wrong.valid, wrong.reason], [false, 'Choose an opponent piece with number 5.']);
+            },
+        },
+        {
+            name: 'a single promotion capture is followed by the combination check',
+            run(Rules, assert) {
+                const state = makeState([
+                    '. . b3 . b2 . . b1',
+                    '. . . w5 . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . b5',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                ]);
+                const { events } = Rules.applyMove(state, move(1, 3, 0, 3));
+                assert.deepEqual(types(events), ['moved', 'promoted', 'promotion-capture', 'combination', 'capture', 'capture', 'points', 'turn']);
+                assert.deepEqual(squares(events[3].pieces), ['0,2', '0,3', '0,4']);
+                assert.deepEqual(events[6], { type: 'points', player: 'white', points: 10 });
+
+                const summary = Rules.summarizeEvents(events);
+                assert.deepEqual([summary.pointsScored, summary.promoted, summary.awaitingPromotionChoice], [10, true, false]);
+                assert.deepEqual([summary.promotionCapture.row, summary.promotionCapture.col], [4, 7]);
+                assert.deepEqual(squares(summary.captured), ['0,2', '0,4', '4,7']);
+                assert.equal(summary.combinations.length, 1);
+            },
+        },
+        {
+            name: 'the game ends when the side to move cannot move, and promoted pieces are added to the scores',
+            run(Rules, assert) {
+                const state = makeState([
+                    '. . . . . . . W2',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . w1 . .',
+                    '. . . . . . . .',
+                    'B3 . . . . . . .',
+                ], { whiteScore: 10, blackScore: 4 });
+                const { events } = Rules.applyMove(state, move(5, 5, 4, 5));
+                assert.deepEqual(types(events), ['moved', 'turn', 'game-over']);
+                assert.deepEqual(events[2], {
+                    type: 'game-over', winner: 'white', whiteScore: 12, blackScore: 7,
+                    whitePromotedValue: 2, blackPromotedValue: 3, noMovesFor: 'black',
+                });
+                assert.deepEqual([state.gameOver, state.whiteScore, state.blackScore], [true, 12, 7]);
+                assert.equal(Rules.getWinner(state), 'white');
+                assert.equal(Rules.applyMove(state, move(4, 5, 3, 5)).reason, 'The game is over.');
+            },
+        },
+        {
+            name: 'equal final scores are a draw',
+            run(Rules, assert) {
+                const state = makeState([
+                    '. . . . . . . W2',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . w1 . .',
+                    '. . . . . . . .',
+                    'B1 . . . . . . .',
+                ], { whiteScore: 5, blackScore: 6 });
+                const { events } = Rules.applyMove(state, move(5, 5, 4, 5));
+                assert.equal(events[events.length - 1].winner, 'draw');
+                assert.equal(Rules.getWinner(state), 'draw');
+                assert.deepEqual([state.whiteScore, state.blackScore], [7, 7]);
+            },
+        },
+        {
+            name: 'checkGameEnd() ends a loaded position where the side to move cannot move, only once',
+            run(Rules, assert) {
+                const state = makeState([
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . . . w1 . .',
+                    '. . . . . . . .',
+                    'B3 . . . . . . .',
+                ], { currentPlayer: 'black' });
+                assert.equal(Rules.getWinner(state), null);
+                const event = Rules.checkGameEnd(state);
+                assert.deepEqual([event.winner, event.noMovesFor], ['black', 'black']);
+                assert.deepEqual([state.gameOver, state.whiteScore, state.blackScore], [true, 0, 3]);
+                assert.equal(Rules.checkGameEnd(state), null);
+                assert.equal(state.blackScore, 3, 'promoted pieces are only counted once');
+                assert.equal(Rules.checkGameEnd(Rules.createInitialState()), null);
+            },
+        },
+        {
+            name: 'a side that runs out of time loses, whatever the score',
+            run(Rules, assert) {
+                const state = Rules.createInitialState();
+                state.whiteScore = 12;
+                const event = Rules.loseOnTime(state, 'white');
+                assert.deepEqual([event.winner, event.timeoutFor, event.whiteScore, event.blackScore], ['black', 'white', 12, 0]);
+                assert.deepEqual([state.gameOver, state.timeoutFor], [true, 'white']);
+                assert.equal(Rules.getWinner(state), 'black');
+                assert.equal(Rules.cloneState(state).timeoutFor, 'white');
+                assert.equal(Rules.loseOnTime(state, 'black'), null, 'the game is already over');
+                assert.equal(Rules.cloneState(Rules.createInitialState()).timeoutFor, undefined);
+            },
+        },
+        {
+            name: 'replaying the events with applyEvent() gives the same state as applyMove()',
+            run(Rules, assert) {
+                const state = makeState(PROMOTION_BOARD);
+                const replayed = Rules.cloneState(state);
+                const { events } = Rules.applyMove(state, move(1, 3, 0, 3));
+                for (const event of events) Rules.applyEvent(replayed, event);
+                assert.deepEqual(replayed, Rules.cloneState(state));
+            },
+        },
+        {
+            name: 'a variant game starts on its own board size, with the numbers up to that size',
+            run(Rules, assert) {
+                const state = Rules.createInitialState('small');
+                assert.deepEqual(state.variant, { ...Rules.STANDARD_VARIANT, boardSize: 6 });
+                assert.equal(state.board.length, 6);
+                assert.deepEqual(state.board[0].map(p => p.number), [6, 5, 4, 3, 2, 1]);
+                assert.deepEqual(state.board[5].map(p => `${p.color[0]}${p.number}`), ['w1', 'w2', 'w3', 'w4', 'w5', 'w6']);
+                assert.ok(state.board[2].every(p => p === null) && state.board[3].every(p => p === null));
+                assert.deepEqual(Rules.cloneState(state).variant, state.variant);
+                assert.equal(Rules.getAllMoves(state.board, 'white').length, 16, 'three moves for each piece on rank 2, two at the edges');
+                assert.equal(Rules.createInitialState().variant, undefined, 'a standard game has no variant');
+            },
+        },
+        {
+            name: 'on a smaller board pieces are promoted on its last row',
+            run(Rules, assert) {
+                const state = makeState([
+                    'w1 . . . . .',
+                    '. . . . . .',
+                    '. . . . . .',
+                    '. . . . . .',
+                    '. . b3 . . .',
+                    '. . . . . .',
+                ], { currentPlayer: 'black', variant: { boardSize: 6 } });
+                const { events } = Rules.applyMove(state, move(4, 2, 5, 2));
+                assert.deepEqual(types(events).slice(0, 2), ['moved', 'promoted']);
+                assert.deepEqual(Rules.getValidMoves(state.board, 5, 2), [], 'nothing beyond the sixth row');
+            },
+        },
+        {
+            name: 'a variant can change the sum, the window and the size of combinations',
+            run(Rules, assert) {
+                const rows = [
+                    '. . . . . . . b1',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                    '. . . b5 b7 . . .',
+                    '. . . . . . . .',
+                    '. . . w5 . . . .',
+                    '. . . . . . . .',
+                    '. . . . . . . .',
+                ];
+                const check12 = makeState(rows, { variant: Rules.resolveVariant('check12') });
+                const { events } = Rules.applyMove(check12, move(5, 3, 4, 3));
+                assert.deepEqual(squares(events.filter(e => e.type === 'capture')), ['3,4'], '5 + 7 is twelve, 5 + 5 is not');
+
+                assert.deepEqual(types(Rules.applyMove(makeState(rows), move(5, 3, 4, 3)).events).slice(0, 3), ['moved', 'combination', 'capture']);
+                const pairsOnly = makeState(rows.map(row => row.replace('b5 b7', 'b2 b3')), { variant: { maxCombinationSize: 2 } });
+                assert.deepEqual(types(Rules.applyMove(pairsOnly, move(5, 3, 4, 3)).events), ['moved', 'turn'], '5 + 2 + 3 needs three pieces');
+
+                // A w7-b3 pair three columns from the moved piece.
+                const farRows = rows.map((row, r) => (r === 2 ? '. . . . . . w7 .' : r === 3 ? '. . . . . . b3 .' : row));
+                assert.equal(Rules.applyMove(makeState(farRows), move(5, 3, 4, 3)).events[1].type, 'combination');
+                const narrow = makeState(farRows, { variant: { scanRadius: 2 } });
+                assert.deepEqual(types(Rules.applyMove(narrow, move(5, 3, 4, 3)).events), ['moved', 'turn']);
+            },
+        },
+        {
+            name: 'the random layout shuffles each starting row the same way for both sides',
+            run(Rules, assert) {
+                let seed = 7;
+                const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+                const { board } = Rules.createInitialState('random', random);
+                const numbers = row => board[row].map(p => p.number);
+                assert.deepEqual(numbers(0), numbers(6));
+                assert.deepEqual(numbers(1), numbers(7));
+                assert.deepEqual(numbers(0).slice().sort(), [1, 2, 3, 4, 5, 6, 7, 8]);
+                assert.ok(numbers(0).join() !== '8,7,6,5,4,3,2,1' || numbers(1).join() !== '1,2,3,4,5,6,7,8');
+            },
+        },
+        {
+            name: 'unknown variants and rules out of their limits are rejected',
+            run(Rules, assert) {
+                const error = variant => {
+                    try {
+                        Rules.resolveVariant(variant);
+                        return null;
+                    } catch (err) {
+                        return err.message;
+                    }
+                };
+                assert.equal(error('check11'), "Unknown variant 'check11'. Use one of: standard, check12, small, random.");
+                assert.equal(error({ boardSize: 9 }), 'boardSize must be a whole number from 5 to 8.');
+                assert.equal(error({ targetSum: 10.5 }), 'targetSum must be a whole number from 2 to 40.');
+                assert.equal(error({ layout: 'mirrored' }), 'layout must be one of: standard, random.');
+                assert.equal(error({ colours: 3 }), "Unknown variant rule 'colours'. The rules are: boardSize, targetSum, scanRadius, maxCombinationSize, layout.");
+                assert.equal(Rules.resolveVariant({ targetSum: 10 }), Rules.STANDARD_VARIANT, 'the standard rules, however they are written');
+            },
+        },
+    ];
+
+    return { scenarios, parseBoard };
+});
@@ -0,0 +1,13 @@
+/**
+ * @file test/rules.test.js
+ * Runs the rules conformance scenarios (test/ruleScenarios.js) under Node.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Rules = require('../rules.js');
+const { scenarios } = require('./ruleScenarios.js');
+
+for (const scenario of scenarios) {
+    test(scenario.name, () => scenario.run(Rules, assert));
+}
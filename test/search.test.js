@@ -0,0 +1,133 @@
+/**
+ * @file test/search.test.js
+ * Checks the multi-PV mode of the search (search.js): the best root moves are ranked with their
+ * scores, immediate gains and principal variations, and the lines are legal moves. Also checks
+ * the strength profiles, the statistics a search reports, and its progress after each depth.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Rules = require('../rules.js');
+const GameRecord = require('../gameRecord.js');
+const { Position } = require('../gameLogic.js');
+const { findBestMoveWithAlphaBeta, getLastCandidates, getLastSearchStats, getClockBudgetMs, AI_STRENGTH_PROFILES } = require('../search.js');
+
+const SHALLOW_PROFILE = { thinkingTimeMs: 60000, maxDepth: 3, scoreNoise: 0, blunderChance: 0 };
+
+// White to move: the c3 three can join the d5 seven (3 + 7 = 10) and capture it.
+const COMBINATION_POSITION = 'b1-------/--------/--------/---b7----/--------/--w3-----/-------w1/-------- w 0 0';
+
+// Black to move: the a4 one steps to a3 and captures the b2 seven and the b1 two (1 + 7 + 2 = 10),
+// far ahead of any other move.
+const OBVIOUS_POSITION = 'b8b7b6b5b4b3b2b1/-b2b3b4b5b6b7b8/--------/--------/b1-------/-w8w5--w4-w2/-w7w6--w3-w1/w1w2w3w4w5w6w7w8 b 0 0';
+
+test('multiPv ranks the best root moves with their lines', () => {
+    const position = Position.fromGameState(GameRecord.parsePosition(COMBINATION_POSITION));
+    const move = findBestMoveWithAlphaBeta(position, SHALLOW_PROFILE, { multiPv: 3 });
+    const candidates = getLastCandidates();
+
+    assert.equal(candidates.length, 3);
+    assert.deepEqual(candidates.map(c => c.score), [...candidates.map(c => c.score)].sort((a, b) => b - a));
+    const [best] = candidates;
+    assert.match(best.notation, /^c3-[cd]4xd5$/);
+    assert.deepEqual({ fromRow: move.fromRow, fromCol: move.fromCol }, { fromRow: best.fromRow, fromCol: best.fromCol });
+    assert.equal(best.immediateGain, 7);
+    assert.equal(candidates[2].immediateGain, 0);
+    assert.ok(candidates[2].score < best.score);
+
+    for (const candidate of candidates) {
+        assert.equal(candidate.pv[0], candidate.notation);
+        assert.ok(candidate.pv.length >= 1 && candidate.pv.length <= SHALLOW_PROFILE.maxDepth);
+        // Every line replays from the position, and the position is left as it was.
+        GameRecord.replayRecord({ tags: { Position: COMBINATION_POSITION }, moves: candidate.pv });
+    }
+    assert.equal(GameRecord.formatPosition({ ...GameRecord.parsePosition(COMBINATION_POSITION), ...position.toGameState() }), COMBINATION_POSITION);
+});
+
+test('with multiPv even a noisy profile plays the first of its ranked moves', () => {
+    const noisy = { ...SHALLOW_PROFILE, maxDepth: 2, scoreNoise: 4, blunderChance: 0.25 };
+    for (let i = 0; i < 20; i++) {
+        const move = findBestMoveWithAlphaBeta(Position.fromGameState(Rules.createInitialState()), noisy, { multiPv: 3 });
+        const [best] = getLastCandidates();
+        assert.deepEqual([move.fromRow, move.fromCol, move.toRow, move.toCol], [best.fromRow, best.fromCol, best.toRow, best.toCol]);
+    }
+});
+
+test('a single move is still searched when its line is asked for', () => {
+    // The h3 three blocks the h2 one, which can only step to g3.
+    const position = Position.fromGameState(GameRecord.parsePosition('b1-------/--------/--------/--------/--------/-------b3/-------w1/-------- w 0 0'));
+    findBestMoveWithAlphaBeta(position, SHALLOW_PROFILE);
+    assert.equal(getLastCandidates(), null);
+
+    findBestMoveWithAlphaBeta(position, SHALLOW_PROFILE, { multiPv: 2 });
+    const candidates = getLastCandidates();
+    assert.equal(candidates.length, 1);
+    assert.equal(candidates[0].notation, 'h2-g3');
+    assert.ok(candidates[0].pv.length > 1);
+});
+
+test('a search reports each depth it completed and why it stopped', () => {
+    const position = Position.fromGameState(GameRecord.parsePosition(COMBINATION_POSITION));
+    findBestMoveWithAlphaBeta(position, SHALLOW_PROFILE);
+    const stats = getLastSearchStats();
+    assert.equal(stats.stopReason, 'max-depth');
+    assert.equal(stats.depth, 3);
+    assert.deepEqual(stats.depths.map(d => d.depth), [1, 2, 3]);
+    assert.equal(stats.depths[2].nodes, stats.nodes);
+    assert.ok(stats.elapsedMs >= stats.depths[2].elapsedMs);
+
+    // Already out of time, even if the search starts and ends within the same millisecond.
+    findBestMoveWithAlphaBeta(position, { ...SHALLOW_PROFILE, thinkingTimeMs: -1 });
+    assert.equal(getLastSearchStats().stopReason, 'time-limit');
+
+    findBestMoveWithAlphaBeta(position, { ...SHALLOW_PROFILE, blunderChance: 1 });
+    assert.equal(getLastSearchStats().stopReason, 'random-move');
+});
+
+test('a search reports its best move after each depth and can be told to move now', () => {
+    const position = Position.fromGameState(GameRecord.parsePosition(COMBINATION_POSITION));
+    const progress = [];
+    findBestMoveWithAlphaBeta(position, SHALLOW_PROFILE, { onDepth: p => progress.push(p) });
+    assert.deepEqual(progress.map(p => p.depth), getLastSearchStats().depths.map(d => d.depth));
+    for (const p of progress) {
+        assert.match(p.notation, /^[a-h][1-8]-[a-h][1-8]/);
+        assert.equal(typeof p.score, 'number');
+        assert.ok(Number.isInteger(p.move.fromRow) && Number.isInteger(p.move.toCol));
+    }
+
+    const move = findBestMoveWithAlphaBeta(position, SHALLOW_PROFILE, { shouldStop: () => 'move-now' });
+    assert.ok(move);
+    assert.equal(getLastSearchStats().stopReason, 'move-now');
+});
+
+test('on the clock the search takes its time from the time left', () => {
+    assert.equal(getClockBudgetMs({ remainingMs: 300000 }), Math.round((300000 - 500) / 25));
+    assert.equal(getClockBudgetMs({ remainingMs: 300000, incrementMs: 4000 }), Math.round((300000 - 500) / 25 + 3000));
+    assert.equal(getClockBudgetMs({ remainingMs: 10000, movesToGo: 1 }), 9500, 'a limit per move is used up to the safety margin');
+    assert.equal(getClockBudgetMs({ remainingMs: 2000, incrementMs: 10000 }), 1800, 'never more than the time left');
+    assert.equal(getClockBudgetMs({ remainingMs: 0 }), 50);
+    assert.equal(getClockBudgetMs({ remainingMs: 3 * 60 * 60 * 1000, movesToGo: 1 }), 60000);
+
+    const position = Position.fromGameState(Rules.createInitialState());
+    findBestMoveWithAlphaBeta(position, { ...SHALLOW_PROFILE, maxDepth: 15 }, { clock: { remainingMs: 0 } });
+    const stats = getLastSearchStats();
+    assert.equal(stats.stopReason, 'time-limit', 'the clock replaces the profile\'s minute');
+    assert.ok(stats.elapsedMs < 2000);
+});
+
+test('stronger profiles search deeper and longer, and strong plays an obvious move early', () => {
+    const { easy, moderate, strong } = AI_STRENGTH_PROFILES;
+    assert.ok(easy.maxDepth < moderate.maxDepth && moderate.maxDepth < strong.maxDepth);
+    assert.ok(easy.thinkingTimeMs < moderate.thinkingTimeMs && moderate.thinkingTimeMs < strong.thinkingTimeMs);
+    assert.ok(easy.scoreNoise > moderate.scoreNoise && moderate.scoreNoise > strong.scoreNoise);
+    assert.ok(easy.blunderChance > moderate.blunderChance && moderate.blunderChance > strong.blunderChance);
+
+    findBestMoveWithAlphaBeta(Position.fromGameState(Rules.createInitialState()), { ...easy, blunderChance: 0 });
+    assert.equal(getLastSearchStats().depth, easy.maxDepth);
+
+    const move = findBestMoveWithAlphaBeta(Position.fromGameState(GameRecord.parsePosition(OBVIOUS_POSITION)), strong);
+    assert.deepEqual([move.fromRow, move.fromCol, move.toRow, move.toCol], [4, 0, 5, 0]);
+    const stats = getLastSearchStats();
+    assert.equal(stats.stopReason, 'clear-best');
+    assert.ok(stats.elapsedMs < strong.thinkingTimeMs / 2, `took ${stats.elapsedMs}ms`);
+});
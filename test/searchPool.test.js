@@ -0,0 +1,75 @@
+/**
+ * @file test/searchPool.test.js
+ * Checks the search pool (searchPool.js): searches wait in a bounded queue and can be cancelled
+ * whether they are waiting or running, and a worker that crashes is logged as JSON, reported and
+ * replaced.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Rules = require('../rules.js');
+const { SearchPool } = require('../searchPool.js');
+const { Logger } = require('../logger.js');
+
+const PROFILE = { thinkingTimeMs: 5000, maxDepth: 2, scoreNoise: 0, blunderChance: 0 };
+// Searches the start position for a minute unless it is stopped.
+const LONG_PROFILE = { thinkingTimeMs: 60000, maxDepth: 15, scoreNoise: 0, blunderChance: 0 };
+
+test('a full queue turns searches away, and cancelled searches free their place', async () => {
+    const pool = new SearchPool({ size: 1, maxQueueLength: 1, silent: true });
+    try {
+        const running = new AbortController();
+        const waiting = new AbortController();
+        const first = pool.search(Rules.createInitialState(), LONG_PROFILE, { signal: running.signal });
+        const second = pool.search(Rules.createInitialState(), LONG_PROFILE, { signal: waiting.signal });
+        await assert.rejects(pool.search(Rules.createInitialState(), PROFILE), { code: 'SEARCH_QUEUE_FULL' });
+
+        // A waiting search is dropped from the queue at once.
+        waiting.abort();
+        await assert.rejects(second, { code: 'SEARCH_CANCELLED' });
+        assert.equal(pool.queue.length, 0);
+
+        // A running one is stopped in its worker.
+        const cancelledAt = Date.now();
+        running.abort();
+        await assert.rejects(first, { code: 'SEARCH_CANCELLED' });
+        assert.ok(Date.now() - cancelledAt < 5000, 'the search stopped long before its minute');
+
+        const { result } = await pool.search(Rules.createInitialState(), PROFILE);
+        assert.ok(result, 'the worker is free again');
+        await assert.rejects(pool.search(Rules.createInitialState(), PROFILE, { signal: AbortSignal.abort() }), { code: 'SEARCH_CANCELLED' });
+    } finally {
+        await pool.close();
+    }
+});
+
+test('a crashed worker is logged and reported with its job, and replaced', async () => {
+    const lines = [];
+    const crashes = [];
+    const pool = new SearchPool({
+        size: 1,
+        silent: true,
+        log: new Logger({ write: line => lines.push(JSON.parse(line)) }),
+        onWorkerCrash: crash => crashes.push(crash),
+    });
+    try {
+        const search = pool.search(Rules.createInitialState(), PROFILE);
+        const crashed = pool.workers[0].worker;
+        crashed.emit('error', new Error('out of memory'));
+        await assert.rejects(search, { code: 'SEARCH_WORKER_FAILED', message: 'out of memory' });
+        assert.deepEqual(crashes, [{ jobId: 1, task: 'best-move' }]);
+        assert.equal(lines.length, 1);
+        assert.equal(lines[0].level, 'error');
+        assert.equal(lines[0].msg, 'search worker crashed');
+        assert.equal(lines[0].jobId, 1);
+        assert.equal(lines[0].error.message, 'out of memory');
+
+        // A worker that really exits is replaced, and the pool searches on.
+        await crashed.terminate();
+        const { result } = await pool.search(Rules.createInitialState(), PROFILE);
+        assert.ok(result);
+        assert.notEqual(pool.workers[0].worker, crashed);
+    } finally {
+        await pool.close();
+    }
+});
@@ -0,0 +1,66 @@
+/**
+ * @file test/stateValidation.test.js
+ * Checks that the AI endpoints' game states are read into clean rule states (stateValidation.js),
+ * and that malformed ones are refused with a message that says why.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Rules = require('../rules.js');
+const { readGameState, readClock } = require('../stateValidation.js');
+
+const start = () => Rules.createInitialState();
+
+test('a client state is copied with its rule fields only', () => {
+    const body = { ...start(), aiStrength: 'strong', extra: 'ignored' };
+    body.board[6][0] = { ...body.board[6][0], id: 'w1' };
+    const state = readGameState(body);
+    assert.deepEqual(state, { ...start(), gameOver: false });
+    assert.notEqual(state.board, body.board);
+    assert.equal(state.variant, undefined, 'the standard rules are left out');
+
+    const small = readGameState(Rules.createInitialState('small'));
+    assert.equal(small.variant.boardSize, 6);
+});
+
+test('malformed boards and pieces are refused', () => {
+    const withSquare = (row, col, square) => {
+        const body = start();
+        body.board[row][col] = square;
+        return body;
+    };
+    assert.throws(() => readGameState({ ...start(), board: start().board.slice(1) }), /The board must be 8x8/);
+    assert.throws(() => readGameState({ ...start(), variant: 'small' }), /The board must be 6x6/);
+    assert.throws(() => readGameState({ ...start(), variant: 'huge' }), /Unknown variant 'huge'/);
+    assert.throws(() => readGameState(withSquare(3, 3, { color: 'red', number: 3 })), /board\[3\]\[3\]\.color must be 'white' or 'black'/);
+    assert.throws(() => readGameState(withSquare(3, 3, { color: 'white', number: 40 })), /board\[3\]\[3\]\.number must be a whole number from 1 to 8/);
+    assert.throws(() => readGameState(withSquare(3, 3, 7)), /board\[3\]\[3\] must be a piece or null/);
+    assert.throws(() => readGameState(withSquare(3, 3, { color: 'black', number: 2 })), /17 black pieces; a side has at most 16/);
+    assert.throws(() => readGameState({ ...start(), currentPlayer: 'green' }), /currentPlayer must be/);
+    assert.throws(() => readGameState({ ...start(), whiteScore: -1 }), /whiteScore must be a whole number/);
+    assert.equal(readGameState({ ...start(), blackScore: 72 }).blackScore, 72);
+    assert.throws(() => readGameState({ ...start(), blackScore: 73 }), /blackScore must be a whole number from 0 to 72/);
+    assert.throws(() => readGameState([]), /must be a game state object/);
+});
+
+test('a promotion choice must name opponent pieces with the promotion\'s number', () => {
+    const body = { ...start(), gameState: 'choosing_promotion', promotionPoints: 8, promotionChoices: [{ row: 0, col: 0 }, { row: 1, col: 7 }] };
+    const state = readGameState(body, { promotion: true });
+    assert.deepEqual(state.promotionChoices.map(c => c.piece.number), [8, 8]);
+
+    assert.throws(() => readGameState(start(), { promotion: true }), /'choosing_promotion' game state/);
+    assert.throws(() => readGameState({ ...body, promotionChoices: [{ row: 7, col: 0 }] }), /promotionChoices\[0\] must be an unpromoted opponent piece with number 8/);
+    assert.throws(() => readGameState({ ...body, promotionChoices: [{ row: 0, col: 0 }, { row: 0, col: 0 }] }), /repeats a square/);
+    assert.throws(() => readGameState({ ...body, promotionChoices: [{ row: 9, col: 0 }] }), /needs a row and col from 0 to 7/);
+    assert.throws(() => readGameState({ ...body, promotionPoints: 0 }), /promotionPoints must be/);
+});
+
+test('the AI\'s clock is optional and must hold whole milliseconds', () => {
+    assert.equal(readClock(undefined), null);
+    assert.deepEqual(readClock({ remainingMs: 60000, incrementMs: 2000, extra: 1 }), { remainingMs: 60000, incrementMs: 2000 });
+    assert.deepEqual(readClock({ remainingMs: 9000, movesToGo: 1 }), { remainingMs: 9000, movesToGo: 1 });
+    assert.throws(() => readClock(5000), /clock must be an object/);
+    assert.throws(() => readClock({}), /clock.remainingMs must be a whole number/);
+    assert.throws(() => readClock({ remainingMs: -5 }), /clock.remainingMs must be a whole number from 0/);
+    assert.throws(() => readClock({ remainingMs: 1000, movesToGo: 0 }), /clock.movesToGo must be a whole number from 1 to 100/);
+});
@@ -0,0 +1,85 @@
+/**
+ * @file test/transpositionTable.test.js
+ * Checks the shared transposition table (transpositionTable.js): values keep their size and sign
+ * whichever side stores and probes them, won and lost games included, and the Zobrist keys it is
+ * indexed by are the same in every worker thread.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { Check10Game } = require('../gameLogic.js');
+const { TranspositionTable } = require('../transpositionTable.js');
+const { calculateZobristKey } = require('../zobrist.js');
+
+const WIN_SCORE = 10000; // See search.js
+
+test('won and lost games are stored with their margins', () => {
+    const table = TranspositionTable.create(1);
+    const hash = 0x123456789abcdefn;
+    for (const value of [WIN_SCORE + 7, -(WIN_SCORE + 14), WIN_SCORE + 72, 12.345, -0.5]) {
+        table.store(hash, 'white', 3, value, 'EXACT', null);
+        assert.ok(table.probe(hash, 'white'));
+        assert.equal(table.entry.value, value);
+        assert.ok(table.probe(hash, 'black'));
+        assert.equal(table.entry.value, -value, 'seen from the other side');
+    }
+
+    // A bigger loss must still rank below a smaller one.
+    table.store(1n, 'black', 3, -(WIN_SCORE + 14), 'UPPERBOUND', null);
+    table.store(2n, 'black', 3, -(WIN_SCORE + 2), 'UPPERBOUND', null);
+    assert.ok(table.probe(1n, 'black'));
+    const biggerLoss = table.entry.value;
+    assert.equal(table.entry.flag, 'UPPERBOUND');
+    assert.ok(table.probe(2n, 'black'));
+    assert.ok(biggerLoss < table.entry.value);
+});
+
+test('every worker thread gives a position the same key', async () => {
+    const game = new Check10Game();
+    game.initializeBoardData();
+    game.makeMove(6, 2, 5, 2);
+    const state = game.getState();
+    const script = `
+        const { parentPort, workerData } = require('worker_threads');
+        const { calculateZobristKey } = require(${JSON.stringify(path.join(__dirname, '..', 'zobrist.js'))});
+        const { board, currentPlayer, whiteScore, blackScore } = workerData;
+        parentPort.postMessage(calculateZobristKey(board, currentPlayer, whiteScore, blackScore).toString(16));
+    `;
+    const keyInWorker = () => new Promise((resolve, reject) => {
+        const worker = new Worker(script, { eval: true, workerData: state });
+        worker.once('message', resolve);
+        worker.once('error', reject);
+    });
+    const keys = await Promise.all([keyInWorker(), keyInWorker()]);
+    const expected = calculateZobristKey(state.board, state.currentPlayer, state.whiteScore, state.blackScore).toString(16);
+    assert.deepEqual(keys, [expected, expected]);
+});
+
+test('deeper results are kept until a new search ages them, and probes are counted', () => {
+    const table = TranspositionTable.create(1);
+    assert.equal(table.entryCount, 65536, 'a megabyte of 16-byte entries');
+    assert.equal(TranspositionTable.create(3).entryCount, 131072, 'rounded down to a power of two');
+
+    const position = 5n;
+    const other = 5n | (1n << 40n); // The same slot, another position
+    const move = { from: 52, to: 44, promotionCapture: -1 };
+    table.newSearch();
+    table.store(position, 'white', 6, 1.5, 'EXACT', move);
+    table.store(position, 'white', 2, 9, 'EXACT', null);
+    assert.ok(table.probe(position, 'white'));
+    assert.deepEqual({ ...table.entry }, { value: 1.5, depth: 6, flag: 'EXACT', bestMove: move }, 'a shallower result does not replace a deeper one');
+
+    table.store(other, 'white', 3, 4, 'EXACT', null);
+    assert.equal(table.probe(other, 'white'), false, 'nor does a shallower position of the same search');
+    table.store(position, 'white', 6, 2.5, 'LOWERBOUND', null);
+    assert.ok(table.probe(position, 'black'));
+    assert.deepEqual({ ...table.entry }, { value: -2.5, depth: 6, flag: 'UPPERBOUND', bestMove: move }, 'as deep replaces, keeping the best move');
+
+    table.newSearch();
+    table.store(other, 'white', 3, 4, 'EXACT', null);
+    assert.ok(table.probe(other, 'white'), 'an entry from an older search gives way');
+    assert.equal(table.probe(position, 'white'), false);
+    assert.deepEqual(table.getStats(), { entries: 65536, sizeMb: 1, probes: 2, hits: 1, misses: 1, hitRate: 0.5, stores: 1 });
+});
@@ -0,0 +1,60 @@
+/**
+ * @file test/tuner.test.js
+ * Checks the evaluation weight tuner (tuner.js): samples from recorded games, and fitting weights
+ * that predict the results better.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Rules = require('../rules.js');
+const GameRecord = require('../gameRecord.js');
+const Evaluation = require('../evaluation.js');
+const Tuner = require('../tuner.js');
+
+const MOBILITY = Evaluation.FEATURES.indexOf('mobility');
+
+// Plays the first legal move (and the first promotion choice) until the game ends.
+function playFirstMoves() {
+    const state = Rules.createInitialState();
+    const moves = [];
+    while (!state.gameOver) {
+        if (state.gameState === 'choosing_promotion') {
+            moves[moves.length - 1] += GameRecord.formatMove(Rules.applyPromotionChoice(state, state.promotionChoices[0].row, state.promotionChoices[0].col).events);
+        } else {
+            moves.push(GameRecord.formatMove(Rules.applyMove(state, Rules.getAllMoves(state.board, state.currentPlayer)[0]).events));
+        }
+    }
+    return { state, moves };
+}
+
+test('a finished recorded game gives one sample per position, labelled with its result', () => {
+    const { state, moves } = playFirstMoves();
+    const samples = Tuner.samplesFromRecord(GameRecord.formatRecord({ tags: GameRecord.getResultTags(state), moves }));
+    assert.equal(samples.length, moves.length);
+    const expected = { white: 1, draw: 0.5, black: 0 }[Rules.getWinner(state)];
+    assert.ok(samples.every(sample => sample.result === expected));
+    assert.equal(samples[0].scoreDifference, 0);
+    assert.equal(samples[0].features.length, Evaluation.FEATURES.length);
+
+    assert.throws(() => Tuner.samplesFromRecord('1. c2-c3 f7-f6 *'), /not finished/);
+});
+
+test('tuning finds the weight of a feature that predicts the results', () => {
+    // Made-up positions where the side with more moves tends to win.
+    const samples = [];
+    for (let i = 0; i < 200; i++) {
+        const mobility = (i % 21) - 10;
+        const features = new Float64Array(Evaluation.FEATURES.length);
+        features[MOBILITY] = mobility;
+        const won = mobility > 0 ? i % 5 !== 0 : mobility < 0 ? i % 5 === 0 : i % 2 === 0;
+        samples.push({ scoreDifference: 0, features, result: won ? 1 : 0 });
+    }
+    const { weights, scale, initialError, error } = Tuner.tuneWeights(samples, { features: ['mobility'] });
+    assert.ok(weights.mobility > 0, JSON.stringify(weights));
+    assert.ok(error < initialError);
+    assert.equal(weights.promoted, Evaluation.DEFAULT_WEIGHTS.promoted, 'features not being tuned keep their weights');
+    assert.ok(Math.abs(error - Tuner.meanSquaredError(samples, weights, scale)) < 1e-12);
+
+    assert.throws(() => Tuner.tuneWeights([]), /no positions/);
+    assert.throws(() => Tuner.tuneWeights(samples, { features: ['material'] }), /Unknown evaluation feature/);
+});
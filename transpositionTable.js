@@ -0,0 +1,176 @@
+/**
+ * @file transpositionTable.js
+ * Fixed-size transposition table for the AI search.
+ *
+ * The table lives in a SharedArrayBuffer that the search pool creates once and hands to every
+ * worker, so all searches share it and its entries outlive a single request: when the AI is asked
+ * for its next move in the same game, the positions it already searched are still there. That
+ * relies on the Zobrist keys (zobrist.js) being the same in every worker thread, which is why they
+ * come from a seeded generator and not from Math.random().
+ *
+ * Each entry is four 32-bit words: two check words and two data words. The check words hold the
+ * key XORed with the data, so an entry half-written by another worker fails the key check and is
+ * simply treated as a miss (no locks needed). Values are stored from white's point of view, so
+ * entries are valid whichever side the AI plays.
+ *
+ * Replacement is depth-preferred with aging: a result for the same position only replaces the
+ * entry if it is at least as deep; a different position takes the slot if it is searched at least
+ * as deep, or if the entry is from an older search.
+ */
+
+const DEFAULT_SIZE_MB = 64;
+const HEADER_WORDS = 4; // [0] = current search generation; the rest is padding
+const ENTRY_WORDS = 4; // checkLo, checkHi, value, packed depth/flag/generation/best move
+const ENTRY_BYTES = ENTRY_WORDS * Int32Array.BYTES_PER_ELEMENT;
+
+const VALUE_SCALE = 1000; // Values are stored as integers with three decimals
+// The clamp is in stored (scaled) units, so it is the int32 range: ±2147483 in evaluation units,
+// far above any value (won and lost games are worth WIN_SCORE plus the margin, ~10000).
+const MAX_STORED_VALUE = 2 ** 31 - 1;
+
+const FLAG_EXACT = 1;
+const FLAG_LOWERBOUND = 2;
+const FLAG_UPPERBOUND = 3;
+const FLAG_NAMES = [null, 'EXACT', 'LOWERBOUND', 'UPPERBOUND'];
+
+// Packed data word: depth (6 bits) | flag (2) | generation (5) | best move (19).
+const DEPTH_MASK = 0x3F;
+const GENERATION_MASK = 0x1F;
+
+/**
+ * Packs a search move ({ from, to, promotionCapture }) into 19 bits. 0 means no move, which
+ * cannot clash with a real move because a move never ends on its own square.
+ */
+function encodeMove(move) {
+    return move ? move.from | (move.to << 6) | ((move.promotionCapture + 1) << 12) : 0;
+}
+
+/**
+ * @returns {{from: number, to: number, promotionCapture: number}|null}
+ */
+function decodeMove(code) {
+    return code ? { from: code & 63, to: (code >> 6) & 63, promotionCapture: (code >> 12) - 1 } : null;
+}
+
+class TranspositionTable {
+    /**
+     * Allocates a new shared table.
+     * @param {number} [sizeMb=64] - Memory for the entries, rounded down to a power-of-two entry count.
+     * @returns {TranspositionTable}
+     */
+    static create(sizeMb = DEFAULT_SIZE_MB) {
+        const maxEntries = Math.max(1, Math.floor((sizeMb * 1024 * 1024) / ENTRY_BYTES));
+        const entries = 2 ** Math.floor(Math.log2(maxEntries));
+        return new TranspositionTable(new SharedArrayBuffer((HEADER_WORDS + entries * ENTRY_WORDS) * Int32Array.BYTES_PER_ELEMENT));
+    }
+
+    /**
+     * Wraps a table buffer made by create(), e.g. one received by a worker thread.
+     * @param {SharedArrayBuffer} buffer
+     */
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.words = new Int32Array(buffer);
+        this.entryCount = (this.words.length - HEADER_WORDS) / ENTRY_WORDS;
+        this.indexMask = this.entryCount - 1;
+        this.generation = 0;
+
+        // The result of the last successful probe(). Reused to avoid allocating per node.
+        this.entry = { value: 0, depth: 0, flag: null, bestMove: null };
+        this.resetStats();
+    }
+
+    /**
+     * Starts a new search: entries from earlier searches become the first to be replaced.
+     */
+    newSearch() {
+        this.generation = (Atomics.add(this.words, 0, 1) + 1) & GENERATION_MASK;
+        this.resetStats();
+    }
+
+    resetStats() {
+        this.stats = { probes: 0, hits: 0, stores: 0 };
+    }
+
+    /**
+     * Looks up a position.
+     * @param {BigInt} hash - The position's Zobrist key.
+     * @param {string} perspective - 'white' or 'black': the side whose point of view `entry.value`
+     *        should be given from.
+     * @returns {boolean} Whether the position was found; its data is then in `this.entry`.
+     */
+    probe(hash, perspective) {
+        this.stats.probes++;
+        const keyLo = Number(hash & 0xFFFFFFFFn) | 0;
+        const keyHi = Number((hash >> 32n) & 0xFFFFFFFFn) | 0;
+        const base = HEADER_WORDS + (keyLo & this.indexMask) * ENTRY_WORDS;
+        const value = this.words[base + 2];
+        const data = this.words[base + 3];
+        if ((this.words[base] ^ value) !== keyLo || (this.words[base + 1] ^ data) !== keyHi || data === 0) return false;
+
+        this.stats.hits++;
+        const flag = (data >>> 6) & 3;
+        const flipped = perspective === 'black';
+        this.entry.value = (flipped ? -value : value) / VALUE_SCALE;
+        this.entry.depth = data & DEPTH_MASK;
+        // Negating a value swaps which kind of bound it is.
+        this.entry.flag = FLAG_NAMES[flipped && flag !== FLAG_EXACT ? FLAG_LOWERBOUND + FLAG_UPPERBOUND - flag : flag];
+        this.entry.bestMove = decodeMove(data >>> 13);
+        return true;
+    }
+
+    /**
+     * Stores a search result, if the replacement policy allows it.
+     * @param {BigInt} hash
+     * @param {string} perspective - The side whose point of view `value` is from.
+     * @param {number} depth - The remaining depth the position was searched to.
+     * @param {number} value
+     * @param {'EXACT'|'LOWERBOUND'|'UPPERBOUND'} flagName
+     * @param {{from: number, to: number, promotionCapture: number}|null} bestMove
+     */
+    store(hash, perspective, depth, value, flagName, bestMove) {
+        const keyLo = Number(hash & 0xFFFFFFFFn) | 0;
+        const keyHi = Number((hash >> 32n) & 0xFFFFFFFFn) | 0;
+        const base = HEADER_WORDS + (keyLo & this.indexMask) * ENTRY_WORDS;
+
+        const oldValue = this.words[base + 2];
+        const oldData = this.words[base + 3];
+        const samePosition = (this.words[base] ^ oldValue) === keyLo && (this.words[base + 1] ^ oldData) === keyHi;
+        const oldGeneration = (oldData >>> 8) & GENERATION_MASK;
+        const deeperEntry = (oldData & DEPTH_MASK) > depth;
+        if (oldData !== 0 && deeperEntry && (samePosition || oldGeneration === this.generation)) return;
+
+        const flipped = perspective === 'black';
+        let flag = FLAG_NAMES.indexOf(flagName);
+        if (flipped && flag !== FLAG_EXACT) flag = FLAG_LOWERBOUND + FLAG_UPPERBOUND - flag;
+        const scaled = Math.max(-MAX_STORED_VALUE, Math.min(MAX_STORED_VALUE, Math.round(value * VALUE_SCALE)));
+        const storedValue = flipped ? -scaled : scaled;
+        // Keep the old best move if this result has none (e.g. every move failed low).
+        const moveCode = bestMove ? encodeMove(bestMove) : samePosition ? oldData >>> 13 : 0;
+        const data = (Math.min(depth, DEPTH_MASK) | (flag << 6) | (this.generation << 8) | (moveCode << 13)) | 0;
+
+        this.words[base + 2] = storedValue;
+        this.words[base + 3] = data;
+        this.words[base] = keyLo ^ storedValue;
+        this.words[base + 1] = keyHi ^ data;
+        this.stats.stores++;
+    }
+
+    /**
+     * @returns {object} The table's size and this search's probe statistics.
+     */
+    getStats() {
+        const { probes, hits, stores } = this.stats;
+        return {
+            entries: this.entryCount,
+            sizeMb: Math.round((this.entryCount * ENTRY_BYTES) / (1024 * 1024)),
+            probes,
+            hits,
+            misses: probes - hits,
+            hitRate: probes ? Math.round((hits / probes) * 1000) / 1000 : 0,
+            stores,
+        };
+    }
+}
+
+module.exports = { TranspositionTable, DEFAULT_SIZE_MB };
@@ -0,0 +1,155 @@
+/**
+ * @file tuner.js
+ * Fits evaluation weights (see evaluation.js) to a corpus of games with Texel's method: every
+ * position of a game is labelled with the game's result, and the weights are adjusted until the
+ * evaluation, turned into an expected result by a logistic curve, predicts those results with the
+ * least squared error.
+ *
+ * The games can be self-played (match.js) or recorded (gameRecord.js). The command-line front end
+ * is scripts/tuneWeights.js.
+ */
+
+const Rules = require('./rules.js');
+const GameRecord = require('./gameRecord.js');
+const { Position } = require('./gameLogic.js');
+const { FEATURES, DEFAULT_WEIGHTS, getFeatures } = require('./evaluation.js');
+
+const DEFAULT_STEP = 0.05;
+const MIN_STEP = 0.001;
+const MAX_PASSES = 100;
+// The logistic curve's scale is searched between these, in points of evaluation.
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 500;
+
+const RESULT_VALUES = { white: 1, draw: 0.5, black: 0 };
+
+// =================================================================
+//                  SAMPLES
+// =================================================================
+
+/**
+ * Turns the positions of one finished game into samples.
+ * @param {Array<object>} states - Game states, e.g. every position a move was played in.
+ * @param {'white'|'black'|'draw'} winner
+ * @returns {Array<{scoreDifference: number, features: Float64Array, result: number}>} One per
+ *          position where a move was to be chosen: the score difference and features (white
+ *          minus black), and the game's result for white (1, 0.5 or 0).
+ */
+function samplesFromGame(states, winner) {
+    if (!(winner in RESULT_VALUES)) throw new Error(`Unknown game result '${winner}'.`);
+    return states
+        .filter(state => !state.gameOver && state.gameState !== 'choosing_promotion')
+        .map(state => {
+            const position = Position.fromGameState(state);
+            return {
+                scoreDifference: position.whiteScore - position.blackScore,
+                features: Float64Array.from(getFeatures(position)),
+                result: RESULT_VALUES[winner],
+            };
+        });
+}
+
+/**
+ * Turns a recorded game (see gameRecord.js) into samples.
+ * @param {string} text - The record.
+ * @returns {Array<object>} See samplesFromGame().
+ * @throws {Error} If the record cannot be read, does not replay, or the game is not finished.
+ */
+function samplesFromRecord(text) {
+    const { states, state } = GameRecord.replayRecord(GameRecord.parseRecord(text));
+    if (!state.gameOver) throw new Error('The game is not finished, so it has no result to learn from.');
+    return samplesFromGame(states, Rules.getWinner(state));
+}
+
+// =================================================================
+//                  FITTING
+// =================================================================
+
+// Weights by feature name as an array in FEATURES order.
+function toWeightArray(weights) {
+    return Float64Array.from(FEATURES, name => weights[name] || 0);
+}
+
+/**
+ * @param {Array<object>} samples - From samplesFromGame().
+ * @param {object} weights - Weights by feature name.
+ * @param {number} scale - Evaluation points for which the expected result moves from 0.5 to
+ *        about 0.73.
+ * @returns {number} The mean squared difference between the expected and the actual results.
+ */
+function meanSquaredError(samples, weights, scale) {
+    const w = toWeightArray(weights);
+    let sum = 0;
+    for (const sample of samples) {
+        let value = sample.scoreDifference;
+        for (let i = 0; i < w.length; i++) value += w[i] * sample.features[i];
+        const expected = 1 / (1 + Math.exp(-value / scale));
+        sum += (expected - sample.result) ** 2;
+    }
+    return samples.length ? sum / samples.length : 0;
+}
+
+/**
+ * Finds the logistic scale that fits the samples best with the given weights (a ternary search
+ * on its logarithm).
+ * @returns {number}
+ */
+function fitScale(samples, weights) {
+    let low = Math.log(MIN_SCALE);
+    let high = Math.log(MAX_SCALE);
+    for (let i = 0; i < 60; i++) {
+        const a = low + (high - low) / 3;
+        const b = high - (high - low) / 3;
+        if (meanSquaredError(samples, weights, Math.exp(a)) <= meanSquaredError(samples, weights, Math.exp(b))) high = b;
+        else low = a;
+    }
+    return Math.exp((low + high) / 2);
+}
+
+/**
+ * Fits the weights by coordinate descent: each feature's weight is moved up or down by the step
+ * while that lowers the error, and the step is halved whenever no move helps, down to MIN_STEP.
+ * The logistic scale is fitted once to the initial weights and then kept.
+ * @param {Array<object>} samples - From samplesFromGame() or samplesFromRecord().
+ * @param {object} [options]
+ * @param {object} [options.initialWeights=DEFAULT_WEIGHTS]
+ * @param {Array<string>} [options.features=FEATURES] - The features whose weights may change.
+ * @param {number} [options.step=0.05] - The first step size.
+ * @returns {{weights: object, scale: number, initialError: number, error: number, passes: number}}
+ * @throws {Error} If there are no samples or a feature is unknown.
+ */
+function tuneWeights(samples, { initialWeights = DEFAULT_WEIGHTS, features = FEATURES, step = DEFAULT_STEP } = {}) {
+    if (samples.length === 0) throw new Error('There are no positions to tune on.');
+    for (const name of features) {
+        if (!FEATURES.includes(name)) throw new Error(`Unknown evaluation feature '${name}'. The features are: ${FEATURES.join(', ')}.`);
+    }
+    const weights = Object.fromEntries(FEATURES.map(name => [name, initialWeights[name] || 0]));
+    const scale = fitScale(samples, weights);
+    const initialError = meanSquaredError(samples, weights, scale);
+    let error = initialError;
+    let passes = 0;
+
+    while (step >= MIN_STEP && passes < MAX_PASSES) {
+        passes++;
+        let improved = false;
+        for (const name of features) {
+            for (const delta of [step, -step]) {
+                const tried = { ...weights, [name]: weights[name] + delta };
+                const triedError = meanSquaredError(samples, tried, scale);
+                if (triedError < error) {
+                    weights[name] = tried[name];
+                    error = triedError;
+                    improved = true;
+                    break;
+                }
+            }
+        }
+        if (!improved) step /= 2;
+    }
+
+    // Round away the floating-point noise of the steps.
+    for (const name of FEATURES) weights[name] = Number(weights[name].toFixed(3)); // MIN_STEP's precision
+    return { weights, scale, initialError, error: meanSquaredError(samples, weights, scale), passes };
+}
+
+module.exports = { samplesFromGame, samplesFromRecord, meanSquaredError, fitScale, tuneWeights };
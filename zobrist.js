@@ -1,20 +1,35 @@
 // zobrist.js
 
-// Generate a random 64-bit BigInt.
+const { STANDARD_VARIANT, VARIANT_LIMITS, resolveVariant } = require('./rules.js');
+
+// The keys come from a seeded generator (SplitMix64), so every process and worker thread gets the
+// same keys: the search workers share one transposition table, and the opening book (see
+// openingBook.js) is a file keyed by them. Changing the seed invalidates existing books.
+const ZOBRIST_SEED = 0x436865636b3130n; // "Check10"
+const MASK_64 = 0xffffffffffffffffn;
+let generatorState = ZOBRIST_SEED;
+
+// Generate the next pseudo-random 64-bit BigInt.
 function random64() {
-    // Math.random() is not cryptographically secure, but it's more than sufficient for this purpose.
-    const low = BigInt(Math.floor(Math.random() * 2**32));
-    const high = BigInt(Math.floor(Math.random() * 2**32));
-    return (high << 32n) | low;
+    generatorState = (generatorState + 0x9e3779b97f4a7c15n) & MASK_64;
+    let z = generatorState;
+    z = ((z ^ (z >> 30n)) * 0xbf58476d1ce4e5b9n) & MASK_64;
+    z = ((z ^ (z >> 27n)) * 0x94d049bb133111ebn) & MASK_64;
+    return z ^ (z >> 31n);
 }
 
+// Scores only matter to the search through the difference between them (the evaluation and the
+// end-of-game margin), so the key includes that difference. Each side can capture at most the
+// 72 points of the opponent's pieces.
+const MAX_SCORE_DIFFERENCE = 72;
+
 const ZOBRIST = (() => {
     // [pieceType][squareIndex]
-    // pieceType: 0-7 for white 1-8, 8-15 for black 1-8
+    // pieceType: 0-7 for white 1-8, 8-15 for black 1-8, and 16 more for the promoted versions.
     // We'll map colors and numbers to an index.
-    const table = Array(16).fill(null).map(() => Array(64).fill(0n));
+    const table = Array(32).fill(null).map(() => Array(64).fill(0n));
 
-    for (let piece = 0; piece < 16; piece++) {
+    for (let piece = 0; piece < 32; piece++) {
         for (let square = 0; square < 64; square++) {
             table[piece][square] = random64();
         }
@@ -23,35 +38,75 @@ const ZOBRIST = (() => {
     // A random number to XOR in if it's black's turn to move.
     const blackToMove = random64();
 
-    return { table, blackToMove };
+    // [whiteScore - blackScore + MAX_SCORE_DIFFERENCE]. A difference of 0 has no key, so a fresh
+    // game hashes the same as before scores were part of the key.
+    const scoreDifference = Array(2 * MAX_SCORE_DIFFERENCE + 1).fill(null).map((_, i) => (i === MAX_SCORE_DIFFERENCE ? 0n : random64()));
+
+    // [rule][value] for the rules of a variant (see rules.js). A position's key includes its
+    // variant's rules, since the same board can be worth something else under other rules; the
+    // standard values have no key, so standard positions keep their keys. (The layout only
+    // decides the starting board, which is in the key anyway.) Generated last, so the keys
+    // above are the same as before variants existed.
+    const variantRules = {};
+    for (const [rule, [min, max]] of Object.entries(VARIANT_LIMITS)) {
+        variantRules[rule] = Array(max + 1).fill(0n).map((_, value) => (value < min || value === STANDARD_VARIANT[rule] ? 0n : random64()));
+    }
+
+    return { table, blackToMove, scoreDifference, variantRules };
 })();
 
 /**
  * Maps a piece object to its index for the Zobrist table.
- * @param {object} piece - The piece object { color, number }.
- * @returns {number} The index (0-15).
+ * @param {object} piece - The piece object { color, number, promoted }.
+ * @returns {number} The index (0-31).
  */
 function getPieceIndex(piece) {
     // White pieces 1-8 get indices 0-7
     // Black pieces 1-8 get indices 8-15
-    const base = piece.color === 'white' ? 0 : 8;
+    // Promoted pieces get the same layout at 16-31
+    const base = (piece.color === 'white' ? 0 : 8) + (piece.promoted ? 16 : 0);
     return base + piece.number - 1;
 }
 
+/**
+ * The key for a score difference.
+ * @param {number} difference - whiteScore - blackScore.
+ * @returns {BigInt}
+ */
+function getScoreDifferenceKey(difference) {
+    const clamped = Math.max(-MAX_SCORE_DIFFERENCE, Math.min(MAX_SCORE_DIFFERENCE, difference));
+    return ZOBRIST.scoreDifference[clamped + MAX_SCORE_DIFFERENCE];
+}
+
+/**
+ * The key for a variant's rules: 0n for the standard rules.
+ * @param {string|object} [variant] - See Rules.resolveVariant().
+ * @returns {BigInt}
+ */
+function getVariantKey(variant) {
+    const resolved = resolveVariant(variant);
+    let key = 0n;
+    for (const rule of Object.keys(ZOBRIST.variantRules)) key ^= ZOBRIST.variantRules[rule][resolved[rule]];
+    return key;
+}
+
 /**
  * Calculates the full Zobrist hash for a given board state.
- * This is used once at the beginning of a search.
- * @param {Array} board - The 8x8 game board.
+ * This is used once at the beginning of a search, and to check incremental keys in debug mode.
+ * @param {Array} board - The game board (8x8, or smaller in a variant).
  * @param {string} currentPlayer - 'white' or 'black'.
+ * @param {number} [whiteScore=0]
+ * @param {number} [blackScore=0]
+ * @param {string|object} [variant] - The game's variant (see Rules.resolveVariant()).
  * @returns {BigInt} The Zobrist hash key.
  */
-function calculateZobristKey(board, currentPlayer) {
+function calculateZobristKey(board, currentPlayer, whiteScore = 0, blackScore = 0, variant = undefined) {
     let hash = 0n;
-    for (let r = 0; r < 8; r++) {
-        for (let c = 0; c < 8; c++) {
+    for (let r = 0; r < board.length; r++) {
+        for (let c = 0; c < board.length; c++) {
             const piece = board[r][c];
             if (piece) {
-                const squareIndex = r * 8 + c;
+                const squareIndex = r * 8 + c; // The squares of Position, whatever the board size
                 const pieceIndex = getPieceIndex(piece);
                 hash ^= ZOBRIST.table[pieceIndex][squareIndex];
             }
@@ -61,6 +116,8 @@ function calculateZobristKey(board, currentPlayer) {
     if (currentPlayer === 'black') {
         hash ^= ZOBRIST.blackToMove;
     }
+    hash ^= getScoreDifferenceKey(whiteScore - blackScore);
+    hash ^= getVariantKey(variant);
 
     return hash;
 }
@@ -68,5 +125,7 @@ function calculateZobristKey(board, currentPlayer) {
 module.exports = {
     calculateZobristKey,
     ZOBRIST, // We export the main table to allow for incremental updates
-    getPieceIndex
-};
\ No newline at end of file
+    getPieceIndex,
+    getScoreDifferenceKey,
+    getVariantKey,
+};